@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * workday-to-ics
+ * Command-line converter from UBC Workday schedule exports (.xlsx) to .ics calendars,
+ * for converting many schedules in one go. Runs the same pipeline as the page.
+ *
+ *   node bin/workday-to-ics.js schedules/ --out-dir calendars --group term
+ *
+ * Exit codes: 0 every file converted, 1 at least one file failed, 2 bad arguments
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const ParseDiagnostics = require('../js/diagnostics.js');
+const ZipWriter = require('../js/zipWriter.js');
+
+const exitCodes = { ok: 0, failed: 1, usage: 2 };
+
+const usage = `Usage: workday-to-ics [options] <file.xlsx | directory>...
+
+Converts Workday schedule exports to .ics files. Directories are searched for
+.xlsx and .xls files (not recursively).
+
+Options:
+  -o, --out-dir <dir>    Write calendars here (default: next to each input)
+  -n, --name <pattern>   Output file name without .ics; {name} is the input file
+                         name, {group} the calendar and is required with
+                         --group (default: {name}, or {name}-{group})
+  -t, --term <term>      Only export this term, e.g. 2024W1 or "2024 Winter Term 1";
+                         repeat for several terms
+  -g, --group <how>      single (default), term, course or format: one calendar each
+      --time-zone <mode> tzid (default), utc or floating
+      --keep-holidays    Do not skip classes on UBC holidays and breaks
+      --strict           Fail a file on any warning or incomplete event
+      --json             Print a JSON report on stdout instead of text
+  -h, --help             Show this help
+`;
+
+const groupings = ['single', 'term', 'course', 'format'];
+
+/**
+ * Read the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { inputs, outDir, name, terms, group, timeZone, keepHolidays, strict, json, help }
+ * @throws {Error} - With `usage` set, for unknown options or bad values
+ */
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string', short: 'o' },
+                name: { type: 'string', short: 'n' },
+                term: { type: 'string', short: 't', multiple: true },
+                group: { type: 'string', short: 'g', default: 'single' },
+                'time-zone': { type: 'string', default: 'tzid' },
+                'keep-holidays': { type: 'boolean', default: false },
+                strict: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        throw usageError(err.message);
+    }
+
+    const { values, positionals } = parsed;
+    const timeZones = SchedulePipeline.getTimeZone().modes;
+    if (!groupings.includes(values.group)) {
+        throw usageError(`--group must be one of ${groupings.join(', ')}`);
+    }
+    if (values.group !== 'single' && values.name && !values.name.includes('{group}')) {
+        throw usageError('--name must contain {group} with --group, or every calendar gets the same file');
+    }
+    if (!timeZones.includes(values['time-zone'])) {
+        throw usageError(`--time-zone must be one of ${timeZones.join(', ')}`);
+    }
+    if (!values.help && positionals.length === 0) {
+        throw usageError('No input files');
+    }
+
+    // Term names as well as ids: "2024 Winter Term 1" -> "2024W1"
+    const calendar = SchedulePipeline.getAcademicCalendar();
+    const terms = (values.term || []).map(term => calendar.parseTermName(term) || term.trim().toUpperCase());
+
+    return {
+        inputs: positionals,
+        outDir: values['out-dir'] || null,
+        name: values.name || (values.group === 'single' ? '{name}' : '{name}-{group}'),
+        terms,
+        group: values.group,
+        timeZone: values['time-zone'],
+        keepHolidays: values['keep-holidays'],
+        strict: values.strict,
+        json: values.json,
+        help: values.help
+    };
+}
+
+function usageError(message) {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+}
+
+/**
+ * Expand the inputs to the spreadsheet files to convert, in order
+ * @returns {Array} - Array of { path, error }; error is set for inputs that do not exist
+ */
+function findFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            files.push({ path: input, error: 'No such file or directory' });
+        } else if (fs.statSync(input).isDirectory()) {
+            const names = fs.readdirSync(input)
+                .filter(name => /\.xlsx?$/i.test(name) && !name.startsWith('~$'))
+                .sort();
+            files.push(...names.map(name => ({ path: path.join(input, name), error: null })));
+        } else {
+            files.push({ path: input, error: null });
+        }
+    }
+    return files;
+}
+
+/**
+ * Convert one workbook; nothing is written until writeOutputs()
+ * @param {string} file - Path of the .xlsx
+ * @param {Object} options - See readOptions()
+ * @returns {Object} - { input, ok, error, events, incomplete, outputs: Array of { path, events, text }, diagnostics }
+ */
+function convertFile(file, options) {
+    const result = { input: file, ok: false, error: null, events: 0, incomplete: 0, outputs: [], diagnostics: [] };
+
+    let parsed;
+    try {
+        parsed = SchedulePipeline.parse(new Uint8Array(fs.readFileSync(file)));
+    } catch (err) {
+        result.error = `Could not read the spreadsheet: ${err.message}`;
+        return result;
+    }
+    result.diagnostics = parsed.diagnostics;
+
+    const inTerms = options.terms.length > 0 ?
+        parsed.events.filter(event => options.terms.includes(event.term)) :
+        parsed.events;
+    const events = SchedulePipeline.applyExclusions(inTerms, { enabled: !options.keepHolidays });
+    const complete = events.filter(event => SchedulePipeline.isComplete(event));
+    result.events = complete.length;
+    result.incomplete = events.length - complete.length;
+
+    const counts = ParseDiagnostics.summarize(parsed.diagnostics);
+    if (counts.error > 0) {
+        result.error = parsed.diagnostics.find(d => d.severity === 'error').message;
+    } else if (complete.length === 0) {
+        result.error = options.terms.length > 0 && parsed.events.length > 0 ?
+            `No events in ${options.terms.join(', ')}` :
+            'No events could be read';
+    } else if (options.strict && (counts.warning > 0 || result.incomplete > 0)) {
+        result.error = `Strict mode: ${counts.warning} warning(s), ${result.incomplete} incomplete event(s)`;
+    }
+    if (result.error) return result;
+
+    const outDir = options.outDir || path.dirname(file);
+    const baseName = path.basename(file).replace(/\.xlsx?$/i, '');
+
+    for (const group of SchedulePipeline.groupEvents(complete, options.group)) {
+        const name = options.name
+            .replace(/\{name\}/g, baseName)
+            .replace(/\{group\}/g, ZipWriter.toFileName(group.id));
+        const text = SchedulePipeline.generateICS(group.events, {
+            calendarName: group.name ? `UBC ${group.name}` : undefined,
+            color: group.color,
+            timeZone: options.timeZone
+        });
+        result.outputs.push({ path: path.join(outDir, `${name}.ics`), events: group.events.length, text });
+    }
+
+    result.ok = true;
+    return result;
+}
+
+/**
+ * Fail every file that would write a calendar another file, or another of its own groups, already
+ * claimed, e.g. two inputs both named schedule.xlsx going to one --out-dir
+ * @param {Array} results - From convertFile(), in input order; failed results are updated in place
+ */
+function checkCollisions(results) {
+    const claimed = new Map();
+    for (const result of results.filter(r => r.ok)) {
+        const paths = result.outputs.map(output => path.resolve(output.path));
+        const repeated = paths.findIndex((output, i) => paths.indexOf(output) !== i);
+        const taken = paths.findIndex(output => claimed.has(output));
+        if (repeated !== -1) {
+            result.ok = false;
+            result.error = `Two of its calendars would both be written to ${result.outputs[repeated].path}`;
+        } else if (taken !== -1) {
+            result.ok = false;
+            result.error = `${result.outputs[taken].path} would overwrite the calendar from ${claimed.get(paths[taken])}`;
+        } else {
+            paths.forEach(output => claimed.set(output, result.input));
+        }
+    }
+}
+
+/**
+ * Write the calendars of every converted file; results keep { path, events } for the report
+ */
+function writeOutputs(results) {
+    for (const result of results) {
+        if (result.ok) {
+            for (const output of result.outputs) {
+                fs.mkdirSync(path.dirname(output.path), { recursive: true });
+                fs.writeFileSync(output.path, output.text);
+            }
+        }
+        result.outputs = result.ok ? result.outputs.map(({ path, events }) => ({ path, events })) : [];
+    }
+}
+
+/**
+ * Human-readable lines for one file: warnings and errors on stderr, written files on stdout
+ */
+function printResult(result) {
+    for (const diagnostic of result.diagnostics.filter(d => d.severity !== 'info')) {
+        console.error(`${result.input}: ${diagnostic.severity}: ${ParseDiagnostics.format(diagnostic)}`);
+    }
+    if (!result.ok) {
+        console.error(`${result.input}: failed: ${result.error}`);
+        return;
+    }
+    for (const output of result.outputs) {
+        console.log(`${output.path} (${output.events} event${output.events === 1 ? '' : 's'})`);
+    }
+    if (result.incomplete > 0) {
+        console.error(`${result.input}: ${result.incomplete} incomplete event(s) left out`);
+    }
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = readOptions(argv);
+    } catch (err) {
+        if (!err.usage) throw err;
+        console.error(`workday-to-ics: ${err.message}\n\n${usage}`);
+        return exitCodes.usage;
+    }
+    if (options.help) {
+        console.log(usage);
+        return exitCodes.ok;
+    }
+
+    const files = findFiles(options.inputs);
+    if (files.length === 0) {
+        console.error('workday-to-ics: No .xlsx files found');
+        return exitCodes.failed;
+    }
+
+    const results = files.map(file => file.error ?
+        { input: file.path, ok: false, error: file.error, events: 0, incomplete: 0, outputs: [], diagnostics: [] } :
+        convertFile(file.path, options));
+    checkCollisions(results);
+    writeOutputs(results);
+    const ok = results.every(result => result.ok);
+
+    if (options.json) {
+        console.log(JSON.stringify({ ok, files: results }, null, 2));
+    } else {
+        results.forEach(printResult);
+    }
+
+    return ok ? exitCodes.ok : exitCodes.failed;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, readOptions, findFiles, convertFile, checkCollisions };
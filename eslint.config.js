@@ -0,0 +1,39 @@
+/**
+ * ESLint configuration (npm run lint)
+ *
+ * The js/ modules are plain page scripts that also load with require() in Node:
+ * in the page each one is a global of the same name (see Shared.resolve).
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+// Globals the page scripts define for each other, and the libraries index.html loads
+const pageGlobals = Object.fromEntries([
+    'Shared', 'ParseDiagnostics', 'WorkdayParser', 'ExamScheduleParser', 'TimeZoneUtils', 'ICSWriter',
+    'ICSGenerator', 'CSVExporter', 'JSONExporter', 'TimetableRenderer', 'ZipWriter', 'ScheduleConflicts',
+    'UBCBuildings', 'LocationNormalizer', 'TravelWarnings', 'UBCAcademicCalendar', 'ReminderRules',
+    'EventTemplates', 'SchedulePipeline', 'ICSReader', 'ICSValidator', 'ScheduleDiff', 'EventEditor',
+    'XLSX', 'FullCalendar'
+].map(name => [name, 'readonly']));
+
+module.exports = [
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: { ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    },
+    {
+        files: ['js/**/*.js'],
+        languageOptions: {
+            globals: { ...globals.browser, ...pageGlobals }
+        }
+    }
+];
@@ -0,0 +1,221 @@
+/**
+ * UBC Academic Calendar
+ * Non-instructional dates (statutory holidays, midterm breaks and term breaks) for
+ * UBC Vancouver and Okanagan, per winter and summer session.
+ * Bump `version` whenever the table changes so exports can say which data they used.
+ */
+
+const UBCAcademicCalendar = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    version: '2026.2',
+
+    campuses: {
+        UBCV: 'UBC Vancouver',
+        UBCO: 'UBC Okanagan'
+    },
+
+    /**
+     * Sessions and their closures. A closure is a single `date` or a `start`/`end`
+     * range (inclusive); `campuses` limits it to some campuses, otherwise it applies to all.
+     * Winter Break runs from the Saturday after the last day of Term 1 classes to the
+     * Sunday before Term 2. Dates after the last session are not covered (see covers()).
+     */
+    sessions: [
+        {
+            id: '2024W',
+            name: '2024 Winter Session',
+            start: '2024-09-01',
+            end: '2025-04-30',
+            closures: [
+                { date: '2024-09-30', name: 'National Day for Truth and Reconciliation' },
+                { date: '2024-10-14', name: 'Thanksgiving' },
+                { date: '2024-11-11', name: 'Remembrance Day' },
+                { start: '2024-11-11', end: '2024-11-13', name: 'Fall Midterm Break', campuses: ['UBCV'] },
+                { start: '2024-12-07', end: '2025-01-05', name: 'Winter Break' },
+                { date: '2025-02-17', name: 'Family Day' },
+                { start: '2025-02-18', end: '2025-02-21', name: 'Midterm Break' },
+                { date: '2025-04-18', name: 'Good Friday' },
+                { date: '2025-04-21', name: 'Easter Monday' }
+            ]
+        },
+        {
+            id: '2025S',
+            name: '2025 Summer Session',
+            start: '2025-05-01',
+            end: '2025-08-31',
+            closures: [
+                { date: '2025-05-19', name: 'Victoria Day' },
+                { date: '2025-07-01', name: 'Canada Day' },
+                { date: '2025-08-04', name: 'BC Day' }
+            ]
+        },
+        {
+            id: '2025W',
+            name: '2025 Winter Session',
+            start: '2025-09-01',
+            end: '2026-04-30',
+            closures: [
+                { date: '2025-09-30', name: 'National Day for Truth and Reconciliation' },
+                { date: '2025-10-13', name: 'Thanksgiving' },
+                { date: '2025-11-11', name: 'Remembrance Day' },
+                { start: '2025-11-10', end: '2025-11-12', name: 'Fall Midterm Break', campuses: ['UBCV'] },
+                { start: '2025-12-06', end: '2026-01-04', name: 'Winter Break' },
+                { date: '2026-02-16', name: 'Family Day' },
+                { start: '2026-02-17', end: '2026-02-20', name: 'Midterm Break' },
+                { date: '2026-04-03', name: 'Good Friday' },
+                { date: '2026-04-06', name: 'Easter Monday' }
+            ]
+        },
+        {
+            id: '2026S',
+            name: '2026 Summer Session',
+            start: '2026-05-01',
+            end: '2026-08-31',
+            closures: [
+                { date: '2026-05-18', name: 'Victoria Day' },
+                { date: '2026-07-01', name: 'Canada Day' },
+                { date: '2026-08-03', name: 'BC Day' }
+            ]
+        },
+        {
+            id: '2026W',
+            name: '2026 Winter Session',
+            start: '2026-09-01',
+            end: '2027-04-30',
+            closures: [
+                { date: '2026-09-30', name: 'National Day for Truth and Reconciliation' },
+                { date: '2026-10-12', name: 'Thanksgiving' },
+                { date: '2026-11-11', name: 'Remembrance Day' },
+                { start: '2026-11-09', end: '2026-11-11', name: 'Fall Midterm Break', campuses: ['UBCV'] },
+                { start: '2026-12-12', end: '2027-01-03', name: 'Winter Break' },
+                { date: '2027-02-15', name: 'Family Day' },
+                { start: '2027-02-16', end: '2027-02-19', name: 'Midterm Break' },
+                { date: '2027-03-26', name: 'Good Friday' },
+                { date: '2027-03-29', name: 'Easter Monday' }
+            ]
+        },
+        {
+            id: '2027S',
+            name: '2027 Summer Session',
+            start: '2027-05-01',
+            end: '2027-08-31',
+            closures: [
+                { date: '2027-05-24', name: 'Victoria Day' },
+                { date: '2027-07-01', name: 'Canada Day' },
+                { date: '2027-08-02', name: 'BC Day' }
+            ]
+        }
+    ],
+
+    /**
+     * List the closed days between two dates for a campus
+     * @param {string} campus - 'UBCV' or 'UBCO' (defaults to UBCV)
+     * @param {Object} startDate - { year, month, day }
+     * @param {Object} endDate - { year, month, day }
+     * @returns {Array} - Array of { year, month, day, name }, one per closed day
+     */
+    getClosures(campus, startDate, endDate) {
+        const campusCode = this.campuses[campus] ? campus : 'UBCV';
+        const from = this.shared.toDateKey(startDate);
+        const to = this.shared.toDateKey(endDate);
+        const closed = new Map();
+
+        for (const session of this.sessions) {
+            if (session.end < from || session.start > to) continue;
+
+            for (const closure of session.closures) {
+                if (closure.campuses && !closure.campuses.includes(campusCode)) continue;
+
+                for (const day of this.expandRange(closure.date || closure.start, closure.date || closure.end)) {
+                    const key = this.shared.toDateKey(day);
+                    if (key < from || key > to || closed.has(key)) continue;
+                    closed.set(key, { ...day, name: closure.name });
+                }
+            }
+        }
+
+        return [...closed.values()].sort((a, b) => this.shared.toDateKey(a).localeCompare(this.shared.toDateKey(b)));
+    },
+
+    /**
+     * Academic period of a meeting date range, derived from its months.
+     * Winter Session runs Sep-Apr (Term 1 Sep-Dec, Term 2 Jan-Apr) and is named after
+     * the year it starts; Summer Session runs May-Aug (Term 1 May-Jun, Term 2 Jul-Aug).
+     * @returns {string|null} - e.g. '2024W1', '2024W2', '2024W' (both terms), '2025S1'
+     */
+    getTerm(startDate, endDate = startDate) {
+        if (!startDate) return null;
+        const end = endDate || startDate;
+
+        const termOf = (date) => {
+            if (date.month >= 9) return { session: `${date.year}W`, term: 1 };
+            if (date.month <= 4) return { session: `${date.year - 1}W`, term: 2 };
+            return { session: `${date.year}S`, term: date.month <= 6 ? 1 : 2 };
+        };
+
+        const first = termOf(startDate);
+        const last = termOf(end);
+        if (first.session !== last.session) return first.session + first.term;
+        return first.term === last.term ? first.session + first.term : first.session;
+    },
+
+    /**
+     * Read a Workday academic period label such as "2024-25 Winter Term 1 (UBC-V)"
+     * @returns {string|null} - Term id, e.g. '2024W1', or null if unrecognized
+     */
+    parseTermName(text) {
+        const match = (text || '').match(/(\d{4})(?:\s*[-/]\s*\d{2,4})?\s+(Winter|Summer)(?:\s+Session)?(?:\s+Term\s+([12])(?:\s*[-&]\s*([12]))?)?/i);
+        if (!match) return null;
+
+        const session = `${match[1]}${match[2].toUpperCase().charAt(0)}`;
+        if (!match[3] || (match[4] && match[4] !== match[3])) return session;
+        return session + match[3];
+    },
+
+    /**
+     * Display name for a term id: '2024W1' -> '2024 Winter Term 1', '2024W' -> '2024 Winter Session'
+     */
+    getTermName(termId) {
+        const match = (termId || '').match(/^(\d{4})([WS])([12])?$/);
+        if (!match) return termId || 'Unknown term';
+
+        const session = `${match[1]} ${match[2] === 'W' ? 'Winter' : 'Summer'}`;
+        return match[3] ? `${session} Term ${match[3]}` : `${session} Session`;
+    },
+
+    /**
+     * Whether the bundled table covers a date
+     */
+    covers(date) {
+        const key = this.shared.toDateKey(date);
+        return this.sessions.some(session => key >= session.start && key <= session.end);
+    },
+
+    /**
+     * Every day from start to end inclusive, given as YYYY-MM-DD strings
+     */
+    expandRange(start, end) {
+        const [sy, sm, sd] = start.split('-').map(Number);
+        const [ey, em, ed] = end.split('-').map(Number);
+        const last = new Date(ey, em - 1, ed);
+        const days = [];
+
+        for (const current = new Date(sy, sm - 1, sd); current <= last; current.setDate(current.getDate() + 1)) {
+            days.push({
+                year: current.getFullYear(),
+                month: current.getMonth() + 1,
+                day: current.getDate()
+            });
+        }
+
+        return days;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UBCAcademicCalendar;
+} else {
+    globalThis.UBCAcademicCalendar = UBCAcademicCalendar;
+}
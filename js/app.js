@@ -1,135 +1,462 @@
 /**
  * Main Application Logic
- * Handles file upload, parsing, preview rendering, and download
+ * Handles file selection, parsing, preview rendering, and download
  */
 
 document.addEventListener('DOMContentLoaded', () => {
     // DOM Elements
-    const uploadZone = document.getElementById('uploadZone');
     const fileInput = document.getElementById('fileInput');
-    const fileInfo = document.getElementById('fileInfo');
-    const fileName = document.getElementById('fileName');
-    const removeFile = document.getElementById('removeFile');
-    const previewSection = document.getElementById('previewSection');
-    const previewBody = document.getElementById('previewBody');
-    const eventCount = document.getElementById('eventCount');
+    const parseBtn = document.getElementById('parseBtn');
     const downloadBtn = document.getElementById('downloadBtn');
-    const errorSection = document.getElementById('errorSection');
-    const errorMessage = document.getElementById('errorMessage');
-    const tryAgainBtn = document.getElementById('tryAgainBtn');
+    const downloadCsvBtn = document.getElementById('downloadCsvBtn');
+    const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+    const printBtn = document.getElementById('printBtn');
+    const exportButtons = [downloadBtn, downloadCsvBtn, downloadJsonBtn, printBtn];
+    const status = document.getElementById('status');
+    const tableSection = document.getElementById('tableSection');
+    const calendarSection = document.getElementById('calendarSection');
+    const previewBody = document.querySelector('#preview tbody');
+    const excludeHolidays = document.getElementById('excludeHolidays');
+    const termOptions = document.getElementById('termOptions');
+    const termList = document.getElementById('termList');
+    const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+    const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+    const diagnosticsBody = document.querySelector('#diagnosticsTable tbody');
+    const diagnosticsDownloadBtn = document.getElementById('diagnosticsDownloadBtn');
+    const reminderOptions = document.getElementById('reminderOptions');
+    const reminderList = document.getElementById('reminderList');
+    const templateOptions = document.getElementById('templateOptions');
+    const templatePreset = document.getElementById('templatePreset');
+    const templatePreview = document.getElementById('templatePreview');
+    const templateErrors = document.getElementById('templateErrors');
+    const templateInputs = [...templateOptions.querySelectorAll('[data-template]')];
+    const previousInput = document.getElementById('previousInput');
+    const compareLastBtn = document.getElementById('compareLastBtn');
+    const diffSection = document.getElementById('diffSection');
+    const diffSummary = document.getElementById('diffSummary');
+    const diffBody = document.querySelector('#diffTable tbody');
+    const downloadUpdatesBtn = document.getElementById('downloadUpdatesBtn');
+    const downloadCancellationsBtn = document.getElementById('downloadCancellationsBtn');
+    const addEventBtn = document.getElementById('addEventBtn');
+    const undoBtn = document.getElementById('undoBtn');
+    const conflictList = document.getElementById('conflictList');
+    const travelList = document.getElementById('travelList');
+    const buildingDetails = document.getElementById('buildingDetails');
+    const timeZoneMode = document.getElementById('timeZoneMode');
+    const exportGrouping = document.getElementById('exportGrouping');
+    const previewTimeZone = document.getElementById('previewTimeZone');
+
+    const TEMPLATE_STORAGE_KEY = 'ubc-workday-calendar.templates';
+    const REVISION_STORAGE_KEY = 'ubc-workday-calendar.revisions';
+    const LAST_EXPORT_STORAGE_KEY = 'ubc-workday-calendar.last-export';
+    // The colors split calendars get, so the preview matches them
+    const COURSE_COLORS = Object.values(ICSGenerator.calendarColors);
 
     // State
     let currentEvents = [];
-    let currentFileName = 'schedule';
+    let currentFileName = 'ubc_schedule';
+    let currentDiagnostics = [];
+    let currentSheets = [];
+    let reminderRules = ReminderRules.defaults;
+    let templates = loadTemplates();
+    let previousEvents = null;
+    let currentDiff = null;
+    let undoStack = [];
+    let editingId = null;
+
+    // ==========================================
+    // Weekly Preview
+    // ==========================================
+
+    const calendar = new FullCalendar.Calendar(document.getElementById('calendar'), {
+        initialView: 'timeGridWeek',
+        slotMinTime: '07:00:00',
+        slotMaxTime: '21:00:00',
+        weekends: false,
+        allDaySlot: false,
+        height: 'auto',
+        headerToolbar: {
+            left: 'prev,next today',
+            center: 'title',
+            right: 'timeGridWeek,timeGridDay'
+        },
+        events: []
+    });
+    calendar.render();
+
+    previewTimeZone.options[0].textContent = `Your time zone (${TimeZoneUtils.getViewerTimeZone()})`;
 
     // ==========================================
-    // File Upload Handling
+    // File Selection
     // ==========================================
 
-    // Click to upload
-    uploadZone.addEventListener('click', () => {
-        fileInput.click();
+    fileInput.addEventListener('change', () => {
+        resetState();
+        parseBtn.disabled = !fileInput.files.length;
+        status.textContent = 'File selected. Click "Parse File".';
+    });
+
+    parseBtn.addEventListener('click', () => {
+        parseFile();
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        downloadICS();
+    });
+
+    downloadCsvBtn.addEventListener('click', () => {
+        const csv = SchedulePipeline.generateCSV(getScheduleEvents());
+        saveFile(csv, `${currentFileName}.csv`, 'text/csv');
     });
 
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFile(file);
+    downloadJsonBtn.addEventListener('click', () => {
+        const json = SchedulePipeline.generateJSON(getScheduleEvents());
+        saveFile(json, `${currentFileName}.json`, 'application/json');
+    });
+
+    printBtn.addEventListener('click', () => {
+        printTimetable();
+    });
+
+    excludeHolidays.addEventListener('change', () => {
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
+        }
+    });
+
+    termList.addEventListener('change', () => {
+        showPreview(getScheduleEvents());
+    });
+
+    buildingDetails.addEventListener('change', () => {
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
+        }
+    });
+
+    previewTimeZone.addEventListener('change', () => {
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
         }
     });
 
-    // Drag and drop
-    uploadZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        uploadZone.classList.add('dragover');
+    reminderList.addEventListener('change', () => {
+        reminderRules = readReminderRules();
+        showPreview(getScheduleEvents());
     });
 
-    uploadZone.addEventListener('dragleave', (e) => {
-        e.preventDefault();
-        uploadZone.classList.remove('dragover');
+    templatePreset.addEventListener('change', () => {
+        const preset = EventTemplates.presets[templatePreset.value];
+        if (!preset) return;
+        const { name, ...presetTemplates } = preset;
+        setTemplates(presetTemplates);
     });
 
-    uploadZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        uploadZone.classList.remove('dragover');
+    for (const input of templateInputs) {
+        input.addEventListener('input', () => {
+            setTemplates({ ...templates, [input.dataset.template]: input.value });
+        });
+    }
+
+    previousInput.addEventListener('change', () => {
+        loadPreviousCalendar();
+    });
 
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            handleFile(file);
+    compareLastBtn.disabled = !loadLastExport();
+    compareLastBtn.addEventListener('click', () => {
+        previousEvents = loadLastExport();
+        log(`Comparing with your last download (${previousEvents.length} events)`);
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
         }
     });
 
-    // Remove file button
-    removeFile.addEventListener('click', (e) => {
-        e.stopPropagation();
-        resetState();
+    downloadUpdatesBtn.addEventListener('click', () => {
+        const calendars = ScheduleDiff.generateCalendars(currentDiff, { timeZone: timeZoneMode.value });
+        saveFile(calendars.updates, `${currentFileName}-updates.ics`);
     });
 
-    // Try again button
-    tryAgainBtn.addEventListener('click', () => {
-        resetState();
+    downloadCancellationsBtn.addEventListener('click', () => {
+        const calendars = ScheduleDiff.generateCalendars(currentDiff, { timeZone: timeZoneMode.value });
+        saveFile(calendars.cancellations, `${currentFileName}-cancellations.ics`);
     });
 
-    // Download button
-    downloadBtn.addEventListener('click', () => {
-        downloadICS();
+    diagnosticsDownloadBtn.addEventListener('click', () => {
+        downloadDiagnostics();
+    });
+
+    addEventBtn.addEventListener('click', () => {
+        editingId = 'new';
+        showPreview(getScheduleEvents());
+    });
+
+    undoBtn.addEventListener('click', () => {
+        undo();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        // Leave Ctrl+Z alone while typing in a field
+        if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.target.closest('input, textarea') && undoStack.length > 0) {
+            e.preventDefault();
+            undo();
+        }
     });
 
     // ==========================================
     // File Processing
     // ==========================================
 
-    async function handleFile(file) {
-        // Validate file type
-        if (!file.name.match(/\.(xlsx|xls)$/i)) {
-            showError('Please upload an Excel file (.xlsx or .xls)');
+    /**
+     * Parse every selected file (class schedule and/or exam schedule) into one event list
+     */
+    async function parseFile() {
+        const files = [...fileInput.files];
+        if (files.length === 0) return;
+
+        resetState();
+        status.textContent = 'Parsing...\n';
+
+        if (files.some(file => !file.name.match(/\.(xlsx|xls|ics)$/i))) {
+            log('Please choose Excel files (.xlsx or .xls) or a calendar you exported before (.ics)');
+            status.className = 'error';
             return;
         }
 
         // Store filename for later
-        currentFileName = file.name.replace(/\.(xlsx|xls)$/i, '');
-
-        // Show file info
-        fileName.textContent = file.name;
-        fileInfo.hidden = false;
+        currentFileName = files.length === 1 ? files[0].name.replace(/\.(xlsx|xls|ics)$/i, '') : 'ubc_schedule';
 
         try {
-            // Read file
-            const data = await readFile(file);
+            const events = [];
+            const diagnostics = [];
+            const sheets = [];
 
-            // Parse with WorkdayParser
-            const result = WorkdayParser.parse(data);
+            for (const file of files) {
+                // A calendar exported earlier can be reopened, or merged with a new export
+                if (file.name.match(/\.ics$/i)) {
+                    const result = SchedulePipeline.parseCalendar(await file.text());
+                    log(`${file.name}: calendar, ${result.events.length} event(s)`);
+                    events.push(...result.events);
+                    diagnostics.push(...result.diagnostics.map(d => ({ ...d, sheet: file.name })));
+                    continue;
+                }
 
-            if (result.events.length === 0) {
-                if (result.errors.length > 0) {
-                    showError(result.errors[0]);
-                } else {
-                    showError('No course events found in the file. Make sure it\'s a Workday schedule export.');
+                const data = new Uint8Array(await file.arrayBuffer());
+                const result = SchedulePipeline.parse(data);
+
+                for (const sheet of result.sheets) {
+                    const kind = sheet.type ?
+                        `${sheet.type} schedule, header on row ${sheet.headerRow}, ${sheet.eventCount} event(s)` :
+                        'skipped (not a schedule)';
+                    log(`${file.name} / ${sheet.name}: ${kind}`);
                 }
+                events.push(...result.events);
+                diagnostics.push(...result.diagnostics);
+                sheets.push(...result.sheets);
+            }
+
+            // Merging with a reopened calendar: drop the sections both files contain
+            const merged = files.some(file => file.name.match(/\.ics$/i)) ? SchedulePipeline.mergeEvents(events) : events;
+            if (merged.length < events.length) {
+                log(`${events.length - merged.length} event(s) appeared in more than one file; kept the one from the later file`);
+            }
+
+            currentEvents = EventEditor.assignIds(merged);
+            currentDiagnostics = diagnostics;
+            currentSheets = sheets;
+            showDiagnostics(diagnostics);
+
+            const validCount = currentEvents.filter(e => SchedulePipeline.isComplete(e)).length;
+
+            log(`Parsed: ${validCount} events, Incomplete: ${currentEvents.length - validCount}`);
+
+            if (currentEvents.length === 0) {
+                log('No course events found in the file. Make sure it\'s a Workday schedule export.');
+                status.className = 'error';
                 return;
             }
 
-            // Store events and show preview
-            currentEvents = result.events;
-            showPreview(result.events);
+            if (validCount === 0) {
+                log('None of the events could be read completely. Click "Edit" on a row to fix it.');
+            }
 
-            // Hide any previous errors
-            errorSection.hidden = true;
+            renderTermOptions(SchedulePipeline.getTerms(currentEvents));
+            renderReminderOptions();
+            renderTemplateOptions();
+            showPreview(getScheduleEvents());
+            setExportEnabled(true);
+            status.className = 'success';
 
         } catch (err) {
             console.error('Error processing file:', err);
-            showError('Unable to read the file. Make sure it\'s a valid Excel file.');
+            log('ERROR: ' + err.message);
+            status.className = 'error';
+        }
+    }
+
+    /**
+     * Parsed events in the selected terms, with the current holiday and reminder settings applied
+     */
+    function getScheduleEvents() {
+        const termIds = getSelectedTermIds();
+        const events = currentEvents.filter(e => termIds.includes(e.term));
+        const withReminders = SchedulePipeline.applyReminders(events, reminderRules);
+        const withTemplates = SchedulePipeline.applyTemplates(withReminders, templates);
+        const withPlaces = SchedulePipeline.applyPlaces(withTemplates, { enabled: buildingDetails.checked });
+        return SchedulePipeline.applyExclusions(withPlaces, { enabled: excludeHolidays.checked });
+    }
+
+    // ==========================================
+    // Term Selection
+    // ==========================================
+
+    function renderTermOptions(terms) {
+        // Keep unticked terms unticked when the list is rebuilt after an edit
+        const unchecked = [...termList.querySelectorAll('input[type="checkbox"]')]
+            .filter(input => !input.checked)
+            .map(input => input.value);
+        termList.innerHTML = '';
+
+        for (const term of terms) {
+            const label = document.createElement('label');
+            label.className = 'option-row';
+            const checked = unchecked.includes(term.id) ? '' : ' checked';
+            label.innerHTML = `<input type="checkbox" value="${escapeHtml(term.id)}"${checked}> ${escapeHtml(term.name)} (${term.eventCount} event${term.eventCount === 1 ? '' : 's'})`;
+            termList.appendChild(label);
+        }
+
+        // Only worth asking when the workbook spans several terms
+        termOptions.hidden = terms.length < 2;
+    }
+
+    function getSelectedTermIds() {
+        return [...termList.querySelectorAll('input[type="checkbox"]')]
+            .filter(input => input.checked)
+            .map(input => input.value);
+    }
+
+    // ==========================================
+    // Reminders
+    // ==========================================
+
+    /**
+     * One lead-time select for the default, then one per format and per course in the schedule
+     */
+    function renderReminderOptions() {
+        const formats = [...new Set(currentEvents.map(e => ReminderRules.getFormat(e)).filter(Boolean))].sort();
+        const courses = [...new Set(currentEvents.map(e => e.courseCode).filter(Boolean))].sort();
+
+        reminderList.innerHTML = '';
+        reminderList.appendChild(renderReminderSelect('default', '', 'All events', reminderRules.default, false));
+
+        for (const format of formats) {
+            reminderList.appendChild(renderReminderSelect('format', format, format, ReminderRules.lookup(reminderRules.formats, format), true));
+        }
+        for (const course of courses) {
+            reminderList.appendChild(renderReminderSelect('course', course, course, ReminderRules.lookup(reminderRules.courses, course), true));
+        }
+
+        reminderOptions.hidden = false;
+    }
+
+    function renderReminderSelect(scope, key, labelText, value, inherits) {
+        const label = document.createElement('label');
+        label.className = 'option-row';
+
+        const select = document.createElement('select');
+        select.dataset.scope = scope;
+        select.dataset.key = key;
+
+        const choices = inherits ? ['inherit', ...ReminderRules.choices] : ReminderRules.choices;
+        for (const choice of choices) {
+            const option = document.createElement('option');
+            option.value = choice === null ? 'none' : String(choice);
+            option.textContent = choice === 'inherit' ? 'Same as above' : ReminderRules.describe(choice);
+            select.appendChild(option);
+        }
+        select.value = value === undefined ? 'inherit' : (value === null ? 'none' : String(value));
+
+        label.append(select, ` ${labelText}`);
+        return label;
+    }
+
+    /**
+     * Build reminder rules from the selects
+     */
+    function readReminderRules() {
+        const rules = { default: null, formats: {}, courses: {} };
+
+        for (const select of reminderList.querySelectorAll('select')) {
+            if (select.value === 'inherit') continue;
+            const minutes = select.value === 'none' ? null : Number(select.value);
+
+            if (select.dataset.scope === 'default') {
+                rules.default = minutes;
+            } else {
+                rules[select.dataset.scope === 'format' ? 'formats' : 'courses'][select.dataset.key] = minutes;
+            }
         }
+
+        return rules;
     }
 
-    function readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(new Uint8Array(e.target.result));
-            reader.onerror = reject;
-            reader.readAsArrayBuffer(file);
+    // ==========================================
+    // Title, Description and Location Templates
+    // ==========================================
+
+    /**
+     * Saved templates from a previous visit, or the default preset
+     */
+    function loadTemplates() {
+        const { name, ...fallback } = EventTemplates.presets[EventTemplates.defaultPreset];
+        try {
+            const saved = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY));
+            return saved ? { ...fallback, ...saved } : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function setTemplates(newTemplates) {
+        templates = newTemplates;
+        try {
+            localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+        } catch (e) {
+            // Private browsing: the templates still apply for this visit
+        }
+        renderTemplateOptions();
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
+        }
+    }
+
+    function renderTemplateOptions() {
+        for (const input of templateInputs) {
+            // Don't move the caret of the field being typed in
+            if (input !== document.activeElement) {
+                input.value = templates[input.dataset.template] || '';
+            }
+        }
+
+        const presetId = Object.keys(EventTemplates.presets).find(id => {
+            const preset = EventTemplates.presets[id];
+            return templateInputs.every(input => preset[input.dataset.template] === templates[input.dataset.template]);
         });
+        templatePreset.value = presetId || 'custom';
+
+        const problems = templateInputs.flatMap(input => EventTemplates.validate(templates[input.dataset.template]));
+        templateErrors.textContent = problems.join('. ');
+
+        // Live preview with the first class and the first exam
+        const samples = [
+            currentEvents.find(e => e.kind !== 'exam'),
+            currentEvents.find(e => e.kind === 'exam')
+        ].filter(Boolean);
+        templatePreview.textContent = samples.map(event => {
+            const rendered = EventTemplates.apply(event, templates);
+            return `Title: ${rendered.summary}\nLocation: ${rendered.location}\nDescription:\n${rendered.description}`;
+        }).join('\n\n') || 'Parse a file to preview your events.';
+
+        templateOptions.hidden = false;
     }
 
     // ==========================================
@@ -137,68 +464,279 @@ document.addEventListener('DOMContentLoaded', () => {
     // ==========================================
 
     function showPreview(events) {
-        // Clear previous preview
         previewBody.innerHTML = '';
+        calendar.removeAllEvents();
 
-        let validCount = 0;
+        const courseColors = getCourseColors(events);
+        const conflicts = SchedulePipeline.findConflicts(events);
+        const conflictsByEvent = ScheduleConflicts.byEvent(conflicts);
+        const travelWarnings = SchedulePipeline.findTravelWarnings(events);
+        renderConflicts(conflicts);
+        renderTravelWarnings(travelWarnings);
+
+        if (editingId === 'new') {
+            previewBody.appendChild(renderEditorRow(null));
+        }
 
-        // Populate table
         for (const event of events) {
-            const row = document.createElement('tr');
+            const isValid = SchedulePipeline.isComplete(event);
 
-            // Check if valid
-            const isValid = event.days.length > 0 && event.startTime && event.endTime;
-            if (isValid) validCount++;
+            // Edit the stored event, not this copy with templates and settings applied
+            if (event.id === editingId) {
+                previewBody.appendChild(renderEditorRow(currentEvents.find(e => e.id === event.id)));
+            }
 
+            const row = document.createElement('tr');
+            row.hidden = event.id === editingId;
             if (!isValid) {
                 row.classList.add('row-error');
             }
-
-            const daysDisplay = event.days.length > 0 ? event.days.join(', ') : '<span class="error-text">?</span>';
-
-            let timeDisplay = '-';
-            if (event.startTime && event.endTime) {
-                timeDisplay = `${formatTime(event.startTime)} - ${formatTime(event.endTime)}`;
-            } else {
-                timeDisplay = '<span class="error-text" title="Could not parse time">⚠️ Time?</span>';
+            if (conflictsByEvent.has(event)) {
+                row.classList.add('row-conflict');
             }
 
-            // Add raw data button if invalid
-            const rawButton = !isValid && event.raw ?
-                `<br><button class="btn-xs btn-debug" onclick="alert('Raw Data:\\n' + '${escapeJs(event.raw)}')">View Raw</button>` : '';
+            const timeDisplay = event.startTime && event.endTime ?
+                `${formatTime(event.startTime)} - ${formatTime(event.endTime)}` : '?';
+            const datesDisplay = event.kind === 'exam' ?
+                formatDate(event.startDate) : `${formatDate(event.startDate)} to ${formatDate(event.endDate)}`;
 
             row.innerHTML = `
+                <td title="${escapeHtml(event.courseTitle)}">${escapeHtml(event.courseCode)}${event.summary ? `<div class="note-skips">${escapeHtml(event.summary)}</div>` : ''}</td>
+                <td>${escapeHtml(event.kind === 'exam' ? event.examType : event.format)}</td>
+                <td>${event.kind === 'exam' ? '-' : (event.days.length > 0 ? event.days.join(', ') : '?')}</td>
+                <td>${timeDisplay}</td>
+                <td>${datesDisplay}</td>
+                <td>${escapeHtml(event.location)}</td>
+                <td>${escapeHtml(SchedulePipeline.getTermName(event.term))}</td>
+                <td>${isValid ? escapeHtml(SchedulePipeline.describeFrequency(event)) : 'Parsing incomplete'}${event.edited ? ' <em>(edited)</em>' : ''}
+                    ${typeof event.reminder === 'number' ? `<div class="note-skips">Reminder: ${ReminderRules.describe(event.reminder)}</div>` : ''}</td>
                 <td>
-                    <strong>${escapeHtml(event.courseCode)}</strong>
-                    ${!isValid ? '<div class="error-text-small">Parsing incomplete</div>' : ''}
+                    <button class="btn-xs" data-action="edit">Edit</button>
+                    <button class="btn-xs" data-action="delete">Delete</button>
                 </td>
-                <td>${escapeHtml(event.section)}</td>
-                <td>${escapeHtml(event.format)}</td>
-                <td>${daysDisplay}</td>
-                <td>${timeDisplay} ${rawButton}</td>
-                <td>${escapeHtml(event.location || '-')}</td>
             `;
 
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                editingId = event.id;
+                showPreview(getScheduleEvents());
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                updateEvents(currentEvents.filter(e => e.id !== event.id), `Deleted ${event.summary || event.courseCode}`);
+            });
+
+            if (event.excludedDates && event.excludedDates.length > 0) {
+                const skips = document.createElement('div');
+                skips.className = 'note-skips';
+                skips.textContent = `Skips ${SchedulePipeline.describeExclusions(event)}`;
+                row.cells[7].appendChild(skips);
+            }
+
+            for (const { other, conflict } of conflictsByEvent.get(event) || []) {
+                const clash = document.createElement('div');
+                clash.className = 'note-conflict';
+                const count = conflict.meetings.length;
+                clash.textContent = `Clashes with ${other.courseCode} ${other.section || ''} on ${count} date${count === 1 ? '' : 's'}`;
+                clash.title = ScheduleConflicts.describe(conflict);
+                row.cells[7].appendChild(clash);
+            }
+
+            for (const warning of TravelWarnings.forEvent(event, travelWarnings)) {
+                const isFrom = warning.events[0] === event;
+                const other = isFrom ? warning.buildings[1] : warning.buildings[0];
+                const tight = document.createElement('div');
+                tight.className = 'note-travel';
+                tight.textContent = `${isFrom ? 'Then' : 'Coming from'} ${other.code}: ~${warning.walk} min walk, ${warning.gap} min gap`;
+                tight.title = TravelWarnings.describe(warning);
+                row.cells[7].appendChild(tight);
+            }
+
+            // Let the user see what could not be parsed
+            if (!isValid && event.raw) {
+                const rawButton = document.createElement('button');
+                rawButton.className = 'btn-xs btn-debug';
+                rawButton.textContent = 'View Raw';
+                rawButton.addEventListener('click', () => alert('Raw Data:\n' + event.raw));
+                row.cells[7].appendChild(rawButton);
+            }
+
             previewBody.appendChild(row);
+
+            const previewOptions = {
+                color: courseColors[event.courseCode],
+                timeZone: previewTimeZone.value,
+                conflictDates: ScheduleConflicts.getConflictDates(event, conflicts)
+            };
+            for (const previewEvent of SchedulePipeline.toPreviewEvents(event, previewOptions)) {
+                calendar.addEvent(previewEvent);
+            }
+        }
+
+        renderDiff(events);
+
+        // Exams can fall on Saturdays
+        const hasWeekendEvents = calendar.getEvents().some(e => e.start.getDay() === 0 || e.start.getDay() === 6);
+        calendar.setOption('weekends', hasWeekendEvents);
+
+        // In another time zone classes can fall outside the usual 7:00-21:00
+        const hours = calendar.getEvents().flatMap(e => [e.start.getHours(), e.end ? e.end.getHours() + (e.end.getMinutes() > 0 ? 1 : 0) : 0]);
+        const pad = (n) => String(n).padStart(2, '0');
+        calendar.setOption('slotMinTime', `${pad(Math.min(7, ...hours))}:00:00`);
+        calendar.setOption('slotMaxTime', `${pad(Math.max(21, ...hours))}:00:00`);
+
+        undoBtn.disabled = undoStack.length === 0;
+        tableSection.style.display = 'block';
+        calendarSection.style.display = 'block';
+        calendar.updateSize();
+
+        // Go to the first event's date
+        const first = events.find(e => SchedulePipeline.isComplete(e));
+        if (first) {
+            calendar.gotoDate(new Date(first.startDate.year, first.startDate.month - 1, first.startDate.day));
         }
+    }
+
+    /**
+     * List every clash with its sections and dates above the table
+     */
+    function renderConflicts(conflicts) {
+        conflictList.innerHTML = '';
+        conflictList.hidden = conflicts.length === 0;
+        if (conflicts.length === 0) return;
 
-        // Update event count
-        eventCount.textContent = validCount;
+        const heading = document.createElement('p');
+        heading.textContent = `${conflicts.length} time conflict${conflicts.length === 1 ? '' : 's'}: Workday lets you register in overlapping sections, so check these`;
+        conflictList.appendChild(heading);
 
-        // Show warning if some events are invalid
-        if (validCount < events.length) {
-            const warning = document.createElement('div');
-            warning.className = 'warning-banner';
-            warning.innerHTML = `⚠️ Using flexible parsing. ${events.length - validCount} event(s) could not be fully parsed. Check the "View Raw" buttons.`;
-            previewSection.insertBefore(warning, previewSection.firstChild);
+        const list = document.createElement('ul');
+        for (const conflict of conflicts) {
+            const item = document.createElement('li');
+            item.textContent = ScheduleConflicts.describe(conflict);
+            list.appendChild(item);
         }
+        conflictList.appendChild(list);
+    }
+
+    /**
+     * List back-to-back meetings that are a long walk apart
+     */
+    function renderTravelWarnings(warnings) {
+        travelList.innerHTML = '';
+        travelList.hidden = warnings.length === 0;
+        if (warnings.length === 0) return;
 
-        // Show preview section
-        previewSection.hidden = false;
+        const heading = document.createElement('p');
+        heading.textContent = `${warnings.length} tight connection${warnings.length === 1 ? '' : 's'} between buildings`;
+        travelList.appendChild(heading);
+
+        const list = document.createElement('ul');
+        for (const warning of warnings) {
+            const item = document.createElement('li');
+            item.textContent = TravelWarnings.describe(warning);
+            list.appendChild(item);
+        }
+        travelList.appendChild(list);
+    }
+
+    // ==========================================
+    // Event Editing
+    // ==========================================
+
+    /**
+     * Inline form for editing an event, or for a new custom event when `event` is null
+     */
+    function renderEditorRow(event) {
+        const isExam = event && event.kind === 'exam';
+        const values = event ? EventEditor.toFormValues(event) : newEventValues();
+
+        const row = document.createElement('tr');
+        row.className = 'editor-row';
+        row.innerHTML = `
+            <td colspan="9">
+                <div class="editor-fields">
+                    <label>Title <input name="summary" value="${escapeHtml(values.summary)}"></label>
+                    <label ${isExam ? 'hidden' : ''}>Days <input name="days" value="${escapeHtml(values.days)}" placeholder="Mon Wed"></label>
+                    <label>Start <input type="time" name="startTime" value="${values.startTime}"></label>
+                    <label>End <input type="time" name="endTime" value="${values.endTime}"></label>
+                    <label>${isExam ? 'Date' : 'From'} <input type="date" name="startDate" value="${values.startDate}"></label>
+                    <label ${isExam ? 'hidden' : ''}>Until <input type="date" name="endDate" value="${values.endDate}"></label>
+                    <label>Location <input name="location" value="${escapeHtml(values.location)}"></label>
+                </div>
+                <div class="editor-errors error"></div>
+                <button class="btn-xs" data-action="save">${event ? 'Save' : 'Add'}</button>
+                <button class="btn-xs" data-action="cancel">Cancel</button>
+            </td>
+        `;
+
+        row.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const formValues = {};
+            for (const input of row.querySelectorAll('input[name]')) {
+                formValues[input.name] = input.value;
+            }
+
+            const result = event ?
+                EventEditor.applyChanges(event, formValues) :
+                EventEditor.createCustomEvent(formValues, EventEditor.nextId(currentEvents));
+            if (!result.event) {
+                row.querySelector('.editor-errors').textContent = result.errors.join('. ');
+                return;
+            }
+
+            const updated = SchedulePipeline.assignTerm(result.event);
+            editingId = null;
+            if (event) {
+                updateEvents(currentEvents.map(e => e.id === event.id ? updated : e), `Edited ${updated.summary || updated.courseCode}`);
+            } else {
+                updateEvents([...currentEvents, updated], `Added ${updated.courseCode}`);
+            }
+        });
+
+        row.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            editingId = null;
+            showPreview(getScheduleEvents());
+        });
+
+        return row;
+    }
+
+    /**
+     * Starting values for a custom event: a weekly meeting over the first event's dates
+     */
+    function newEventValues() {
+        const template = currentEvents.find(e => e.kind !== 'exam' && SchedulePipeline.isComplete(e));
+        const values = template ? EventEditor.toFormValues(template) : EventEditor.toFormValues({});
+        return { ...values, summary: '', days: '', startTime: '', endTime: '', location: '' };
+    }
+
+    /**
+     * Replace the event list, remembering the previous one for undo
+     */
+    function updateEvents(events, description) {
+        undoStack.push({ events: currentEvents, description });
+        currentEvents = events;
+        log(description);
+        refresh();
+    }
+
+    function undo() {
+        const previous = undoStack.pop();
+        if (!previous) return;
+
+        currentEvents = previous.events;
+        editingId = null;
+        log(`Undid: ${previous.description}`);
+        refresh();
+    }
+
+    function refresh() {
+        renderTermOptions(SchedulePipeline.getTerms(currentEvents));
+        renderReminderOptions();
+        renderTemplateOptions();
+        showPreview(getScheduleEvents());
+        setExportEnabled(currentEvents.length > 0);
     }
 
     function formatTime(time) {
-        if (!time) return '';
+        if (!time) return '?';
 
         let hours = time.hours;
         const minutes = String(time.minutes).padStart(2, '0');
@@ -210,6 +748,10 @@ document.addEventListener('DOMContentLoaded', () => {
         return `${hours}:${minutes} ${period}`;
     }
 
+    function formatDate(date) {
+        return date ? Shared.toDateKey(date) : '?';
+    }
+
     function escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
@@ -217,9 +759,136 @@ document.addEventListener('DOMContentLoaded', () => {
         return div.innerHTML;
     }
 
-    function escapeJs(text) {
-        if (!text) return '';
-        return text.replace(/'/g, "\\'").replace(/\n/g, "\\n").replace(/\r/g, "");
+    // ==========================================
+    // Parse Diagnostics
+    // ==========================================
+
+    function showDiagnostics(diagnostics) {
+        diagnosticsBody.innerHTML = '';
+
+        const counts = ParseDiagnostics.summarize(diagnostics);
+        diagnosticsSummary.textContent = `Parse diagnostics: ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s)`;
+
+        for (const diagnostic of diagnostics) {
+            const row = document.createElement('tr');
+            row.className = `diagnostic-${diagnostic.severity}`;
+            row.innerHTML = `
+                <td>${escapeHtml(diagnostic.severity)}</td>
+                <td>${escapeHtml(diagnostic.sheet)}</td>
+                <td>${diagnostic.row ?? ''}</td>
+                <td>${escapeHtml(diagnostic.column)}</td>
+                <td>${escapeHtml(diagnostic.value)}</td>
+                <td>${escapeHtml(diagnostic.expected)}</td>
+                <td>${escapeHtml(diagnostic.message)}</td>
+            `;
+            diagnosticsBody.appendChild(row);
+        }
+
+        diagnosticsPanel.hidden = diagnostics.length === 0;
+        // Open straight away when something went wrong
+        diagnosticsPanel.open = counts.error > 0;
+
+        if (counts.error + counts.warning > 0) {
+            log(`${counts.error} error(s) and ${counts.warning} warning(s); see "Parse diagnostics" below`);
+        }
+    }
+
+    function downloadDiagnostics() {
+        const report = ParseDiagnostics.toReport(currentDiagnostics, {
+            academicCalendarVersion: SchedulePipeline.getAcademicCalendar().version,
+            sheets: currentSheets
+        });
+        saveFile(JSON.stringify(report, null, 2), 'ubc-workday-diagnostics.json', 'application/json');
+    }
+
+    // ==========================================
+    // Changes Since a Previous Calendar
+    // ==========================================
+
+    async function loadPreviousCalendar() {
+        const file = previousInput.files[0];
+        if (!file) return;
+
+        try {
+            previousEvents = ICSReader.parse(await file.text()).events;
+            log(`Comparing with ${file.name} (${previousEvents.length} events)`);
+        } catch (err) {
+            console.error('Error reading previous calendar:', err);
+            log('Could not read the previous calendar: ' + err.message);
+            previousEvents = null;
+        }
+
+        if (currentEvents.length > 0) {
+            showPreview(getScheduleEvents());
+        }
+    }
+
+    /**
+     * List added, dropped and changed sections against the previous calendar
+     */
+    function renderDiff(events) {
+        diffBody.innerHTML = '';
+        if (!previousEvents) {
+            currentDiff = null;
+            diffSection.hidden = true;
+            return;
+        }
+
+        // Sections in unticked terms and rows that were not read completely are still on the
+        // schedule: they are left out of the updates, but never cancelled
+        const complete = events.filter(e => SchedulePipeline.isComplete(e));
+        const compared = new Set(complete.map(e => e.id));
+        currentDiff = ScheduleDiff.compare(previousEvents, complete, { others: currentEvents.filter(e => !compared.has(e.id)) });
+        const rows = [
+            ...currentDiff.added.map(event => ['Added', event, describeEventBrief(event)]),
+            ...currentDiff.dropped.map(event => ['Dropped', event, describeEventBrief(event)]),
+            ...currentDiff.changed.map(({ event, changes }) => ['Changed', event,
+                changes.map(change => `${change.label}: ${change.from || '(none)'} → ${change.to || '(none)'}`).join('\n')])
+        ];
+
+        for (const [change, event, details] of rows) {
+            const row = document.createElement('tr');
+            row.className = `diff-${change.toLowerCase()}`;
+            row.innerHTML = `
+                <td>${change}</td>
+                <td>${escapeHtml(SchedulePipeline.getGenerator().buildSummary(event))}</td>
+                <td class="diff-details">${escapeHtml(details)}</td>
+            `;
+            diffBody.appendChild(row);
+        }
+
+        diffSummary.textContent = rows.length === 0 ?
+            'No changes: your previous calendar is up to date.' :
+            `${currentDiff.added.length} added, ${currentDiff.dropped.length} dropped, ${currentDiff.changed.length} changed, ${currentDiff.unchanged.length} unchanged` +
+            (currentDiff.kept.length > 0 ? `, ${currentDiff.kept.length} not compared (unticked terms or incomplete rows).` : '.');
+        downloadUpdatesBtn.disabled = currentDiff.added.length + currentDiff.changed.length === 0;
+        downloadCancellationsBtn.disabled = currentDiff.dropped.length === 0;
+        diffSection.hidden = false;
+    }
+
+    function describeEventBrief(event) {
+        const days = event.kind === 'exam' ? '' : `${(event.days || []).join(', ')} `;
+        return `${days}${formatTime(event.startTime)} - ${formatTime(event.endTime)}, ${formatDate(ScheduleDiff.getFirstMeeting(event))} to ${formatDate(event.endDate)}${event.location ? `, ${event.location}` : ''}`;
+    }
+
+    /**
+     * Events of the last download in this browser, a saved session to compare against
+     */
+    function loadLastExport() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_EXPORT_STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function saveLastExport(events) {
+        try {
+            localStorage.setItem(LAST_EXPORT_STORAGE_KEY, JSON.stringify(events));
+            compareLastBtn.disabled = false;
+        } catch (e) {
+            // Private browsing: comparing needs the previous .ics instead
+        }
     }
 
     // ==========================================
@@ -227,67 +896,171 @@ document.addEventListener('DOMContentLoaded', () => {
     // ==========================================
 
     function downloadICS() {
-        const validEvents = currentEvents.filter(e => e.days.length > 0 && e.startTime && e.endTime);
+        const scheduleEvents = getScheduleEvents();
+        const validEvents = scheduleEvents.filter(e => SchedulePipeline.isComplete(e));
 
         if (validEvents.length === 0) {
-            showError('No valid events were found to add to your calendar.');
+            log('No valid events were found to add to your calendar.');
             return;
         }
 
-        if (validEvents.length < currentEvents.length) {
-            if (!confirm(`Warning: Only ${validEvents.length} out of ${currentEvents.length} events could be parsed correctly. Download anyway?`)) {
+        if (validEvents.length < scheduleEvents.length) {
+            if (!confirm(`Warning: Only ${validEvents.length} out of ${scheduleEvents.length} events could be parsed correctly. Download anyway?`)) {
                 return;
             }
         }
 
         try {
-            // Generate ICS content
-            const icsContent = ICSGenerator.generate(validEvents);
+            // Same UIDs as earlier downloads; changed events get a higher SEQUENCE
+            const previous = loadRevisions();
+            const revised = SchedulePipeline.applyRevisions(validEvents, previous);
+            const exportEvents = revised.events;
+            const changed = exportEvents.filter(e => previous[e.uid] && previous[e.uid].sequence !== e.sequence).length;
 
-            // Create blob and download
-            const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
+            // One calendar, or one per term, course or format bundled in a zip
+            const groups = SchedulePipeline.groupEvents(exportEvents, exportGrouping.value);
+            const files = groups.map(group => ({
+                name: groups.length > 1 ? `${currentFileName}-${ZipWriter.toFileName(group.id)}.ics` : `${currentFileName}.ics`,
+                content: SchedulePipeline.generateICS(group.events, {
+                    calendarName: group.name ? `UBC ${group.name}` : undefined,
+                    color: group.color,
+                    timeZone: timeZoneMode.value
+                })
+            }));
+            files.forEach(file => checkCalendar(file.content));
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `${currentFileName}.ics`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            if (files.length === 1) {
+                saveFile(files[0].content, files[0].name);
+            } else {
+                saveFile(ZipWriter.create(files), `${currentFileName}-calendars.zip`, 'application/zip');
+                log(`${files.length} calendars in one zip; import each into its own calendar to show or hide them separately`);
+            }
 
-            URL.revokeObjectURL(url);
+            saveRevisions(revised.revisions);
+            saveLastExport(exportEvents);
+            if (changed > 0) {
+                log(`${changed} event(s) changed since your last download; re-importing will update them`);
+            }
 
         } catch (err) {
             console.error('Error generating ICS:', err);
-            showError('Failed to generate calendar file. Please try again.');
+            log('Failed to generate calendar file. Please try again.');
+            status.className = 'error';
         }
     }
 
-    // ==========================================
-    // Error Handling
-    // ==========================================
+    /**
+     * Log anything in a generated calendar that breaks RFC 5545, so it gets reported
+     */
+    function checkCalendar(icsContent) {
+        const problems = SchedulePipeline.validateICS(icsContent);
+        for (const problem of problems) {
+            console.warn('ICS validation:', problem);
+        }
+        if (problems.length > 0) {
+            log(`The calendar file has ${problems.length} formatting problem(s); some calendar apps may reject it. Please report this.`);
+        }
+    }
+
+    /**
+     * Fingerprints and SEQUENCE numbers of earlier downloads, kept in this browser
+     */
+    function loadRevisions() {
+        try {
+            return JSON.parse(localStorage.getItem(REVISION_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function saveRevisions(revisions) {
+        try {
+            localStorage.setItem(REVISION_STORAGE_KEY, JSON.stringify(revisions));
+        } catch (e) {
+            // Private browsing: every download starts again from SEQUENCE 0
+        }
+    }
 
-    function showError(message) {
-        errorMessage.textContent = message;
-        errorSection.hidden = false;
-        previewSection.hidden = true;
+    /**
+     * Open the printable timetable in a new window and bring up the print dialog,
+     * where it can also be saved as a PDF. Downloads it when pop-ups are blocked.
+     */
+    function printTimetable() {
+        const events = getScheduleEvents();
+        const html = SchedulePipeline.generateTimetable(events, { title: `${currentFileName} timetable`, colors: getCourseColors(events) });
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            saveFile(html, `${currentFileName}-timetable.html`, 'text/html');
+            return;
+        }
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * One color per course, in order of first appearance
+     */
+    function getCourseColors(events) {
+        const courseColors = {};
+        for (const event of events) {
+            if (!courseColors[event.courseCode]) {
+                courseColors[event.courseCode] = COURSE_COLORS[Object.keys(courseColors).length % COURSE_COLORS.length];
+            }
+        }
+        return courseColors;
+    }
+
+    function setExportEnabled(enabled) {
+        for (const button of exportButtons) {
+            button.disabled = !enabled;
+        }
+    }
+
+    function saveFile(content, filename, type = 'text/calendar') {
+        // Create blob and download
+        const blob = new Blob([content], { type: typeof content === 'string' ? `${type};charset=utf-8` : type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
     }
 
     // ==========================================
     // State Management
     // ==========================================
 
+    function log(message) {
+        status.textContent += message + '\n';
+    }
+
     function resetState() {
         currentEvents = [];
-        currentFileName = 'schedule';
-        fileInput.value = '';
-        fileInfo.hidden = true;
-        previewSection.hidden = true;
-        errorSection.hidden = true;
+        undoStack = [];
+        editingId = null;
+        setExportEnabled(false);
+        status.className = '';
         previewBody.innerHTML = '';
-
-        // Remove warning banner if exists
-        const banner = previewSection.querySelector('.warning-banner');
-        if (banner) banner.remove();
+        tableSection.style.display = 'none';
+        calendarSection.style.display = 'none';
+        calendar.removeAllEvents();
+        termList.innerHTML = '';
+        termOptions.hidden = true;
+        reminderList.innerHTML = '';
+        reminderOptions.hidden = true;
+        templateOptions.hidden = true;
+        currentDiagnostics = [];
+        currentSheets = [];
+        diagnosticsBody.innerHTML = '';
+        diagnosticsPanel.hidden = true;
+        diffBody.innerHTML = '';
+        diffSection.hidden = true;
     }
 });
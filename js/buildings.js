@@ -0,0 +1,127 @@
+/**
+ * UBC Buildings
+ * Building codes used in Workday meeting patterns for UBC Vancouver, with full names
+ * and approximate coordinates (WGS84, building centres), for map pins and walking times.
+ * Bump `version` whenever the table changes.
+ */
+
+const UBCBuildings = {
+    version: '2026.1',
+
+    buildings: {
+        AERL: { name: 'Aquatic Ecosystems Research Laboratory', latitude: 49.2625, longitude: -123.2510 },
+        ALRD: { name: 'Allard Hall', latitude: 49.2700, longitude: -123.2534 },
+        ANGU: { name: 'Henry Angus Building', latitude: 49.2654, longitude: -123.2538 },
+        ANSO: { name: 'Anthropology and Sociology Building', latitude: 49.2696, longitude: -123.2573 },
+        AUDX: { name: 'Auditorium Annex', latitude: 49.2668, longitude: -123.2556 },
+        BIOL: { name: 'Biological Sciences Building', latitude: 49.2643, longitude: -123.2515 },
+        BRIM: { name: 'Brimacombe Building', latitude: 49.2619, longitude: -123.2478 },
+        BUCH: { name: 'Buchanan Building', latitude: 49.2690, longitude: -123.2550 },
+        BUTO: { name: 'Buchanan Tower', latitude: 49.2685, longitude: -123.2541 },
+        CEME: { name: 'Civil and Mechanical Engineering Building', latitude: 49.2622, longitude: -123.2488 },
+        CHAN: { name: 'Chan Centre for the Performing Arts', latitude: 49.2696, longitude: -123.2567 },
+        CHBE: { name: 'Chemical and Biological Engineering Building', latitude: 49.2622, longitude: -123.2474 },
+        CHEM: { name: 'Chemistry Building', latitude: 49.2660, longitude: -123.2528 },
+        CIRS: { name: 'Centre for Interactive Research on Sustainability', latitude: 49.2622, longitude: -123.2534 },
+        DMP: { name: 'Hugh Dempster Pavilion', latitude: 49.2612, longitude: -123.2489 },
+        ESB: { name: 'Earth Sciences Building', latitude: 49.2625, longitude: -123.2521 },
+        FNH: { name: 'Food, Nutrition and Health Building', latitude: 49.2640, longitude: -123.2505 },
+        FRWO: { name: 'Frederic Wood Theatre', latitude: 49.2683, longitude: -123.2567 },
+        FSC: { name: 'Forest Sciences Centre', latitude: 49.2605, longitude: -123.2487 },
+        GEOG: { name: 'Geography Building', latitude: 49.2658, longitude: -123.2564 },
+        HEBB: { name: 'Hebb Building', latitude: 49.2661, longitude: -123.2515 },
+        HENN: { name: 'Hennings Building', latitude: 49.2667, longitude: -123.2520 },
+        IBLC: { name: 'Irving K. Barber Learning Centre', latitude: 49.2676, longitude: -123.2527 },
+        ICCS: { name: 'ICICS/CS Building', latitude: 49.2612, longitude: -123.2488 },
+        KAIS: { name: 'Fred Kaiser Building', latitude: 49.2620, longitude: -123.2496 },
+        KENN: { name: 'Douglas T. Kenny Building', latitude: 49.2644, longitude: -123.2532 },
+        LASR: { name: 'Frederic Lasserre Building', latitude: 49.2678, longitude: -123.2559 },
+        LIFE: { name: 'UBC Life Building', latitude: 49.2670, longitude: -123.2501 },
+        LSC: { name: 'Life Sciences Centre', latitude: 49.2623, longitude: -123.2456 },
+        LSK: { name: 'Leonard S. Klinck Building', latitude: 49.2654, longitude: -123.2552 },
+        MATH: { name: 'Mathematics Building', latitude: 49.2663, longitude: -123.2555 },
+        MATX: { name: 'Mathematics Annex', latitude: 49.2664, longitude: -123.2546 },
+        MCLD: { name: 'MacLeod Building', latitude: 49.2618, longitude: -123.2500 },
+        MCML: { name: 'MacMillan Building', latitude: 49.2615, longitude: -123.2509 },
+        MGYM: { name: 'War Memorial Gymnasium', latitude: 49.2668, longitude: -123.2480 },
+        MUSC: { name: 'Music Building', latitude: 49.2669, longitude: -123.2564 },
+        ORCH: { name: 'Orchard Commons', latitude: 49.2601, longitude: -123.2504 },
+        OSBO: { name: 'Robert F. Osborne Centre', latitude: 49.2588, longitude: -123.2497 },
+        PCOH: { name: 'Ponderosa Commons: Oak House', latitude: 49.2640, longitude: -123.2570 },
+        PHRM: { name: 'Pharmaceutical Sciences Building', latitude: 49.2627, longitude: -123.2437 },
+        SCRF: { name: 'Neville Scarfe Building', latitude: 49.2657, longitude: -123.2500 },
+        SOWK: { name: 'Jack Bell Building for the School of Social Work', latitude: 49.2665, longitude: -123.2578 },
+        SPPH: { name: 'School of Population and Public Health', latitude: 49.2630, longitude: -123.2478 },
+        SRC: { name: 'Student Recreation Centre', latitude: 49.2673, longitude: -123.2490 },
+        SWNG: { name: 'West Mall Swing Space', latitude: 49.2624, longitude: -123.2540 },
+        WESB: { name: 'Wesbrook Building', latitude: 49.2644, longitude: -123.2493 },
+        WOOD: { name: 'Woodward Instructional Resources Centre', latitude: 49.2642, longitude: -123.2475 }
+    },
+
+    /**
+     * Walking speed in metres per minute, and how much longer paths are than a straight line
+     */
+    walkingSpeed: 75,
+    pathFactor: 1.3,
+
+    /**
+     * Building for a code, e.g. 'ICCS'
+     * @returns {Object|null} - { code, name, latitude, longitude }
+     */
+    lookup(code) {
+        const key = (code || '').trim().toUpperCase();
+        const building = this.buildings[key];
+        return building ? { code: key, ...building } : null;
+    },
+
+    /**
+     * Building named in a location or building field: a code in parentheses
+     * ("Swing Space (SWNG)") or a code standing alone at the start ("ICCS Rm 008",
+     * "ESB 1013", "ESB"). A leading word followed by more words is part of a name
+     * ("Life Sciences Centre" is LSC, not LIFE), so it is left to the name lookup.
+     * @returns {Object|null} - See lookup()
+     */
+    find(text) {
+        const value = text || '';
+        const inParentheses = value.match(/\(([A-Za-z]{2,5})\)/);
+        if (inParentheses && this.lookup(inParentheses[1])) {
+            return this.lookup(inParentheses[1]);
+        }
+        // Then nothing, a separator, or a room: "1013", "Rm 008", "Room B101"
+        const leading = value.trim().match(/^([A-Za-z]{2,5})(?=$|\s*[-–—,|/:(]|\s+(?:(?:Rm|Room)\.?\s*)?[A-Za-z]?\d)/i);
+        return leading ? this.lookup(leading[1]) : null;
+    },
+
+    /**
+     * Building an event meets in, from its building field or else its location
+     */
+    forEvent(event) {
+        return this.find(event.building) || this.find(event.location);
+    },
+
+    /**
+     * Straight-line distance between two buildings in metres (haversine)
+     */
+    distance(a, b) {
+        const radians = (degrees) => degrees * Math.PI / 180;
+        const dLat = radians(b.latitude - a.latitude);
+        const dLon = radians(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(h));
+    },
+
+    /**
+     * Estimated walk between two buildings, in whole minutes
+     */
+    walkingMinutes(a, b) {
+        return Math.ceil(this.distance(a, b) * this.pathFactor / this.walkingSpeed);
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UBCBuildings;
+} else {
+    globalThis.UBCBuildings = UBCBuildings;
+}
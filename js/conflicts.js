@@ -0,0 +1,122 @@
+/**
+ * Schedule Conflicts
+ * Finds events that overlap in time. Recurrences are expanded the way the .ics does
+ * (alternate weeks, skipped holidays, different date ranges), so only meetings that
+ * really clash are reported.
+ */
+
+const ScheduleConflicts = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    /**
+     * Find every pair of events with overlapping meetings
+     * @param {Array} events - Complete events
+     * @returns {Array} - Array of { events: [a, b], meetings: Array of { date, start, end } },
+     *                    one per pair; start and end are the overlapping part, as { hours, minutes }
+     */
+    find(events) {
+        const generator = this.getGenerator();
+
+        // Meetings by date, e.g. '2024-09-09' -> [{ event, start, end }]
+        const byDate = new Map();
+        for (const event of events) {
+            if (!event.startTime || !event.endTime) continue;
+            for (const date of generator.expandOccurrences(event)) {
+                const key = this.shared.toDateKey(date);
+                if (!byDate.has(key)) byDate.set(key, []);
+                byDate.get(key).push({ event, date, start: this.toMinutes(event.startTime), end: this.toMinutes(event.endTime) });
+            }
+        }
+
+        const pairs = new Map();
+        for (const key of [...byDate.keys()].sort()) {
+            const meetings = byDate.get(key);
+            for (let i = 0; i < meetings.length; i++) {
+                for (let j = i + 1; j < meetings.length; j++) {
+                    const a = meetings[i];
+                    const b = meetings[j];
+                    // Back-to-back meetings (one ends as the other starts) do not clash
+                    if (a.event === b.event || a.start >= b.end || b.start >= a.end) continue;
+
+                    const [first, second] = events.indexOf(a.event) < events.indexOf(b.event) ? [a, b] : [b, a];
+                    if (!pairs.has(first.event)) pairs.set(first.event, new Map());
+                    const byOther = pairs.get(first.event);
+                    if (!byOther.has(second.event)) {
+                        byOther.set(second.event, { events: [first.event, second.event], meetings: [] });
+                    }
+                    byOther.get(second.event).meetings.push({
+                        date: a.date,
+                        start: this.toTime(Math.max(a.start, b.start)),
+                        end: this.toTime(Math.min(a.end, b.end))
+                    });
+                }
+            }
+        }
+
+        return [...pairs.values()].flatMap(byOther => [...byOther.values()]);
+    },
+
+    /**
+     * Conflicts of each event
+     * @param {Array} conflicts - Result of find()
+     * @returns {Map} - event -> Array of { other, conflict }
+     */
+    byEvent(conflicts) {
+        const result = new Map();
+        const add = (event, other, conflict) => {
+            if (!result.has(event)) result.set(event, []);
+            result.get(event).push({ other, conflict });
+        };
+        for (const conflict of conflicts) {
+            const [a, b] = conflict.events;
+            add(a, b, conflict);
+            add(b, a, conflict);
+        }
+        return result;
+    },
+
+    /**
+     * Dates on which an event clashes with another, as YYYY-MM-DD keys
+     */
+    getConflictDates(event, conflicts) {
+        return new Set(conflicts
+            .filter(conflict => conflict.events.includes(event))
+            .flatMap(conflict => conflict.meetings.map(meeting => this.shared.toDateKey(meeting.date))));
+    },
+
+    /**
+     * One-line description, e.g.
+     * "CPSC 110 (101) - Lecture overlaps CPSC 121 (L1A) - Laboratory 18:00-19:30 on 3 dates: 2024-09-09, 2024-09-23, 2024-10-07"
+     */
+    describe(conflict) {
+        const generator = this.getGenerator();
+        const [a, b] = conflict.events;
+        const times = [...new Set(conflict.meetings.map(m => `${this.formatTime(m.start)}-${this.formatTime(m.end)}`))];
+        const dates = conflict.meetings.map(meeting => this.shared.toDateKey(meeting.date));
+        const count = dates.length === 1 ? 'on' : `on ${dates.length} dates:`;
+        return `${generator.buildSummary(a)} overlaps ${generator.buildSummary(b)} ${times.join(', ')} ${count} ${dates.join(', ')}`;
+    },
+
+    toMinutes(time) {
+        return time.hours * 60 + time.minutes;
+    },
+
+    toTime(minutes) {
+        return { hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+    },
+
+    formatTime(time) {
+        return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleConflicts;
+} else {
+    globalThis.ScheduleConflicts = ScheduleConflicts;
+}
@@ -0,0 +1,85 @@
+/**
+ * CSV Exporter
+ * Writes events in the CSV layout Google Calendar imports (Settings → Import & export),
+ * one row per meeting, which also opens in any spreadsheet
+ */
+
+const CSVExporter = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    /**
+     * Columns Google Calendar recognizes, in order
+     */
+    columns: ['Subject', 'Start Date', 'Start Time', 'End Date', 'End Time', 'All Day Event', 'Description', 'Location', 'Private'],
+
+    /**
+     * Generate CSV content. Times are campus clock times without a zone; Google
+     * Calendar reads them in the time zone of the calendar they are imported into.
+     * @param {Array} events - Complete events (titles and descriptions from templates are used)
+     * @returns {string} - CSV with a header row and CRLF line endings
+     */
+    generate(events) {
+        const rows = [this.columns];
+        for (const event of events) {
+            rows.push(...this.toRows(event));
+        }
+        return rows.map(row => row.map(value => this.escapeValue(value)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * One row per meeting of an event, skipped meetings left out
+     * @returns {Array} - Arrays of column values
+     */
+    toRows(event) {
+        const generator = this.getGenerator();
+        const summary = generator.buildSummary(event);
+        const description = generator.buildDescription(event);
+
+        return generator.expandOccurrences(event).map(date => [
+            summary,
+            this.formatDate(date),
+            this.formatTime(event.startTime),
+            this.formatDate(date),
+            this.formatTime(event.endTime),
+            'False',
+            description,
+            event.location || '',
+            'True'
+        ]);
+    },
+
+    /**
+     * Format { year, month, day } as MM/DD/YYYY, the order Google Calendar expects
+     */
+    formatDate(date) {
+        return `${String(date.month).padStart(2, '0')}/${String(date.day).padStart(2, '0')}/${date.year}`;
+    },
+
+    /**
+     * Format { hours, minutes } as "9:30 AM"
+     */
+    formatTime(time) {
+        const period = time.hours >= 12 ? 'PM' : 'AM';
+        const hours = time.hours % 12 || 12;
+        return `${hours}:${String(time.minutes).padStart(2, '0')} ${period}`;
+    },
+
+    /**
+     * Quote a value when it holds a comma, quote or line break (RFC 4180)
+     */
+    escapeValue(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVExporter;
+} else {
+    globalThis.CSVExporter = CSVExporter;
+}
@@ -0,0 +1,103 @@
+/**
+ * Parse Diagnostics
+ * Formats the structured diagnostics produced by the parsers and builds a
+ * shareable JSON report with personal data stripped
+ */
+
+const ParseDiagnostics = {
+    severities: ['error', 'warning', 'info'],
+
+    /**
+     * Columns whose values describe the schedule itself and are safe to share.
+     * Values from any other column (instructor, student name, IDs...) are redacted.
+     */
+    shareableColumns: [
+        'meeting patterns', 'days', 'meeting days', 'day pattern',
+        'start date', 'end date', 'meeting start date', 'meeting end date', 'first meeting date', 'last meeting date',
+        'start time', 'end time', 'meeting start time', 'meeting end time',
+        'instructional format', 'delivery mode', 'academic period', 'term',
+        'exam date', 'exam time', 'exam start time', 'exam end time', 'exam type', 'time', 'date'
+    ],
+
+    /**
+     * Build a diagnostic
+     * @param {string} severity - 'error' | 'warning' | 'info'
+     * @param {Object} details - { sheet, row, column, value, expected, message }
+     * @returns {Object}
+     */
+    create(severity, details = {}) {
+        return {
+            severity: this.severities.includes(severity) ? severity : 'error',
+            sheet: details.sheet || '',
+            row: details.row ?? null,
+            column: details.column || '',
+            value: details.value === undefined || details.value === null ? '' : String(details.value),
+            expected: details.expected || '',
+            message: details.message || ''
+        };
+    },
+
+    /**
+     * One-line description, e.g. "Sheet1 row 5, Meeting Patterns: Could not read the meeting days"
+     */
+    format(diagnostic) {
+        const where = [
+            diagnostic.sheet,
+            diagnostic.row ? `row ${diagnostic.row}` : ''
+        ].filter(Boolean).join(' ');
+        const location = [where, diagnostic.column].filter(Boolean).join(', ');
+        return location ? `${location}: ${diagnostic.message}` : diagnostic.message;
+    },
+
+    /**
+     * Count diagnostics by severity
+     * @returns {Object} - { error, warning, info }
+     */
+    summarize(diagnostics) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        for (const diagnostic of diagnostics) {
+            counts[diagnostic.severity] = (counts[diagnostic.severity] || 0) + 1;
+        }
+        return counts;
+    },
+
+    /**
+     * Build a bug-report payload with personal fields stripped
+     * @param {Array} diagnostics - Parser diagnostics
+     * @param {Object} meta - Extra non-personal context, e.g. { sheets, academicCalendarVersion }
+     * @returns {Object} - JSON-serializable report
+     */
+    toReport(diagnostics, meta = {}) {
+        return {
+            generatedAt: new Date().toISOString(),
+            ...meta,
+            summary: this.summarize(diagnostics),
+            diagnostics: diagnostics.map(d => this.redact(d))
+        };
+    },
+
+    /**
+     * Strip values that may identify a person
+     */
+    redact(diagnostic) {
+        const shareable = this.shareableColumns.includes((diagnostic.column || '').toLowerCase().trim());
+        const value = shareable ? this.scrub(diagnostic.value) : (diagnostic.value ? '[redacted]' : '');
+        return { ...diagnostic, value };
+    },
+
+    /**
+     * Remove email addresses and student/employee numbers from otherwise shareable text
+     */
+    scrub(text) {
+        return (text || '')
+            .replace(/[^\s@|]+@[^\s@|]+\.[^\s@|]+/g, '[email]')
+            .replace(/\b\d{7,}\b/g, '[number]');
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParseDiagnostics;
+} else {
+    globalThis.ParseDiagnostics = ParseDiagnostics;
+}
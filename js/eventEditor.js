@@ -0,0 +1,176 @@
+/**
+ * Event Editor
+ * Converts events to and from the values of the preview table's edit form, so rows that
+ * failed to parse can be fixed and custom events (office hours, study groups) added
+ */
+
+const EventEditor = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getParser() {
+        return this.shared.resolve('WorkdayParser', './parser.js');
+    },
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    /**
+     * Give every event an `id` the editor can find it by
+     * @param {Array} events - Parsed events
+     * @param {number} firstId - Id for the first event
+     * @returns {Array} - Copies of the events with `id` set
+     */
+    assignIds(events, firstId = 1) {
+        return events.map((event, index) => ({ ...event, id: firstId + index }));
+    },
+
+    /**
+     * Next unused id
+     */
+    nextId(events) {
+        return events.reduce((max, event) => Math.max(max, event.id || 0), 0) + 1;
+    },
+
+    /**
+     * Form values for an event, as the edit inputs expect them
+     * @returns {Object} - { summary, days: "Mon Wed", startTime: "HH:MM", endTime,
+     *                       startDate: "YYYY-MM-DD", endDate, location }
+     */
+    toFormValues(event) {
+        const dayNames = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+        const time = (t) => t ? `${String(t.hours).padStart(2, '0')}:${String(t.minutes).padStart(2, '0')}` : '';
+        const date = (d) => this.shared.toDateKey(d);
+
+        return {
+            summary: this.getGenerator().buildSummary(event),
+            days: (event.days || []).map(day => dayNames[day]).join(' '),
+            startTime: time(event.startTime),
+            endTime: time(event.endTime),
+            startDate: date(event.startDate),
+            endDate: date(event.endDate),
+            location: event.location || ''
+        };
+    },
+
+    /**
+     * Apply edit form values to an event
+     * @param {Object} event - Event being edited
+     * @param {Object} values - Form values (see toFormValues)
+     * @returns {Object} - { event: updated copy, or null when invalid, errors: Array of messages }
+     */
+    applyChanges(event, values) {
+        const parser = this.getParser();
+        const errors = [];
+
+        const days = event.kind === 'exam' ? [] : parser.parseDays(values.days);
+        const startTime = parser.normalizeTime(values.startTime);
+        const endTime = parser.normalizeTime(values.endTime);
+        const startDate = parser.parseDate(values.startDate);
+        // Exams are one-offs: their end date is their date
+        const endDate = event.kind === 'exam' ? startDate : parser.parseDate(values.endDate);
+
+        if (event.kind !== 'exam' && days.length === 0) {
+            const ambiguous = parser.tokenizeDays(values.days).ambiguous;
+            errors.push(ambiguous.length > 0 ?
+                `${ambiguous[0].message}; write the day out, e.g. "Sat"` :
+                'Enter at least one meeting day, e.g. "Mon Wed"');
+        }
+        if (!startTime || !endTime) {
+            errors.push('Enter a start and end time');
+        } else if (startTime.hours * 60 + startTime.minutes >= endTime.hours * 60 + endTime.minutes) {
+            errors.push('The end time must be after the start time');
+        }
+        if (!startDate || !endDate) {
+            errors.push(event.kind === 'exam' ? 'Enter the exam date' : 'Enter a start and end date');
+        } else if (this.compareDates(startDate, endDate) > 0) {
+            errors.push('The end date must not be before the start date');
+        }
+
+        if (errors.length > 0) {
+            return { event: null, errors };
+        }
+
+        const location = (values.location || '').trim();
+        const updated = {
+            ...event,
+            days,
+            startTime,
+            endTime,
+            startDate,
+            endDate,
+            location,
+            // Parsed building/room no longer describe a hand-typed location
+            building: location === event.location ? event.building : location,
+            buildingName: location === event.location ? event.buildingName : '',
+            floor: location === event.location ? event.floor : '',
+            room: location === event.location ? event.room : '',
+            url: location === event.location ? event.url : '',
+            edited: true
+        };
+
+        // Only keep a summary override when it differs from the generated one
+        const summary = (values.summary || '').trim();
+        delete updated.summary;
+        if (summary && summary !== this.getGenerator().buildSummary(updated)) {
+            updated.summary = summary;
+        }
+
+        return { event: updated, errors: [] };
+    },
+
+    /**
+     * Create a custom event, e.g. office hours or a study group
+     * @param {Object} values - Form values (see toFormValues); summary is required
+     * @param {number} id - Id for the new event
+     * @returns {Object} - { event, errors } as for applyChanges
+     */
+    createCustomEvent(values, id) {
+        const summary = (values.summary || '').trim();
+        if (!summary) {
+            return { event: null, errors: ['Enter a title for the event'] };
+        }
+
+        const base = {
+            id,
+            kind: 'class',
+            custom: true,
+            courseCode: summary,
+            courseTitle: '',
+            section: '',
+            format: '',
+            deliveryMode: '',
+            instructor: '',
+            days: [],
+            startTime: null,
+            endTime: null,
+            startDate: null,
+            endDate: null,
+            frequency: { interval: 1, startWeek: 1 },
+            location: '',
+            building: '',
+            room: '',
+            campus: '',
+            academicPeriod: '',
+            sourceRow: null,
+            raw: ''
+        };
+
+        return this.applyChanges(base, values);
+    },
+
+    /**
+     * Compare two { year, month, day } dates
+     * @returns {number} - Negative, zero or positive
+     */
+    compareDates(a, b) {
+        return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEditor;
+} else {
+    globalThis.EventEditor = EventEditor;
+}
@@ -0,0 +1,220 @@
+/**
+ * Parser for UBC Workday exam schedule exports
+ * Turns each exam row into a one-off (non-recurring) event
+ */
+
+const ExamScheduleParser = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    columns: {
+        course: ['Course Listing', 'Course', 'Course Section', 'Section'],
+        examType: ['Exam Type', 'Examination Type', 'Assessment Type', 'Exam'],
+        date: ['Exam Date', 'Examination Date', 'Date'],
+        startTime: ['Exam Start Time', 'Start Time'],
+        endTime: ['Exam End Time', 'End Time'],
+        time: ['Exam Time', 'Time'],
+        location: ['Exam Location', 'Location', 'Building'],
+        room: ['Room', 'Exam Room'],
+        schedule: ['Exam Schedule', 'Meeting Patterns'],
+        academicPeriod: ['Academic Period', 'Term', 'Period']
+    },
+
+    getWorkdayParser() {
+        return this.shared.resolve('WorkdayParser', './parser.js');
+    },
+
+    /**
+     * Every column name and alias this parser understands
+     */
+    getKnownColumns() {
+        return Object.values(this.columns).flat();
+    },
+
+    /**
+     * Whether the rows look like an exam schedule rather than a class schedule:
+     * an exam-specific column is present and there is no "Meeting Patterns" column
+     * @param {Array} rows - Row objects keyed by header
+     */
+    recognizes(rows) {
+        if (!rows || rows.length === 0) return false;
+        const headers = Object.keys(rows[0]).map(h => h.toLowerCase().trim());
+        const hasExamColumn = headers.some(h => /\bexam(ination)?\b/.test(h));
+        return hasExamColumn && !headers.includes('meeting patterns');
+    },
+
+    /**
+     * Parse exam rows into one-off events
+     * @param {Array} rows - Row objects keyed by header
+     * @param {Object} context - How to read dates; see WorkdayParser.getDateContext()
+     * @returns {Object} - { events: Array, diagnostics: Array }
+     */
+    parseRows(rows, context = this.getWorkdayParser().getDateContext(rows)) {
+        const parser = this.getWorkdayParser();
+        const Diagnostics = parser.getDiagnostics();
+
+        if (rows.length === 0) {
+            return {
+                events: [],
+                diagnostics: [Diagnostics.create('error', { message: 'No data found in the spreadsheet' })]
+            };
+        }
+
+        const events = [];
+        const diagnostics = [];
+
+        for (const row of parser.filterDataRows(rows)) {
+            try {
+                const event = this.parseRow(row, context);
+                if (event) {
+                    diagnostics.push(...this.checkEvent(event));
+                    events.push(event);
+                }
+            } catch (e) {
+                diagnostics.push(Diagnostics.create('error', {
+                    row: parser.getRowNumber(row),
+                    message: `Exam row could not be parsed: ${e.message}`
+                }));
+            }
+        }
+
+        return { events, diagnostics };
+    },
+
+    /**
+     * Report the fields of an exam that could not be read, and times read without AM/PM
+     * @returns {Array} - Warning diagnostics, one per problem
+     */
+    checkEvent(event) {
+        const Diagnostics = this.getWorkdayParser().getDiagnostics();
+        const problems = [];
+
+        if (!event.startDate) {
+            problems.push({ column: 'Exam Date', expected: 'A date, e.g. "2024-12-14"', message: 'Could not read the exam date' });
+        }
+        if (!event.startTime || !event.endTime) {
+            problems.push({ column: 'Start Time', expected: 'Start and end times, e.g. "8:30 a.m." and "11:00 a.m."', message: 'Could not read the exam time' });
+        }
+
+        for (const note of this.getWorkdayParser().findTimeAmbiguity(event.raw)) {
+            problems.push({ column: 'Start Time', expected: 'Start and end times, e.g. "8:30 a.m." and "11:00 a.m."', message: `${note}; check the time in the preview` });
+        }
+
+        return problems.map(problem => Diagnostics.create('warning', {
+            row: event.sourceRow,
+            column: problem.column,
+            value: event.raw,
+            expected: problem.expected,
+            message: `${event.courseCode}: ${problem.message}`
+        }));
+    },
+
+    /**
+     * Parse a single exam row
+     * @param {Object} context - How to read dates; see WorkdayParser.getDateContext()
+     * @returns {Object|null} - Exam event, or null for rows without a course
+     */
+    parseRow(row, context = {}) {
+        const parser = this.getWorkdayParser();
+        // Aliases are tried in order of preference. Cells formatted as dates or times
+        // are Dates or numbers; value() is the text of a cell
+        const cell = (names) => {
+            for (const name of names) {
+                const found = parser.findColumnValue(row, [name]);
+                if (found !== null && found !== undefined && String(found).trim() !== '') {
+                    return typeof found === 'string' ? found.trim() : found;
+                }
+            }
+            return '';
+        };
+        const value = (names) => String(cell(names));
+
+        const courseListing = value(this.columns.course);
+        if (!courseListing) return null;
+
+        const courseInfo = parser.parseCourseTitle(courseListing);
+        const schedule = value(this.columns.schedule);
+
+        // Date: explicit column first, then anything date-like in a combined schedule cell.
+        // Exams without a year fall in the exam period of their term
+        const dateContext = { ...context, term: parser.getAcademicCalendar().parseTermName(value(this.columns.academicPeriod)) };
+        const dateValue = cell(this.columns.date);
+        const date = parser.parseDate(dateValue, dateContext) || parser.parseDate(schedule, dateContext);
+
+        // Times: separate start/end columns, a "Time" range column, or the schedule cell
+        let times;
+        const startValue = cell(this.columns.startTime);
+        const endValue = cell(this.columns.endTime);
+        if (startValue !== '' && endValue !== '') {
+            times = parser.resolveTimeRange(startValue, endValue);
+        } else {
+            times = parser.parseTimeRange(value(this.columns.time) || schedule.replace(/\d{4}-\d{2}-\d{2}/g, ''));
+        }
+
+        const room = value(this.columns.room);
+        const building = value(this.columns.location);
+        const place = parser.getLocationNormalizer().parse(
+            [building, room ? `Room: ${room.replace(/^room:?\s*/i, '')}` : ''].filter(Boolean).join(' | '));
+
+        return {
+            kind: 'exam',
+            examType: this.formatExamType(value(this.columns.examType)),
+            courseCode: courseInfo.code,
+            courseTitle: courseInfo.title,
+            section: '',
+            format: 'Exam',
+            deliveryMode: '',
+            instructor: '',
+            days: [],
+            startTime: times.startTime,
+            endTime: times.endTime,
+            startDate: date,
+            endDate: date,
+            frequency: { interval: 1, startWeek: 1 },
+            location: place.location,
+            building: place.building,
+            buildingName: place.buildingName,
+            floor: place.floor,
+            room: place.room,
+            url: place.url,
+            campus: courseInfo.campus,
+            academicPeriod: value(this.columns.academicPeriod),
+            sourceRow: parser.getRowNumber(row),
+            raw: [courseListing, this.describeCell(dateValue, date) || schedule, this.describeTimes(startValue, endValue, times) || value(this.columns.time), building, room]
+                .filter(Boolean).join(' | ')
+        };
+    },
+
+    /**
+     * Text of a date cell for the row's raw value: as written, or the date read from a Date cell
+     */
+    describeCell(value, date) {
+        if (typeof value === 'string') return value;
+        return this.shared.toDateKey(date);
+    },
+
+    /**
+     * Text of the start and end time cells, e.g. "8:30 - 11" or "8:30 AM - 11:00 AM" from time cells
+     */
+    describeTimes(startValue, endValue, times) {
+        if (startValue === '' || endValue === '') return '';
+        if (typeof startValue === 'string' && typeof endValue === 'string') return `${startValue} - ${endValue}`;
+        const parser = this.getWorkdayParser();
+        return times.startTime && times.endTime ? `${parser.formatClock(times.startTime)} - ${parser.formatClock(times.endTime)}` : '';
+    },
+
+    /**
+     * Normalize the exam type for summaries: "Final" -> "Final Exam", "" -> "Exam"
+     */
+    formatExamType(type) {
+        const cleaned = (type || '').trim();
+        if (!cleaned) return 'Exam';
+        return /exam/i.test(cleaned) ? cleaned : `${cleaned} Exam`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExamScheduleParser;
+} else {
+    globalThis.ExamScheduleParser = ExamScheduleParser;
+}
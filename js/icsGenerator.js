@@ -4,25 +4,40 @@
  */
 
 const ICSGenerator = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getWriter() {
+        return this.shared.resolve('ICSWriter', './icsWriter.js');
+    },
+
+    getTimeZone() {
+        return this.shared.resolve('TimeZoneUtils', './timeZone.js');
+    },
+
     /**
      * Generate ICS file content from events
-     * @param {Array} events - Array of parsed course events
+     * @param {Array} events - Array of parsed course events; `uid`, `sequence` and
+     *                         `lastModified` are used when set
+     * @param {Object} options - { calendarName, color: a name from calendarColors,
+     *                            timeZone: 'tzid' (default), 'utc' or 'floating' }
      * @returns {string} - ICS file content
      */
-    generate(events) {
+    generate(events, options = {}) {
+        const calendarName = options.calendarName || 'UBC Class Schedule';
+        const mode = this.getMode(options);
         const lines = [
             'BEGIN:VCALENDAR',
             'VERSION:2.0',
             'PRODID:-//UBC Workday to Calendar//EN',
             'CALSCALE:GREGORIAN',
             'METHOD:PUBLISH',
-            'X-WR-CALNAME:UBC Class Schedule',
-            'X-WR-TIMEZONE:America/Vancouver',
-            this.generateTimezone()
+            `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+            ...this.generateColor(options.color),
+            ...this.generateTimezones(events, mode)
         ];
 
-        for (const event of events) {
-            const vevent = this.generateEvent(event);
+        for (const event of this.assignUIDs(events)) {
+            const vevent = this.generateEvent(event, mode);
             if (vevent) {
                 lines.push(vevent);
             }
@@ -30,98 +45,473 @@ const ICSGenerator = {
 
         lines.push('END:VCALENDAR');
 
+        return this.getWriter().serialize(lines);
+    },
+
+    /**
+     * Generate a METHOD:CANCEL calendar that removes events from a calendar they were
+     * imported into. Each event needs the `uid` it was published with.
+     * @param {Array} events - Events to cancel
+     * @param {Object} options - { calendarName, timeZone: 'tzid' (default), 'utc' or 'floating' }
+     * @returns {string} - ICS file content
+     */
+    generateCancellation(events, options = {}) {
+        const calendarName = options.calendarName || 'UBC Class Schedule';
+        const mode = this.getMode(options);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//UBC Workday to Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:CANCEL',
+            `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+            ...this.generateTimezones(events, mode)
+        ];
+
+        for (const event of events) {
+            if (!event.uid || !event.startDate || !event.startTime) continue;
+
+            // A UTC export wrote one VEVENT per DST period; each has to be cancelled
+            const parts = mode === 'utc' && event.kind !== 'exam' ? this.splitByOffset(event) : [event];
+            for (const part of parts) {
+                // The same DTSTART as the published copy, or calendars may not match them up
+                const firstDate = this.getFirstDate(part);
+                if (!firstDate) continue;
+                lines.push([
+                    'BEGIN:VEVENT',
+                    `UID:${part.uid}`,
+                    `DTSTAMP:${this.formatTimestamp(new Date())}`,
+                    // Must be above the SEQUENCE of the copy being cancelled
+                    `SEQUENCE:${(event.sequence || 0) + 1}`,
+                    this.formatTimeProperty('DTSTART', firstDate, event.startTime, event, mode),
+                    `SUMMARY:${this.escapeText(this.buildSummary(event))}`,
+                    'STATUS:CANCELLED',
+                    'END:VEVENT'
+                ].join('\r\n'));
+            }
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return this.getWriter().serialize(lines);
+    },
+
+    /**
+     * Colors for split calendars: CSS color names, which COLOR (RFC 7986) requires,
+     * with the hex values Apple Calendar reads from X-APPLE-CALENDAR-COLOR
+     */
+    calendarColors: {
+        steelblue: '#4682B4',
+        seagreen: '#2E8B57',
+        crimson: '#DC143C',
+        darkorange: '#FF8C00',
+        rebeccapurple: '#663399',
+        lightseagreen: '#20B2AA',
+        mediumvioletred: '#C71585',
+        darkcyan: '#008B8B'
+    },
+
+    /**
+     * COLOR and X-APPLE-CALENDAR-COLOR lines for a color name; none for other values
+     */
+    generateColor(color) {
+        const hex = this.calendarColors[color];
+        if (!hex) return [];
+        return [`COLOR:${color}`, `X-APPLE-CALENDAR-COLOR:${hex}`];
+    },
+
+    /**
+     * How times are written, from options.timeZone (see TimeZoneUtils.modes); defaults to 'tzid'
+     */
+    getMode(options = {}) {
+        return this.getTimeZone().modes.includes(options.timeZone) ? options.timeZone : 'tzid';
+    },
+
+    /**
+     * X-WR-TIMEZONE and a VTIMEZONE for each campus time zone the events use.
+     * UTC and floating times refer to no time zone, so they get neither.
+     */
+    generateTimezones(events, mode) {
+        const range = this.getDateRange(events);
+        if (mode !== 'tzid' || !range) return [];
+
+        const timeZone = this.getTimeZone();
+        const zones = [...new Set(events.filter(e => e.startDate).map(e => timeZone.getCampusTimeZone(e.campus)))];
+        return [`X-WR-TIMEZONE:${zones[0]}`, ...zones.map(zone => this.generateTimezone(zone, range))];
+    },
+
+    /**
+     * Generate a VTIMEZONE for a time zone from the platform's time zone data. It lists
+     * the offset in effect when the range starts and every change up to its end, so it
+     * is correct for the term without relying on a fixed yearly rule.
+     * @param {string} tzid - IANA name, e.g. 'America/Vancouver'
+     * @param {Object} range - { start, end } as { year, month, day }
+     */
+    generateTimezone(tzid, range) {
+        const timeZone = this.getTimeZone();
+        const day = 86400000;
+        const rangeStart = Date.UTC(range.start.year, range.start.month - 1, range.start.day) - day;
+        const rangeEnd = Date.UTC(range.end.year, range.end.month - 1, range.end.day) + day;
+
+        // Search a year back for the change that set the offset in effect at the start
+        const transitions = timeZone.getTransitions(tzid, rangeStart - 366 * day, rangeEnd);
+        const before = transitions.filter(t => t.instant < rangeStart);
+        const observances = [...before.slice(-1), ...transitions.filter(t => t.instant >= rangeStart)];
+
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${tzid}`];
+
+        if (observances.length === 0) {
+            // No changes (no DST): a single observance since 1970
+            const offset = timeZone.formatOffset(timeZone.getZoneOffset(tzid, rangeStart));
+            lines.push(
+                'BEGIN:STANDARD',
+                'DTSTART:19700101T000000',
+                `TZOFFSETFROM:${offset}`,
+                `TZOFFSETTO:${offset}`,
+                `TZNAME:${timeZone.getZoneName(tzid, rangeStart)}`,
+                'END:STANDARD'
+            );
+        }
+
+        for (const transition of observances) {
+            const type = transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+            // DTSTART is the local time of the change, before it happens
+            const onset = new Date(transition.instant + transition.offsetFrom);
+            lines.push(
+                `BEGIN:${type}`,
+                `DTSTART:${this.formatTimestamp(onset).replace('Z', '')}`,
+                `TZOFFSETFROM:${timeZone.formatOffset(transition.offsetFrom)}`,
+                `TZOFFSETTO:${timeZone.formatOffset(transition.offsetTo)}`,
+                `TZNAME:${timeZone.getZoneName(tzid, transition.instant)}`,
+                `END:${type}`
+            );
+        }
+
+        lines.push('END:VTIMEZONE');
         return lines.join('\r\n');
     },
 
     /**
-     * Generate VTIMEZONE component for America/Vancouver
+     * First and last date of a set of events
+     * @returns {Object|null} - { start, end } as { year, month, day }, null without dated events
      */
-    generateTimezone() {
-        return `BEGIN:VTIMEZONE
-TZID:America/Vancouver
-BEGIN:DAYLIGHT
-TZOFFSETFROM:-0800
-TZOFFSETTO:-0700
-TZNAME:PDT
-DTSTART:19700308T020000
-RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU
-END:DAYLIGHT
-BEGIN:STANDARD
-TZOFFSETFROM:-0700
-TZOFFSETTO:-0800
-TZNAME:PST
-DTSTART:19701101T020000
-RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU
-END:STANDARD
-END:VTIMEZONE`;
+    getDateRange(events) {
+        const key = (date) => this.formatDateTime(date, { hours: 0, minutes: 0 });
+        let range = null;
+        for (const event of events) {
+            if (!event.startDate) continue;
+            const end = event.endDate || event.startDate;
+            if (!range) {
+                range = { start: event.startDate, end };
+                continue;
+            }
+            if (key(event.startDate) < key(range.start)) range.start = event.startDate;
+            if (key(end) > key(range.end)) range.end = end;
+        }
+        return range;
     },
 
     /**
-     * Generate a single VEVENT
+     * Generate the VEVENT for an event. In UTC mode a class whose meetings span a DST
+     * change becomes one VEVENT per offset, since a UTC RRULE keeps the UTC time and
+     * would move the class by an hour after the change.
+     * @param {Object} event - Parsed event
+     * @param {string} mode - 'tzid' (default), 'utc' or 'floating'
      */
-    generateEvent(event) {
+    generateEvent(event, mode = 'tzid') {
+        if (event.kind === 'exam') {
+            return this.generateExamEvent(event, mode);
+        }
+
         if (!event.startDate || !event.startTime || !event.endTime || event.days.length === 0) {
             return null;
         }
 
-        // Find the first occurrence date (first weekday >= startDate)
-        const firstDate = this.findFirstOccurrence(event.startDate, event.days);
+        const parts = mode === 'utc' ? this.splitByOffset(event) : [event];
+        const vevents = parts.map((part, index) => this.generateRecurringEvent(part, mode, index > 0 ? parts[0].uid : null));
+        return vevents.every(Boolean) ? vevents.join('\r\n') : null;
+    },
+
+    /**
+     * Generate a VEVENT with an RRULE
+     * @param {Object} event - Parsed class
+     * @param {string} mode - 'tzid', 'utc' or 'floating'
+     * @param {string|null} relatedTo - UID of the first part when the class was split by offset
+     */
+    generateRecurringEvent(event, mode, relatedTo = null) {
+        // Find the first occurrence date (first weekday >= startDate in the cycle's first week)
+        const frequency = this.getFrequency(event);
+        const firstDate = this.getFirstDate(event);
         if (!firstDate) return null;
 
-        // Format dates and times
-        const dtstart = this.formatDateTime(firstDate, event.startTime);
-        const dtend = this.formatDateTime(firstDate, event.endTime);
-        const until = this.formatUntilDate(event.endDate, event.endTime);
+        // UNTIL is UTC unless the times are floating
+        const until = mode === 'floating' ?
+            this.formatDateTime(event.endDate, event.endTime) :
+            this.formatUntilDate(event.endDate, event.endTime, this.getTimeZone().getCampusTimeZone(event.campus));
 
-        // Generate UID
-        const uid = this.generateUID(event);
+        const summary = this.buildSummary(event);
 
-        // Build summary: "CPSC 110 - Lecture" or "CPSC 110 (L1A) - Lab"
-        let summary = event.courseCode;
-        if (event.section) {
-            summary += ` (${event.section})`;
-        }
-        if (event.format) {
-            summary += ` - ${event.format}`;
-        }
+        const description = this.buildDescription(event);
 
-        // Build description
-        const descParts = [];
-        if (event.courseTitle) descParts.push(event.courseTitle);
-        if (event.instructor) descParts.push(`Instructor: ${event.instructor}`);
-        if (event.deliveryMode) descParts.push(`Mode: ${event.deliveryMode}`);
-        const description = descParts.join('\\n');
+        // In UTC an evening class can fall on the next day; BYDAY and WKST move with it
+        const shift = mode === 'utc' ? this.getUTCDayShift(firstDate, event) : 0;
+        const days = event.days.map(day => this.shiftDay(day, shift));
 
-        // Build RRULE
-        const rrule = `FREQ=WEEKLY;BYDAY=${event.days.join(',')};UNTIL=${until}`;
+        // Build RRULE. With INTERVAL > 1 the week boundary matters, so pin WKST to Monday
+        const interval = frequency.interval > 1 ? `;INTERVAL=${frequency.interval};WKST=${this.shiftDay('MO', shift)}` : '';
+        const rrule = `FREQ=WEEKLY${interval};BYDAY=${days.join(',')};UNTIL=${until}`;
 
         const lines = [
             'BEGIN:VEVENT',
-            `UID:${uid}`,
-            `DTSTAMP:${this.formatTimestamp(new Date())}`,
-            `DTSTART;TZID=America/Vancouver:${dtstart}`,
-            `DTEND;TZID=America/Vancouver:${dtend}`,
+            ...this.generateRevision(event),
+            this.formatTimeProperty('DTSTART', firstDate, event.startTime, event, mode),
+            this.formatTimeProperty('DTEND', firstDate, event.endTime, event, mode),
             `RRULE:${rrule}`,
             `SUMMARY:${this.escapeText(summary)}`
         ];
 
+        if (relatedTo) {
+            lines.push(`RELATED-TO:${relatedTo}`);
+        }
+
+        // Skipped meetings (holidays, breaks) at the same local time as DTSTART
+        for (const date of event.excludedDates || []) {
+            lines.push(this.formatTimeProperty('EXDATE', date, event.startTime, event, mode));
+        }
+
         if (event.location) {
             lines.push(`LOCATION:${this.escapeText(event.location)}`);
         }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push(...this.generatePlace(event));
 
         if (description) {
             lines.push(`DESCRIPTION:${this.escapeText(description)}`);
         }
 
+        lines.push(...this.generateSourceFields(event));
+        lines.push(...this.generateAlarm(event));
         lines.push('END:VEVENT');
 
         return lines.join('\r\n');
     },
 
     /**
-     * Find the first date >= startDate that falls on one of the given weekdays
+     * Generate a one-off VEVENT for an exam (no RRULE)
+     */
+    generateExamEvent(event, mode = 'tzid') {
+        if (!event.startDate || !event.startTime || !event.endTime) {
+            return null;
+        }
+
+        const description = this.buildDescription(event);
+
+        const lines = [
+            'BEGIN:VEVENT',
+            ...this.generateRevision(event),
+            this.formatTimeProperty('DTSTART', event.startDate, event.startTime, event, mode),
+            this.formatTimeProperty('DTEND', event.startDate, event.endTime, event, mode),
+            `SUMMARY:${this.escapeText(this.buildSummary(event))}`
+        ];
+
+        if (event.location) {
+            lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push(...this.generatePlace(event));
+
+        if (description) {
+            lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+        }
+
+        lines.push(...this.generateSourceFields(event));
+        lines.push(...this.generateAlarm(event));
+        lines.push('END:VEVENT');
+
+        return lines.join('\r\n');
+    },
+
+    /**
+     * GEO and X-APPLE-STRUCTURED-LOCATION for the building in `event.place`
+     * (see SchedulePipeline.applyPlaces), so calendar apps can show a map pin
+     * @returns {Array} - Content lines, empty when the event has no place
+     */
+    generatePlace(event) {
+        const place = event.place;
+        if (!place || typeof place.latitude !== 'number' || typeof place.longitude !== 'number') {
+            return [];
+        }
+
+        // Parameter values cannot contain double quotes
+        const title = (event.location || place.name).replace(/"/g, "'");
+        return [
+            `GEO:${place.latitude};${place.longitude}`,
+            `X-APPLE-STRUCTURED-LOCATION;VALUE=URI;X-APPLE-RADIUS=70;X-TITLE="${title}":geo:${place.latitude},${place.longitude}`
+        ];
+    },
+
+    /**
+     * UID, DTSTAMP, SEQUENCE and LAST-MODIFIED lines. SEQUENCE and LAST-MODIFIED
+     * come from the event (see SchedulePipeline.applyRevisions); SEQUENCE defaults to 0.
+     */
+    generateRevision(event) {
+        const lines = [
+            `UID:${event.uid || this.generateUID(event)}`,
+            `DTSTAMP:${this.formatTimestamp(new Date())}`,
+            `SEQUENCE:${event.sequence || 0}`
+        ];
+        if (event.lastModified) {
+            lines.push(`LAST-MODIFIED:${this.formatTimestamp(new Date(event.lastModified))}`);
+        }
+        return lines;
+    },
+
+    /**
+     * Build the event description: the course title, then instructor and mode for classes
+     * or section for exams. A description rendered from a template wins.
+     */
+    buildDescription(event) {
+        if (event.description !== undefined) {
+            return event.description;
+        }
+
+        const descParts = [];
+        if (event.courseTitle) descParts.push(event.courseTitle);
+        if (event.kind === 'exam') {
+            if (event.section) descParts.push(`Section: ${event.section}`);
+        } else {
+            if (event.instructor) descParts.push(`Instructor: ${event.instructor}`);
+            if (event.deliveryMode) descParts.push(`Mode: ${event.deliveryMode}`);
+        }
+        return descParts.join('\n');
+    },
+
+    /**
+     * Parsed fields that the standard properties cannot carry, as X-UBC-* properties,
+     * so ICSReader can turn the file back into the same events
+     */
+    sourceFields: {
+        kind: 'X-UBC-KIND',
+        courseCode: 'X-UBC-COURSE-CODE',
+        courseTitle: 'X-UBC-COURSE-TITLE',
+        section: 'X-UBC-SECTION',
+        format: 'X-UBC-FORMAT',
+        examType: 'X-UBC-EXAM-TYPE',
+        deliveryMode: 'X-UBC-DELIVERY-MODE',
+        instructor: 'X-UBC-INSTRUCTOR',
+        building: 'X-UBC-BUILDING',
+        buildingName: 'X-UBC-BUILDING-NAME',
+        floor: 'X-UBC-FLOOR',
+        room: 'X-UBC-ROOM',
+        campus: 'X-UBC-CAMPUS',
+        academicPeriod: 'X-UBC-ACADEMIC-PERIOD',
+        term: 'X-UBC-TERM'
+    },
+
+    generateSourceFields(event) {
+        const lines = [];
+        for (const [field, name] of Object.entries(this.sourceFields)) {
+            if (event[field]) {
+                lines.push(`${name}:${this.escapeText(String(event[field]))}`);
+            }
+        }
+        // The first day of the meeting range; DTSTART is the first meeting
+        if (event.kind !== 'exam' && event.startDate) {
+            lines.push(`X-UBC-START-DATE;VALUE=DATE:${this.formatDateTime(event.startDate, { hours: 0, minutes: 0 }).substring(0, 8)}`);
+        }
+        if (event.custom) {
+            lines.push('X-UBC-CUSTOM:TRUE');
+        }
+        return lines;
+    },
+
+    /**
+     * Generate a VALARM for the event's reminder (`event.reminder`, minutes before start)
+     * @returns {Array} - Component lines, empty when the event has no reminder
+     */
+    generateAlarm(event) {
+        if (typeof event.reminder !== 'number' || event.reminder < 0) {
+            return [];
+        }
+
+        return [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${this.escapeText(this.buildSummary(event))}`,
+            `TRIGGER:${this.formatTrigger(event.reminder)}`,
+            'END:VALARM'
+        ];
+    },
+
+    /**
+     * Format minutes before the start as a negative duration, e.g. 15 -> -PT15M, 60 -> -PT1H, 1440 -> -P1D
+     */
+    formatTrigger(minutes) {
+        if (minutes === 0) return 'PT0M';
+        if (minutes % 1440 === 0) return `-P${minutes / 1440}D`;
+        if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+        return `-PT${minutes}M`;
+    },
+
+    /**
+     * Build the event summary
+     * Classes: "CPSC 110 - Lecture" or "CPSC 110 (L1A) - Lab"; exams: "CPSC 110 Final Exam".
+     * A summary typed in the event editor or rendered from a template wins.
+     */
+    buildSummary(event) {
+        if (event.summary) {
+            return event.summary;
+        }
+
+        if (event.kind === 'exam') {
+            return `${event.courseCode} ${event.examType || 'Exam'}`;
+        }
+
+        let summary = event.courseCode;
+        if (event.section) {
+            summary += ` (${event.section})`;
+        }
+        if (event.format) {
+            summary += ` - ${event.format}`;
+        }
+        return summary;
+    },
+
+    /**
+     * Meeting frequency of an event, defaulting to every week
+     * @returns {Object} - { interval, startWeek }
+     */
+    getFrequency(event) {
+        const frequency = event.frequency || {};
+        return {
+            interval: Math.max(1, parseInt(frequency.interval, 10) || 1),
+            startWeek: Math.max(1, parseInt(frequency.startWeek, 10) || 1)
+        };
+    },
+
+    /**
+     * Date of the first meeting, which DTSTART is written with: an exam's date, or the
+     * first of a class's days in its cycle (see findFirstOccurrence)
+     * @returns {Object|null} - { year, month, day }; null when the class never meets by its
+     *                          end date, since calendars always show DTSTART even past UNTIL
+     */
+    getFirstDate(event) {
+        if (event.kind === 'exam') return event.startDate;
+        const first = this.findFirstOccurrence(event.startDate, event.days, this.getFrequency(event));
+        const key = (date) => this.formatDateTime(date, { hours: 0, minutes: 0 });
+        return first && (!event.endDate || key(first) <= key(event.endDate)) ? first : null;
+    },
+
+    /**
+     * Find the first date >= startDate that falls on one of the given weekdays.
+     * For multi-week cycles only weeks in the cycle qualify: week 1 is the
+     * Monday-based week containing startDate, and the cycle starts on frequency.startWeek.
      */
-    findFirstOccurrence(startDate, days) {
+    findFirstOccurrence(startDate, days, frequency = { interval: 1, startWeek: 1 }) {
         const dayToNum = { 'SU': 0, 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6 };
         const targetDays = days.map(d => dayToNum[d]).filter(n => n !== undefined);
 
@@ -129,12 +519,18 @@ END:VTIMEZONE`;
 
         // Start from startDate
         const date = new Date(startDate.year, startDate.month - 1, startDate.day);
+        const firstWeek = this.weekStart(date);
+        const interval = Math.max(1, frequency.interval || 1);
+        const startWeek = Math.max(1, frequency.startWeek || 1);
 
-        // Look up to 7 days ahead to find first matching day
-        for (let i = 0; i < 7; i++) {
+        // Look up to one full cycle ahead to find first matching day
+        for (let i = 0; i < 7 * interval; i++) {
             const checkDate = new Date(date);
             checkDate.setDate(date.getDate() + i);
 
+            const weekIndex = Math.round((this.weekStart(checkDate) - firstWeek) / (7 * 86400000));
+            if ((weekIndex - (startWeek - 1)) % interval !== 0) continue;
+
             if (targetDays.includes(checkDate.getDay())) {
                 return {
                     year: checkDate.getFullYear(),
@@ -147,6 +543,120 @@ END:VTIMEZONE`;
         return startDate; // Fallback to original date
     },
 
+    /**
+     * Expand an event into the dates its RRULE produces, minus its EXDATEs,
+     * so previews match the .ics
+     * @param {Object} event - Parsed event
+     * @param {Object} options - { includeExcluded: also return dates in event.excludedDates }
+     * @returns {Array} - Array of { year, month, day }
+     */
+    expandOccurrences(event, options = {}) {
+        if (event.kind === 'exam') {
+            return event.startDate ? [{ ...event.startDate }] : [];
+        }
+
+        if (!event.startDate || !event.endDate || event.days.length === 0) return [];
+
+        const dayToNum = { 'SU': 0, 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6 };
+        const targetDays = event.days.map(d => dayToNum[d]).filter(n => n !== undefined);
+        const frequency = this.getFrequency(event);
+        const first = this.findFirstOccurrence(event.startDate, event.days, frequency);
+        if (!first || targetDays.length === 0) return [];
+
+        const firstDate = new Date(first.year, first.month - 1, first.day);
+        const firstWeek = this.weekStart(firstDate);
+        const endDate = new Date(event.endDate.year, event.endDate.month - 1, event.endDate.day);
+        const excluded = options.includeExcluded ? [] : (event.excludedDates || []);
+        const occurrences = [];
+
+        for (const current = new Date(firstDate); current <= endDate; current.setDate(current.getDate() + 1)) {
+            if (!targetDays.includes(current.getDay())) continue;
+
+            // With INTERVAL=n only every nth week counts, measured from the Monday-based
+            // week of the first occurrence, as RFC 5545 does with WKST=MO
+            const weekNum = Math.round((this.weekStart(current) - firstWeek) / (7 * 86400000));
+            if (weekNum % frequency.interval !== 0) continue;
+
+            if (excluded.some(d => d.year === current.getFullYear() &&
+                d.month === current.getMonth() + 1 && d.day === current.getDate())) continue;
+
+            occurrences.push({
+                year: current.getFullYear(),
+                month: current.getMonth() + 1,
+                day: current.getDate()
+            });
+        }
+
+        return occurrences;
+    },
+
+    /**
+     * Split a class into runs of meetings that share a UTC offset, e.g. September to
+     * the November DST change and the rest of term. Parts after the first get their own
+     * UID ("-utc2", "-utc3", ...) and restart the cycle on their first meeting; the first
+     * keeps the start date and the last the end date, so ICSReader can join them again.
+     * @returns {Array} - Copies of the event, one per run; just the event when there is one run
+     */
+    splitByOffset(event) {
+        const timeZone = this.getTimeZone();
+        const zone = timeZone.getCampusTimeZone(event.campus);
+        const offsetOf = (date) => timeZone.getZoneOffset(zone, timeZone.toUTC(date, event.startTime, zone));
+
+        const runs = [];
+        for (const date of this.expandOccurrences(event, { includeExcluded: true })) {
+            const last = runs[runs.length - 1];
+            const offset = offsetOf(date);
+            if (last && last.offset === offset) {
+                last.dates.push(date);
+            } else {
+                runs.push({ offset, dates: [date] });
+            }
+        }
+        if (runs.length <= 1) return [event];
+
+        const uid = event.uid || this.generateUID(event);
+        const key = (date) => this.formatDateTime(date, { hours: 0, minutes: 0 });
+        return runs.map((run, index) => {
+            const first = key(run.dates[0]);
+            const last = key(run.dates[run.dates.length - 1]);
+            return {
+                ...event,
+                uid: index === 0 ? uid : uid.replace('@', `-utc${index + 1}@`),
+                startDate: index === 0 ? event.startDate : run.dates[0],
+                endDate: index === runs.length - 1 ? event.endDate : run.dates[run.dates.length - 1],
+                frequency: index === 0 ? event.frequency : { ...this.getFrequency(event), startWeek: 1 },
+                excludedDates: (event.excludedDates || []).filter(date => key(date) >= first && key(date) <= last)
+            };
+        });
+    },
+
+    /**
+     * Days between a meeting's local date and its date in UTC (-1, 0 or 1)
+     */
+    getUTCDayShift(date, event) {
+        const timeZone = this.getTimeZone();
+        const instant = new Date(timeZone.toUTC(date, event.startTime, timeZone.getCampusTimeZone(event.campus)));
+        const utcDay = Date.UTC(instant.getUTCFullYear(), instant.getUTCMonth(), instant.getUTCDate());
+        return Math.round((utcDay - Date.UTC(date.year, date.month - 1, date.day)) / 86400000);
+    },
+
+    /**
+     * Move a weekday code by a number of days, e.g. ('FR', 1) -> 'SA'
+     */
+    shiftDay(day, shift) {
+        const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+        return days[(days.indexOf(day) + shift + 7) % 7];
+    },
+
+    /**
+     * Monday of the week containing the given date
+     */
+    weekStart(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return monday;
+    },
+
     /**
      * Format date and time for DTSTART/DTEND
      * Returns: 20240903T100000
@@ -162,16 +672,32 @@ END:VTIMEZONE`;
     },
 
     /**
-     * Format UNTIL date for RRULE (in UTC)
+     * A DATE-TIME property in campus time, written for the output mode:
+     *   tzid:     DTSTART;TZID=America/Vancouver:20240903T100000
+     *   utc:      DTSTART:20240903T170000Z
+     *   floating: DTSTART:20240903T100000
      */
-    formatUntilDate(endDate, endTime) {
-        // Add the class end time to the final date, then convert to UTC
-        // For simplicity, we'll use 23:59:59 on the end date
-        const year = String(endDate.year);
-        const month = String(endDate.month).padStart(2, '0');
-        const day = String(endDate.day).padStart(2, '0');
+    formatTimeProperty(name, date, time, event, mode = 'tzid') {
+        const timeZone = this.getTimeZone();
+        const zone = timeZone.getCampusTimeZone(event.campus);
+        if (mode === 'utc') {
+            return `${name}:${this.formatTimestamp(new Date(timeZone.toUTC(date, time, zone)))}`;
+        }
+        if (mode === 'floating') {
+            return `${name}:${this.formatDateTime(date, time)}`;
+        }
+        return `${name};TZID=${zone}:${this.formatDateTime(date, time)}`;
+    },
 
-        return `${year}${month}${day}T235959Z`;
+    /**
+     * Format UNTIL for RRULE: the end time on the last day in campus time, in UTC.
+     * RFC 5545 requires UTC here because DTSTART has a TZID; 23:59:59Z would be
+     * late afternoon in Vancouver and drop an evening class on the last day.
+     */
+    formatUntilDate(endDate, endTime, timeZone) {
+        const zone = timeZone || this.getTimeZone().defaultTimeZone;
+        const instant = this.getTimeZone().toUTC(endDate, endTime || { hours: 23, minutes: 59, seconds: 59 }, zone);
+        return this.formatTimestamp(new Date(instant));
     },
 
     /**
@@ -189,59 +715,95 @@ END:VTIMEZONE`;
     },
 
     /**
-     * Generate a unique ID for the event
+     * Generate a UID that stays the same across re-exports of the same section meeting
+     * pattern, so calendar apps update the event instead of adding a duplicate.
+     * Days, times, dates and rooms are left out of it on purpose: those are what change.
      */
     generateUID(event) {
-        const base = `${event.courseCode}-${event.section}-${event.days.join('')}-${event.startTime?.hours}${event.startTime?.minutes}`;
-        const hash = this.simpleHash(base);
-        return `${hash}@ubc-workday-calendar`;
+        return `${this.hash64(this.getIdentityKey(event))}@ubc-workday-calendar`;
     },
 
     /**
-     * Simple hash function for UID generation
+     * What identifies an event across exports: course, section and term, plus which of
+     * the section's meeting patterns it is for classes or the exam type for exams
      */
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(16);
+    getIdentityKey(event) {
+        const pattern = event.kind === 'exam' ? `exam:${event.examType || ''}` : `pattern:${event.patternIndex || 0}`;
+        return [event.courseCode, event.section, event.term || event.academicPeriod, pattern]
+            .map(part => (part || '').toString().trim().toUpperCase())
+            .join('|');
     },
 
     /**
-     * Escape special characters for ICS text fields
+     * Give every event a UID (keeping any already set). Events that share an identity,
+     * e.g. a section listed on two rows or two midterms, are told apart by
+     * their order in time: the later ones get "-2", "-3", ...
+     * @returns {Array} - Copies of the events with `uid` set
      */
-    escapeText(text) {
-        return text
-            .replace(/\\/g, '\\\\')
-            .replace(/;/g, '\\;')
-            .replace(/,/g, '\\,')
-            .replace(/\n/g, '\\n');
+    assignUIDs(events) {
+        const byUid = new Map();
+        for (const event of events) {
+            if (event.uid) continue;
+            const uid = this.generateUID(event);
+            if (!byUid.has(uid)) byUid.set(uid, []);
+            byUid.get(uid).push(event);
+        }
+
+        const assigned = new Map();
+        for (const [uid, group] of byUid) {
+            const ordered = [...group].sort((a, b) => this.compareStart(a, b));
+            ordered.forEach((event, index) => {
+                assigned.set(event, index === 0 ? uid : uid.replace('@', `-${index + 1}@`));
+            });
+        }
+
+        return events.map(event => event.uid ? event : { ...event, uid: assigned.get(event) });
     },
 
     /**
-     * Fold long lines per RFC 5545 (max 75 octets per line)
+     * Order events by first date, then start time
      */
-    foldLine(line) {
-        const maxLen = 75;
-        if (line.length <= maxLen) return line;
-
-        const result = [];
-        let remaining = line;
+    compareStart(a, b) {
+        const key = (event) => event.startDate && event.startTime ?
+            this.formatDateTime(event.startDate, event.startTime) : '';
+        return key(a).localeCompare(key(b));
+    },
 
-        while (remaining.length > maxLen) {
-            result.push(remaining.substring(0, maxLen));
-            remaining = ' ' + remaining.substring(maxLen);
+    /**
+     * 64-bit FNV-1a hash as 16 hex digits; wide enough that distinct
+     * schedules do not collide in practice
+     */
+    hash64(str) {
+        const prime = 0x100000001b3n;
+        let hash = 0xcbf29ce484222325n;
+        for (const byte of new TextEncoder().encode(str)) {
+            hash ^= BigInt(byte);
+            hash = (hash * prime) & 0xffffffffffffffffn;
         }
-        result.push(remaining);
+        return hash.toString(16).padStart(16, '0');
+    },
 
-        return result.join('\r\n');
+    /**
+     * Hash of everything an event shows in a calendar, used to notice that it changed
+     * between exports. DTSTAMP, SEQUENCE and LAST-MODIFIED are left out.
+     */
+    getFingerprint(event) {
+        const vevent = this.generateEvent({ ...event, sequence: 0, lastModified: null }) || '';
+        const content = vevent.split('\r\n').filter(line => !line.startsWith('DTSTAMP:')).join('\r\n');
+        return this.hash64(content);
+    },
+
+    /**
+     * Escape special characters for ICS text fields
+     */
+    escapeText(text) {
+        return this.getWriter().escapeText(text);
     }
 };
 
-// Export for use in other modules
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ICSGenerator;
+} else {
+    globalThis.ICSGenerator = ICSGenerator;
 }
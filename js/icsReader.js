@@ -0,0 +1,428 @@
+/**
+ * ICS Calendar File Reader
+ * Reads .ics files back into parsed course events. Understands what ICSGenerator writes
+ * (VTIMEZONE, VEVENT, RRULE with BYDAY/INTERVAL/UNTIL, EXDATE, VALARM, folded lines and
+ * escaped text); times in UTC or another TZID are converted to Vancouver time.
+ */
+
+const ICSReader = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    getTimeZone() {
+        return this.shared.resolve('TimeZoneUtils', './timeZone.js');
+    },
+
+    getDiagnostics() {
+        return this.shared.resolve('ParseDiagnostics', './diagnostics.js');
+    },
+
+    dayCodes: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'],
+
+    /**
+     * Parse ICS content
+     * @param {string} text - ICS file content
+     * @returns {Object} - { properties: VCALENDAR properties by name, events: Array of parsed events,
+     *                       diagnostics: warnings for events this reader cannot fully represent;
+     *                       `row` is the line of their BEGIN:VEVENT }
+     */
+    parse(text) {
+        const properties = {};
+        const events = [];
+        const diagnostics = [];
+
+        // Stack of open components; each collects its properties
+        const stack = [];
+        for (const { line, number } of this.readLines(text)) {
+            const property = this.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                stack.push({ type: property.value.toUpperCase(), line: number, properties: [], components: [] });
+                continue;
+            }
+
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (!component) continue;
+                const parent = stack[stack.length - 1];
+                if (parent) {
+                    parent.components.push(component);
+                }
+                if (component.type === 'VEVENT') {
+                    const related = component.properties.find(p => p.name === 'RELATED-TO');
+                    const event = this.toEvent(component);
+                    events.push({ event, relatedTo: related ? related.value : null });
+                    diagnostics.push(...this.checkComponent(component, event));
+                }
+                continue;
+            }
+
+            const current = stack[stack.length - 1];
+            if (!current) continue;
+            current.properties.push(property);
+            if (current.type === 'VCALENDAR') {
+                properties[property.name] = property.value;
+            }
+        }
+
+        return { properties, events: this.joinParts(events), diagnostics };
+    },
+
+    /**
+     * Unfolded content lines with the physical line each starts on
+     * @returns {Array} - Array of { line, number }
+     */
+    readLines(text) {
+        const lines = [];
+        (text || '').split(/\r?\n/).forEach((line, i) => {
+            if (/^[ \t]/.test(line) && lines.length > 0) {
+                lines[lines.length - 1].line += line.substring(1);
+            } else if (line.trim() !== '') {
+                lines.push({ line, number: i + 1 });
+            }
+        });
+        return lines;
+    },
+
+    /**
+     * Report the parts of a VEVENT the event model cannot hold, which would otherwise leave
+     * an incomplete or shortened event with no explanation: a missing DTSTART, all-day dates,
+     * DURATION instead of DTEND, and repeats other than weekly until a date
+     * @returns {Array} - Warning diagnostics
+     */
+    checkComponent(component, event) {
+        const Diagnostics = this.getDiagnostics();
+        const get = (name) => component.properties.find(p => p.name === name);
+        const name = event.summary || this.getGenerator().buildSummary(event) || event.uid || 'Event';
+        const problems = [];
+
+        const start = get('DTSTART');
+        const parsedStart = start ? this.parseDateTime(start.value) : null;
+        if (!start) {
+            problems.push({ column: 'DTSTART', expected: 'DTSTART with a date and time', message: 'No DTSTART; the event has no date or time' });
+        } else if (parsedStart && !parsedStart.time) {
+            problems.push({ column: 'DTSTART', value: start.value, expected: 'DTSTART with a date and time', message: 'All-day events are not supported' });
+        }
+        if (!get('DTEND') && get('DURATION')) {
+            problems.push({ column: 'DURATION', value: get('DURATION').value, expected: 'DTEND', message: 'DURATION is not supported; the end time is read from DTEND' });
+        }
+
+        const rule = get('RRULE');
+        if (rule) {
+            const parts = this.parseRule(rule.value);
+            if (parts.FREQ !== 'WEEKLY') {
+                problems.push({ column: 'RRULE', value: rule.value, expected: 'FREQ=WEEKLY', message: `Only weekly repeats are supported, not FREQ=${parts.FREQ || '(none)'}` });
+            } else if (parts.COUNT && !parts.UNTIL) {
+                problems.push({ column: 'RRULE', value: rule.value, expected: 'UNTIL', message: 'Repeats with COUNT are not supported; the last meeting is read from UNTIL' });
+            }
+        }
+
+        return problems.map(problem => Diagnostics.create('warning', {
+            row: component.line,
+            column: problem.column,
+            value: problem.value,
+            expected: problem.expected,
+            message: `${name}: ${problem.message}`
+        }));
+    },
+
+    /**
+     * Join the parts a UTC export split a class into at DST changes (see
+     * ICSGenerator.splitByOffset) back into one event. Parts follow the first one in
+     * the file and carry its UID in RELATED-TO.
+     * @param {Array} entries - Array of { event, relatedTo }
+     * @returns {Array} - Events
+     */
+    joinParts(entries) {
+        const byUid = new Map(entries.map(entry => [entry.event.uid, entry.event]));
+        const events = [];
+        for (const { event, relatedTo } of entries) {
+            const first = relatedTo ? byUid.get(relatedTo) : null;
+            const isPart = first && event.uid.startsWith(relatedTo.split('@')[0] + '-utc');
+            if (!isPart) {
+                events.push(event);
+                continue;
+            }
+            first.endDate = event.endDate;
+            first.excludedDates = [...first.excludedDates, ...event.excludedDates];
+        }
+        return events;
+    },
+
+    /**
+     * Split a content line into name, parameters and value
+     * e.g. "DTSTART;TZID=America/Vancouver:20240903T100000"
+     * @returns {Object|null} - { name, params, value }
+     */
+    parseLine(line) {
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return null;
+
+        const [name, ...paramParts] = line.substring(0, colon).split(';');
+        const params = {};
+        for (const part of paramParts) {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        }
+
+        return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+    },
+
+    /**
+     * Undo ICS text escaping
+     */
+    unescapeText(text) {
+        return (text || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    },
+
+    /**
+     * Parse a DATE or DATE-TIME value
+     * @returns {Object|null} - { date: { year, month, day }, time: { hours, minutes } | null, utc }
+     */
+    parseDateTime(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+
+        return {
+            date: { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) },
+            time: match[4] ? { hours: Number(match[4]), minutes: Number(match[5]) } : null,
+            utc: !!match[7]
+        };
+    },
+
+    /**
+     * Wall-clock date and time in Vancouver of a parsed DATE-TIME. UTC values and values
+     * in another TZID are converted; floating values and Vancouver values are kept.
+     * @param {Object} parsed - Result of parseDateTime
+     * @param {string} tzid - TZID parameter of the property, if any
+     * @returns {Object} - { date, time }
+     */
+    toVancouver(parsed, tzid = '') {
+        const local = !tzid || tzid === 'America/Vancouver';
+        if (!parsed.time || (!parsed.utc && local)) {
+            return { date: parsed.date, time: parsed.time };
+        }
+
+        const timeZone = this.getTimeZone();
+        const instant = parsed.utc ?
+            Date.UTC(parsed.date.year, parsed.date.month - 1, parsed.date.day, parsed.time.hours, parsed.time.minutes) :
+            timeZone.toUTC(parsed.date, parsed.time, tzid);
+        return timeZone.fromUTC(instant, 'America/Vancouver');
+    },
+
+    /**
+     * Date of a UTC date-time in Vancouver, e.g. an RRULE UNTIL
+     */
+    toVancouverDate(parsed) {
+        return this.toVancouver(parsed).date;
+    },
+
+    /**
+     * Minutes before the start of a VALARM trigger such as "-PT15M", "-PT1H" or "-P1D"
+     * @returns {number|null} - null for triggers that are not before the start
+     */
+    parseTrigger(value) {
+        const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+
+        const minutes = Number(match[2] || 0) * 10080 + Number(match[3] || 0) * 1440 +
+            Number(match[4] || 0) * 60 + Number(match[5] || 0) + Math.floor(Number(match[6] || 0) / 60);
+        if (match[1] !== '-' && minutes !== 0) return null;
+        return minutes;
+    },
+
+    /**
+     * Parse an RRULE value into its parts
+     * @returns {Object} - e.g. { FREQ: 'WEEKLY', BYDAY: 'MO,WE', UNTIL: '20241205T235959Z' }
+     */
+    parseRule(value) {
+        const rule = {};
+        for (const part of (value || '').split(';')) {
+            const [key, ...rest] = part.split('=');
+            if (key) rule[key.toUpperCase()] = rest.join('=');
+        }
+        return rule;
+    },
+
+    /**
+     * Turn a VEVENT component into the event model the parsers produce. Files written by
+     * ICSGenerator carry X-UBC-* properties with the parsed fields; for other files
+     * they are guessed from the summary and description.
+     */
+    toEvent(component) {
+        const get = (name) => component.properties.find(p => p.name === name);
+        const text = (name) => get(name) ? this.unescapeText(get(name).value) : '';
+        const dateTime = (name) => {
+            const property = get(name);
+            const parsed = property ? this.parseDateTime(property.value) : null;
+            return parsed ? this.toVancouver(parsed, property.params.TZID) : null;
+        };
+
+        const start = dateTime('DTSTART');
+        const end = dateTime('DTEND');
+        const rule = get('RRULE') ? this.parseRule(get('RRULE').value) : null;
+        // BYDAY is in DTSTART's zone; in UTC an evening class falls on the next day
+        const rawStart = get('DTSTART') ? this.parseDateTime(get('DTSTART').value) : null;
+        const dayShift = start && rawStart ?
+            Math.round((Date.UTC(start.date.year, start.date.month - 1, start.date.day) -
+                Date.UTC(rawStart.date.year, rawStart.date.month - 1, rawStart.date.day)) / 86400000) : 0;
+        const until = rule && rule.UNTIL ? this.parseDateTime(rule.UNTIL) : null;
+        const interval = rule && rule.INTERVAL ? Number(rule.INTERVAL) : 1;
+
+        const source = this.getSourceFields(component);
+        const hasSource = Object.keys(source).length > 0;
+        // A one-off event is an exam; without a DTSTART there is nothing to say it is one
+        const kind = source.kind || (rule || !start ? 'class' : 'exam');
+
+        const summary = text('SUMMARY');
+        const description = text('DESCRIPTION');
+        const guessed = hasSource ? {} : this.guessFields(summary, description, kind);
+        const field = (name, fallback = '') => source[name] ?? guessed[name] ?? fallback;
+
+        // X-UBC-START-DATE is the first day of the meeting range; DTSTART is the first meeting
+        const rangeStart = get('X-UBC-START-DATE') ? this.parseDateTime(get('X-UBC-START-DATE').value).date : null;
+        const startDate = kind === 'exam' ? start?.date : (rangeStart || start?.date);
+        const endDate = kind === 'exam' ? start?.date : (until ? this.toVancouverDate(until) : start?.date);
+
+        const alarm = component.components.find(c => c.type === 'VALARM');
+        const trigger = alarm ? alarm.properties.find(p => p.name === 'TRIGGER') : null;
+
+        const event = {
+            kind,
+            uid: text('UID'),
+            sequence: Number(text('SEQUENCE')) || 0,
+            courseCode: field('courseCode', summary),
+            courseTitle: field('courseTitle'),
+            section: field('section'),
+            format: field('format', kind === 'exam' ? 'Exam' : ''),
+            deliveryMode: field('deliveryMode'),
+            // Undefined for files without X-UBC-* properties whose description has no instructor
+            instructor: hasSource ? (source.instructor || '') : guessed.instructor,
+            days: rule && rule.BYDAY ? rule.BYDAY.split(',').filter(day => this.dayCodes.includes(day))
+                .map(day => this.getGenerator().shiftDay(day, dayShift)) : [],
+            startTime: start ? start.time : null,
+            endTime: end ? end.time : null,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            frequency: { interval, startWeek: this.getStartWeek(startDate, start?.date, interval) },
+            location: text('LOCATION'),
+            building: field('building'),
+            buildingName: field('buildingName'),
+            floor: field('floor'),
+            room: field('room'),
+            url: text('URL'),
+            campus: field('campus'),
+            academicPeriod: field('academicPeriod'),
+            excludedDates: component.properties
+                .filter(p => p.name === 'EXDATE')
+                .flatMap(p => p.value.split(',').map(value => ({ value, tzid: p.params.TZID })))
+                .map(({ value, tzid }) => {
+                    const parsed = this.parseDateTime(value);
+                    return parsed ? this.toVancouver(parsed, tzid).date : null;
+                })
+                .filter(Boolean),
+            reminder: trigger ? this.parseTrigger(trigger.value) : null,
+            lastModified: get('LAST-MODIFIED') ? this.toISOString(this.parseDateTime(get('LAST-MODIFIED').value)) : undefined
+        };
+
+        if (kind === 'exam') event.examType = field('examType', 'Exam');
+        if (source.term) event.term = source.term;
+        if (get('X-UBC-CUSTOM')) event.custom = true;
+        // Files from elsewhere keep their own title and description
+        if (!hasSource) {
+            event.summary = summary;
+            event.description = description;
+        }
+
+        return event;
+    },
+
+    /**
+     * Values of the X-UBC-* properties written by ICSGenerator, keyed by event field
+     */
+    getSourceFields(component) {
+        const generator = this.getGenerator();
+        const fields = {};
+        for (const [field, name] of Object.entries(generator.sourceFields)) {
+            const property = component.properties.find(p => p.name === name);
+            if (property) fields[field] = this.unescapeText(property.value);
+        }
+        return fields;
+    },
+
+    /**
+     * Fields of an event from a calendar without X-UBC-* properties, read from the
+     * summary ("CPSC 110 (101) - Lecture") and description ("Title\nInstructor: ...")
+     */
+    guessFields(summary, description, kind) {
+        const summaryParts = this.parseSummary(summary);
+        const descriptionLines = description.split('\n');
+        const instructorLine = descriptionLines.find(line => line.startsWith('Instructor: '));
+        const modeLine = descriptionLines.find(line => line.startsWith('Mode: '));
+
+        return {
+            courseCode: summaryParts.courseCode,
+            courseTitle: descriptionLines[0] && !descriptionLines[0].includes(': ') ? descriptionLines[0] : '',
+            section: summaryParts.section,
+            format: kind === 'exam' ? 'Exam' : summaryParts.format,
+            examType: summaryParts.format || 'Exam',
+            // Undefined when the description template left the instructor out
+            instructor: instructorLine ? instructorLine.substring('Instructor: '.length) : undefined,
+            deliveryMode: modeLine ? modeLine.substring('Mode: '.length) : ''
+        };
+    },
+
+    /**
+     * Week of the meeting range in which an alternate-week cycle starts, counting
+     * Monday-based weeks from the range start as the parsers do
+     */
+    getStartWeek(rangeStart, firstMeeting, interval) {
+        if (interval <= 1 || !rangeStart || !firstMeeting) return 1;
+        const monday = (d) => {
+            const date = new Date(Date.UTC(d.year, d.month - 1, d.day));
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return date;
+        };
+        return Math.round((monday(firstMeeting) - monday(rangeStart)) / (7 * 86400000)) + 1;
+    },
+
+    /**
+     * ISO string of a parsed UTC DATE-TIME
+     */
+    toISOString(parsed) {
+        if (!parsed || !parsed.time) return undefined;
+        return new Date(Date.UTC(parsed.date.year, parsed.date.month - 1, parsed.date.day,
+            parsed.time.hours, parsed.time.minutes)).toISOString();
+    },
+
+    /**
+     * Split a generated summary back into its parts
+     * "CPSC 110 (L1A) - Lab" -> { courseCode: 'CPSC 110', section: 'L1A', format: 'Lab' };
+     * exams ("CPSC 110 Final Exam") keep the rest as the format
+     */
+    parseSummary(summary) {
+        const match = (summary || '').match(/^([A-Z]{2,5}(?:_[A-Z])?\s+\d{3}[A-Z]?)(?:\s+\(([^)]+)\))?(?:\s+-\s+|\s+)?(.*)$/);
+        if (!match) return { courseCode: summary || '', section: '', format: '' };
+        return { courseCode: match[1], section: match[2] || '', format: match[3].trim() };
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICSReader;
+} else {
+    globalThis.ICSReader = ICSReader;
+}
@@ -0,0 +1,183 @@
+/**
+ * ICS Validator
+ * Checks generated calendars against the parts of RFC 5545 that calendar apps
+ * enforce: line endings and lengths, component structure, required properties,
+ * date-time forms and text escaping
+ */
+
+const ICSValidator = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getReader() {
+        return this.shared.resolve('ICSReader', './icsReader.js');
+    },
+
+    getWriter() {
+        return this.shared.resolve('ICSWriter', './icsWriter.js');
+    },
+
+    /**
+     * Properties each component must have
+     */
+    required: {
+        VCALENDAR: ['VERSION', 'PRODID'],
+        VEVENT: ['UID', 'DTSTAMP', 'DTSTART'],
+        VTIMEZONE: ['TZID'],
+        STANDARD: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        DAYLIGHT: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+        VALARM: ['ACTION', 'TRIGGER']
+    },
+
+    /**
+     * Properties whose values are TEXT and must have , ; and \ escaped
+     */
+    textProperties: ['SUMMARY', 'DESCRIPTION', 'LOCATION', 'X-WR-CALNAME'],
+
+    /**
+     * Validate ICS content
+     * @param {string} text - ICS file content
+     * @returns {Array} - Problems as { line, message }; empty when the calendar is valid.
+     *                    Length and line-ending problems give the physical line, others the unfolded line.
+     */
+    validate(text) {
+        const problems = [];
+        const report = (line, message) => problems.push({ line, message });
+        const writer = this.getWriter();
+        const reader = this.getReader();
+
+        if (!text.endsWith('\r\n')) {
+            report(null, 'The last line must end with CRLF');
+        }
+
+        // Physical lines: endings and lengths
+        const physical = text.replace(/\r\n$/, '').split('\r\n');
+        physical.forEach((line, index) => {
+            if (/[\r\n]/.test(line)) {
+                report(index + 1, 'Bare CR or LF; lines must end with CRLF');
+            }
+            if (writer.octetLength(line) > writer.maxLineOctets) {
+                report(index + 1, `Line is ${writer.octetLength(line)} octets long; the limit is ${writer.maxLineOctets}`);
+            }
+        });
+
+        // Logical lines: structure and properties
+        const lines = text.replace(/\r\n[ \t]/g, '').split(/\r\n/).filter(line => line !== '');
+        const stack = [];
+        const timeZoneIds = new Set();
+        const usedTimeZones = [];
+
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            const property = reader.parseLine(line);
+            if (!property || !/^[A-Z0-9-]+$/.test(property.name)) {
+                report(lineNumber, `Not a content line: "${line.substring(0, 40)}"`);
+                return;
+            }
+
+            if (property.name === 'BEGIN') {
+                if (stack.length === 0 && property.value !== 'VCALENDAR') {
+                    report(lineNumber, 'The calendar must start with BEGIN:VCALENDAR');
+                }
+                stack.push({ type: property.value, properties: [], line: lineNumber });
+                return;
+            }
+
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (!component || component.type !== property.value) {
+                    report(lineNumber, `END:${property.value} does not match ${component ? `BEGIN:${component.type}` : 'any BEGIN'}`);
+                    return;
+                }
+                this.checkComponent(component, report);
+                return;
+            }
+
+            const component = stack[stack.length - 1];
+            if (!component) {
+                report(lineNumber, `${property.name} is outside any component`);
+                return;
+            }
+            component.properties.push({ ...property, line: lineNumber });
+
+            if (component.type === 'VTIMEZONE' && property.name === 'TZID') {
+                timeZoneIds.add(property.value);
+            }
+            if (property.params.TZID) {
+                usedTimeZones.push({ tzid: property.params.TZID, line: lineNumber });
+            }
+            if (this.textProperties.includes(property.name) && /(^|[^\\])(\\\\)*[,;]/.test(property.value)) {
+                report(lineNumber, `${property.name} has an unescaped comma or semicolon`);
+            }
+        });
+
+        for (const component of stack) {
+            report(component.line, `BEGIN:${component.type} is never closed`);
+        }
+
+        for (const use of usedTimeZones) {
+            if (!timeZoneIds.has(use.tzid)) {
+                report(use.line, `TZID ${use.tzid} has no VTIMEZONE`);
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * Check a closed component's required properties and event rules
+     */
+    checkComponent(component, report) {
+        const get = (name) => component.properties.find(p => p.name === name);
+
+        for (const name of this.required[component.type] || []) {
+            if (!get(name)) {
+                report(component.line, `${component.type} is missing ${name}`);
+            }
+        }
+
+        if (component.type === 'VALARM' && get('ACTION')?.value === 'DISPLAY' && !get('DESCRIPTION')) {
+            report(component.line, 'A DISPLAY alarm needs a DESCRIPTION');
+        }
+
+        if (component.type !== 'VEVENT') return;
+
+        const dtstart = get('DTSTART');
+        const dtend = get('DTEND');
+        for (const property of [dtstart, dtend, get('DTSTAMP')].filter(Boolean)) {
+            if (!/^\d{8}(T\d{6}Z?)?$/.test(property.value)) {
+                report(property.line, `${property.name} is not a valid DATE or DATE-TIME: ${property.value}`);
+            }
+        }
+        if (get('DTSTAMP') && !get('DTSTAMP').value.endsWith('Z')) {
+            report(get('DTSTAMP').line, 'DTSTAMP must be in UTC');
+        }
+        if (dtstart && dtend && dtend.value <= dtstart.value && dtend.params.TZID === dtstart.params.TZID) {
+            report(dtend.line, 'DTEND must be after DTSTART');
+        }
+
+        const rrule = get('RRULE');
+        if (rrule) {
+            const until = (rrule.value.match(/UNTIL=([^;]+)/) || [])[1];
+            if (until && !/^\d{8}(T\d{6}Z?)?$/.test(until)) {
+                report(rrule.line, `UNTIL is not a valid DATE or DATE-TIME: ${until}`);
+            } else if (until && dtstart) {
+                // UNTIL takes DTSTART's value type: a DATE for all-day events, UTC when DTSTART has a TZID
+                if (until.includes('T') !== dtstart.value.includes('T')) {
+                    report(rrule.line, 'UNTIL must be a DATE when DTSTART is a DATE, and a DATE-TIME otherwise');
+                } else if (dtstart.params.TZID && !until.endsWith('Z')) {
+                    report(rrule.line, 'UNTIL must be in UTC when DTSTART has a TZID');
+                }
+            }
+            if (!/FREQ=/.test(rrule.value)) {
+                report(rrule.line, 'RRULE is missing FREQ');
+            }
+        }
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICSValidator;
+} else {
+    globalThis.ICSValidator = ICSValidator;
+}
@@ -0,0 +1,80 @@
+/**
+ * ICS Writer
+ * Serializes content lines the way RFC 5545 requires: CRLF line endings and lines
+ * folded at 75 octets of UTF-8 without splitting a multibyte character
+ */
+
+const ICSWriter = {
+    maxLineOctets: 75,
+
+    /**
+     * Serialize content lines into an iCalendar stream
+     * @param {Array} lines - Content lines; entries may hold several lines joined by CRLF or LF
+     * @returns {string} - Every line folded and terminated by CRLF
+     */
+    serialize(lines) {
+        return lines
+            .flatMap(line => line.split(/\r?\n/))
+            .filter(line => line !== '')
+            .map(line => this.fold(line) + '\r\n')
+            .join('');
+    },
+
+    /**
+     * Fold a content line so that no line exceeds 75 octets. Continuation lines start
+     * with a space, which counts towards their 75 octets.
+     */
+    fold(line) {
+        if (this.octetLength(line) <= this.maxLineOctets) return line;
+
+        const result = [];
+        let current = '';
+        let currentOctets = 0;
+
+        // Iterating the string yields whole code points, so surrogate pairs stay together
+        for (const char of line) {
+            const octets = this.octetLength(char);
+            const limit = result.length === 0 ? this.maxLineOctets : this.maxLineOctets - 1;
+            if (currentOctets + octets > limit) {
+                result.push(current);
+                current = '';
+                currentOctets = 0;
+            }
+            current += char;
+            currentOctets += octets;
+        }
+        result.push(current);
+
+        return result.join('\r\n ');
+    },
+
+    /**
+     * Length of a string in UTF-8 octets
+     */
+    octetLength(text) {
+        let octets = 0;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            octets += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        }
+        return octets;
+    },
+
+    /**
+     * Escape a TEXT value: backslash, semicolon, comma and line breaks
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICSWriter;
+} else {
+    globalThis.ICSWriter = ICSWriter;
+}
@@ -0,0 +1,151 @@
+/**
+ * JSON Exporter
+ * Writes the parsed events as JSON for Notion, spreadsheets and scripts. The format is
+ * described by `schema` (JSON Schema); `version` changes when a field changes meaning.
+ */
+
+const JSONExporter = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    version: 1,
+
+    /**
+     * JSON Schema of the exported document
+     */
+    schema: {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'UBC Workday schedule',
+        type: 'object',
+        required: ['version', 'generatedAt', 'timeZone', 'events'],
+        properties: {
+            version: { const: 1, description: 'Format version' },
+            generatedAt: { type: 'string', format: 'date-time', description: 'When the file was written (UTC)' },
+            timeZone: { type: 'string', description: 'IANA time zone of every date and time in the file, e.g. America/Vancouver' },
+            events: { type: 'array', items: { $ref: '#/$defs/event' } }
+        },
+        $defs: {
+            date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Calendar date, YYYY-MM-DD' },
+            time: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'Clock time, HH:MM (24-hour)' },
+            event: {
+                type: 'object',
+                required: ['kind', 'uid', 'courseCode', 'startDate', 'startTime', 'endTime'],
+                properties: {
+                    kind: { enum: ['class', 'exam'] },
+                    uid: { type: 'string', description: 'Same UID as in the .ics; stable across exports' },
+                    title: { type: 'string', description: 'Event title as it appears in the calendar' },
+                    description: { type: 'string' },
+                    courseCode: { type: 'string', description: 'e.g. "CPSC 110"' },
+                    courseTitle: { type: 'string' },
+                    section: { type: 'string', description: 'e.g. "101" or "L1A"' },
+                    format: { type: 'string', description: 'Instructional format, e.g. "Lecture"' },
+                    examType: { type: 'string', description: 'Exams only, e.g. "Final Exam"' },
+                    deliveryMode: { type: 'string', description: 'e.g. "In Person", "Online"' },
+                    instructor: { type: 'string' },
+                    days: {
+                        type: 'array',
+                        items: { enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] },
+                        description: 'Meeting days of a class (empty for exams)'
+                    },
+                    startTime: { $ref: '#/$defs/time' },
+                    endTime: { $ref: '#/$defs/time' },
+                    startDate: { $ref: '#/$defs/date', description: 'First day of the meeting range; the exam date for exams' },
+                    endDate: { $ref: '#/$defs/date', description: 'Last day of the meeting range' },
+                    frequency: {
+                        type: 'object',
+                        properties: {
+                            interval: { type: 'integer', minimum: 1, description: 'Meets every n weeks' },
+                            startWeek: { type: 'integer', minimum: 1, description: 'Week of the range the cycle starts in' }
+                        }
+                    },
+                    occurrences: { type: 'array', items: { $ref: '#/$defs/date' }, description: 'Every meeting date, skipped dates left out' },
+                    excludedDates: { type: 'array', items: { $ref: '#/$defs/date' }, description: 'Meetings skipped for holidays and breaks' },
+                    location: { type: 'string' },
+                    building: { type: 'string', description: 'Building code, e.g. "SWNG", when the building is known' },
+                    buildingName: { type: 'string', description: 'e.g. "West Mall Swing Space"' },
+                    floor: { type: 'string' },
+                    room: { type: 'string' },
+                    url: { type: 'string', description: 'Campus map page of the building' },
+                    campus: { type: 'string', description: 'e.g. "UBCV", "UBCO"' },
+                    academicPeriod: { type: 'string', description: 'As written in Workday' },
+                    term: { type: 'string', description: 'Term id, e.g. "2024W1"' },
+                    reminder: { type: ['integer', 'null'], description: 'Minutes before the start; null for no reminder' },
+                    custom: { type: 'boolean', description: 'Added by hand rather than parsed' }
+                }
+            }
+        }
+    },
+
+    /**
+     * Generate the JSON document
+     * @param {Array} events - Complete events with `uid` set (see ICSGenerator.assignUIDs)
+     * @param {Object} options - { timeZone: the zone the times are in, America/Vancouver by default }
+     * @returns {string} - JSON text
+     */
+    generate(events, options = {}) {
+        const output = {
+            version: this.version,
+            generatedAt: new Date().toISOString(),
+            timeZone: options.timeZone || 'America/Vancouver',
+            events: events.map(event => this.toRecord(event))
+        };
+        return JSON.stringify(output, null, 2) + '\n';
+    },
+
+    /**
+     * An event as described by the schema; internal fields (raw cells, row numbers, editor ids) are left out
+     */
+    toRecord(event) {
+        const generator = this.getGenerator();
+        const record = {
+            kind: event.kind || 'class',
+            uid: event.uid,
+            title: generator.buildSummary(event),
+            description: generator.buildDescription(event),
+            courseCode: event.courseCode || '',
+            courseTitle: event.courseTitle || '',
+            section: event.section || '',
+            format: event.format || '',
+            deliveryMode: event.deliveryMode || '',
+            instructor: event.instructor || '',
+            days: event.kind === 'exam' ? [] : [...(event.days || [])],
+            startTime: this.formatTime(event.startTime),
+            endTime: this.formatTime(event.endTime),
+            startDate: this.shared.toDateKey(event.startDate),
+            endDate: this.shared.toDateKey(event.endDate || event.startDate),
+            frequency: generator.getFrequency(event),
+            occurrences: generator.expandOccurrences(event).map(date => this.shared.toDateKey(date)),
+            excludedDates: (event.excludedDates || []).map(date => this.shared.toDateKey(date)),
+            location: event.location || '',
+            building: event.building || '',
+            buildingName: event.buildingName || '',
+            floor: event.floor || '',
+            room: event.room || '',
+            url: event.url || '',
+            campus: event.campus || '',
+            academicPeriod: event.academicPeriod || '',
+            term: event.term || '',
+            reminder: typeof event.reminder === 'number' ? event.reminder : null,
+            custom: !!event.custom
+        };
+        if (event.kind === 'exam') record.examType = event.examType || 'Exam';
+        return record;
+    },
+
+    /**
+     * Format { hours, minutes } as HH:MM
+     */
+    formatTime(time) {
+        return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONExporter;
+} else {
+    globalThis.JSONExporter = JSONExporter;
+}
@@ -0,0 +1,145 @@
+/**
+ * Location Normalizer
+ * Reads the building, floor and room out of the location formats Workday uses,
+ * e.g. "SWNG-Floor 1-Room 121", "ESB 1013", "Swing Space (SWNG) | Floor: 1 | Room: 121",
+ * and spells out the building's full name. "Online" and "TBA" are delivery notes, not rooms.
+ */
+
+const LocationNormalizer = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getBuildings() {
+        return this.shared.resolve('UBCBuildings', './buildings.js');
+    },
+
+    /**
+     * Campus map page of a building, by code
+     */
+    mapUrl: 'https://maps.ubc.ca/?code={code}',
+
+    /**
+     * Locations that are not a place on campus, and the note written instead
+     */
+    deliveryNotes: [
+        { pattern: /^(?:online|remote|virtual|web[- ]based|zoom)\b/i, note: 'Online' },
+        { pattern: /^(?:tba|tbd|to be (?:announced|determined)|not assigned|no room)\b/i, note: 'TBA' }
+    ],
+
+    /**
+     * Normalize a location
+     * @param {string} text - Location as written in Workday; pipe-separated parts are allowed
+     * @returns {Object} - { location, building, buildingName, floor, room, url, delivery };
+     *                     building is the code when the building is known, delivery is 'Online', 'TBA' or ''
+     */
+    parse(text) {
+        const result = { location: '', building: '', buildingName: '', floor: '', room: '', url: '', delivery: '' };
+        const pieces = String(text || '').split('|').map(piece => piece.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+        let buildingText = '';
+        for (const piece of pieces) {
+            const note = this.getDeliveryNote(piece);
+            if (note) {
+                result.delivery = note;
+                continue;
+            }
+
+            // "Floor: 1", "Room: 121" on their own or inside the piece: "SWNG-Floor 1-Room 121"
+            let rest = piece;
+            const floor = rest.match(/(?:^|[\s-])(?:floor|flr|level)\b\.?:?\s*([A-Za-z0-9]+)\b/i);
+            if (floor) {
+                result.floor = floor[1];
+                rest = rest.replace(floor[0], ' ');
+            }
+            const room = rest.match(/(?:^|[\s-])(?:room|rm)\b\.?:?\s*#?([A-Za-z0-9][A-Za-z0-9.-]*)/i);
+            if (room) {
+                if (this.getDeliveryNote(room[1])) {
+                    result.delivery = 'TBA';
+                } else {
+                    result.room = room[1];
+                }
+                rest = rest.replace(room[0], ' ');
+            }
+
+            rest = rest.replace(/^[\s,:-]+|[\s,:-]+$/g, '');
+            if (rest) buildingText = rest;
+        }
+
+        // Code and room with no "Room" label: "ESB 1013", "ICCS-008", "Swing Space (SWNG) 121"
+        const unlabelled = buildingText.match(/^(.*?\)|[A-Za-z]{2,5})[\s-]+([A-Za-z]?\d{2,}[A-Za-z]?)$/);
+        if (unlabelled && !result.room) {
+            buildingText = unlabelled[1];
+            result.room = unlabelled[2];
+        }
+
+        if (!buildingText) {
+            // A room TBA in no particular building is just TBA
+            result.location = result.delivery || (result.room ? `Rm ${result.room}` : '');
+            return result;
+        }
+
+        const building = this.findBuilding(buildingText);
+        if (building) {
+            result.building = building.code;
+            result.buildingName = building.name;
+            result.url = this.mapUrl.replace('{code}', encodeURIComponent(building.code));
+        } else {
+            result.building = buildingText;
+        }
+
+        const place = building ? `${building.name} (${building.code})` : buildingText;
+        const room = result.room || (result.delivery === 'TBA' ? 'TBA' : '');
+        result.location = [place, room ? `Rm ${room}` : ''].filter(Boolean).join(' ');
+        return result;
+    },
+
+    /**
+     * Find a room in free text, for meeting patterns without pipes: the first known
+     * building code followed by a room number ("... Mon Wed ESB 1013"), or a delivery note
+     * @returns {Object} - As for parse(); every field empty when nothing was found
+     */
+    search(text) {
+        const buildings = this.getBuildings();
+        for (const match of String(text || '').matchAll(/\b([A-Z]{2,5})[\s-]+([A-Z]?\d{2,}[A-Z]?)\b/g)) {
+            if (buildings.lookup(match[1])) {
+                return this.parse(`${match[1]} ${match[2]}`);
+            }
+        }
+
+        const note = String(text || '').match(/\b(online|tba|tbd)\b/i);
+        return this.parse(note ? note[1] : '');
+    },
+
+    /**
+     * 'Online' or 'TBA' when the text names a delivery mode rather than a place, else ''
+     */
+    getDeliveryNote(text) {
+        const match = this.deliveryNotes.find(entry => entry.pattern.test(text.trim()));
+        return match ? match.note : '';
+    },
+
+    /**
+     * Building named by a code ("SWNG", "Swing Space (SWNG)") or by (part of) its full name
+     * ("West Mall Swing Space", "Swing Space")
+     * @returns {Object|null} - See UBCBuildings.lookup()
+     */
+    findBuilding(text) {
+        const buildings = this.getBuildings();
+        const byCode = buildings.find(text);
+        if (byCode) return byCode;
+
+        const name = text.replace(/\s*\([^)]*\)\s*/g, ' ').trim().toLowerCase();
+        if (name.length < 4) return null;
+        const code = Object.keys(buildings.buildings).find(key => {
+            const fullName = buildings.buildings[key].name.toLowerCase();
+            return fullName === name || fullName.includes(name);
+        });
+        return code ? buildings.lookup(code) : null;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationNormalizer;
+} else {
+    globalThis.LocationNormalizer = LocationNormalizer;
+}
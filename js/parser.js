@@ -4,41 +4,213 @@
  */
 
 const WorkdayParser = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    /**
+     * Column names (and aliases) of the class-schedule report, looked up case-insensitively
+     */
+    columns: {
+        courseListing: ['Course Listing'],
+        section: ['Section'],
+        format: ['Instructional Format'],
+        deliveryMode: ['Delivery Mode'],
+        meetingPatterns: ['Meeting Patterns'],
+        instructor: ['Instructor'],
+        academicPeriod: ['Academic Period', 'Term', 'Period', 'Offering Period'],
+        startDate: ['Start Date', 'Meeting Start Date', 'First Meeting Date'],
+        endDate: ['End Date', 'Meeting End Date', 'Last Meeting Date'],
+        startTime: ['Start Time', 'Meeting Start Time'],
+        endTime: ['End Time', 'Meeting End Time'],
+        days: ['Days', 'Meeting Days', 'Day Pattern']
+    },
+
+    /**
+     * Convert a sheet to row objects keyed by its real header row, which Workday
+     * exports often place below a student name, report title and blank line
+     * @param {Object} sheet - SheetJS worksheet
+     * @param {Array} knownColumns - Column names that identify the header row
+     * @returns {Object} - { rows: Array, headerRow: 1-based spreadsheet row of the header }
+     */
+    readSheet(sheet, knownColumns = this.getKnownColumns()) {
+        const XLSX = this.getXLSX();
+        const headerIndex = this.findHeaderRow(sheet, knownColumns);
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', range: headerIndex });
+        return { rows, headerRow: headerIndex + 1 };
+    },
+
+    /**
+     * Find the header row by scoring the first rows against the known column names
+     * @returns {number} - 0-based sheet row index of the best candidate (the first row if none scores)
+     */
+    findHeaderRow(sheet, knownColumns = this.getKnownColumns(), maxRows = 30) {
+        const XLSX = this.getXLSX();
+        if (!sheet || !sheet['!ref']) return 0;
+
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+        const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+        const known = new Set(knownColumns.map(name => name.toLowerCase()));
+
+        let best = { index: firstRow, score: 0 };
+        grid.slice(0, maxRows).forEach((cells, i) => {
+            const score = cells.filter(cell => known.has(String(cell).toLowerCase().trim())).length;
+            if (score > best.score) {
+                best = { index: firstRow + i, score };
+            }
+        });
+
+        // A single matching cell could be a title such as "Section"; require two
+        return best.score >= 2 ? best.index : firstRow;
+    },
+
     /**
-     * Parse an Excel workbook and extract course events
-     * @param {ArrayBuffer} data - Raw file data
-     * @returns {Object} - { events: Array, errors: Array }
+     * Every column name and alias this parser understands
      */
-    parse(data) {
-        const workbook = XLSX.read(data, { type: 'array' });
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
+    getKnownColumns() {
+        return Object.values(this.columns).flat();
+    },
 
-        // Convert to JSON with header row
-        // Use range:0 to ensure we start from the top, helper logic will filter headers
-        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    /**
+     * Whether the rows' header looks like a class schedule
+     * @param {Array} rows - Row objects keyed by header
+     */
+    recognizes(rows) {
+        if (!rows || rows.length === 0) return false;
+        const headers = Object.keys(rows[0]).map(h => h.toLowerCase().trim());
+        return headers.includes('meeting patterns') ||
+            (headers.includes('course listing') && headers.some(h => /\b(days|start time|start date)\b/.test(h)));
+    },
+
+    /**
+     * Parse class-schedule rows (as produced by sheet_to_json) into course events
+     * @param {Array} rows - Row objects keyed by header
+     * @param {Object} context - How to read dates; see getDateContext()
+     * @returns {Object} - { events: Array, diagnostics: Array }
+     */
+    parseRows(rows, context = this.getDateContext(rows)) {
+        const Diagnostics = this.getDiagnostics();
 
         if (rows.length === 0) {
-            return { events: [], errors: ['No data found in the spreadsheet'] };
+            return {
+                events: [],
+                diagnostics: [Diagnostics.create('error', { message: 'No data found in the spreadsheet' })]
+            };
         }
 
         // Find actual data rows (skip duplicate header rows)
         const dataRows = this.filterDataRows(rows);
 
         const events = [];
-        const errors = [];
+        const diagnostics = [];
 
         for (const row of dataRows) {
+            const rowNumber = this.getRowNumber(row);
             try {
-                const rowEvents = this.parseRow(row);
+                const rowEvents = this.parseRow(row, context);
+                if (rowEvents.length === 0) {
+                    diagnostics.push(Diagnostics.create('info', {
+                        row: rowNumber,
+                        column: 'Meeting Patterns',
+                        expected: this.expected.pattern,
+                        message: 'No meeting pattern; row skipped'
+                    }));
+                }
+                for (const event of rowEvents) {
+                    diagnostics.push(...this.checkEvent(event));
+                }
                 events.push(...rowEvents);
             } catch (e) {
                 console.error("Row parse error:", e);
-                errors.push(`Error parsing row: ${e.message}`);
+                diagnostics.push(Diagnostics.create('error', {
+                    row: rowNumber,
+                    message: `Row could not be parsed: ${e.message}`
+                }));
             }
         }
 
-        return { events, errors };
+        return { events, diagnostics };
+    },
+
+    /**
+     * What each field should look like, for diagnostics
+     */
+    expected: {
+        pattern: 'Date range | Days | Time range, e.g. "2024-09-03 - 2024-12-05 | Mon Wed | 10:00 a.m. - 11:00 a.m."',
+        days: 'Meeting days, e.g. "Mon Wed Fri"',
+        time: 'Time range, e.g. "10:00 a.m. - 11:00 a.m."',
+        dates: 'Date range, e.g. "2024-09-03 - 2024-12-05"'
+    },
+
+    /**
+     * Report the fields of a parsed event that could not be read
+     * @returns {Array} - Warning diagnostics, one per missing field or guessed AM/PM, and a note when the room is TBA
+     */
+    checkEvent(event) {
+        const Diagnostics = this.getDiagnostics();
+        const problems = [];
+
+        if (!event.days || event.days.length === 0) {
+            const ambiguous = this.findDayAmbiguity(event.raw);
+            problems.push({
+                field: 'days',
+                message: ambiguous.length > 0 ?
+                    `Ambiguous meeting days: ${ambiguous.join('; ')}` :
+                    'Could not read the meeting days'
+            });
+        }
+        if (!event.startTime || !event.endTime) {
+            problems.push({ field: 'time', message: 'Could not read the start and end time' });
+        }
+        if (!event.startDate || !event.endDate) {
+            problems.push({ field: 'dates', message: 'Could not read the start and end date' });
+        }
+
+        const diagnostics = problems.map(problem => Diagnostics.create('warning', {
+            row: event.sourceRow,
+            column: 'Meeting Patterns',
+            value: event.raw,
+            expected: this.expected[problem.field],
+            message: `${event.courseCode}: ${problem.message}`
+        }));
+
+        // Times read without AM/PM are shown in the preview; ask the user to check them there
+        for (const note of this.findTimeAmbiguity(event.raw)) {
+            diagnostics.push(Diagnostics.create('warning', {
+                row: event.sourceRow,
+                column: 'Meeting Patterns',
+                value: event.raw,
+                expected: this.expected.time,
+                message: `${event.courseCode}: ${note}; check the time in the preview`
+            }));
+        }
+
+        if (/\bTBA$/.test(event.location || '')) {
+            diagnostics.push(Diagnostics.create('info', {
+                row: event.sourceRow,
+                column: 'Meeting Patterns',
+                value: event.raw,
+                message: `${event.courseCode}: Room to be announced; import the schedule again once it is assigned`
+            }));
+        }
+        return diagnostics;
+    },
+
+    getDiagnostics() {
+        return this.shared.resolve('ParseDiagnostics', './diagnostics.js');
+    },
+
+    getAcademicCalendar() {
+        return this.shared.resolve('UBCAcademicCalendar', './academicCalendar.js');
+    },
+
+    getXLSX() {
+        return this.shared.resolve('XLSX', 'xlsx');
+    },
+
+    /**
+     * Spreadsheet row number (1-based, as shown in Excel) for a sheet_to_json row
+     */
+    getRowNumber(row) {
+        return row && typeof row.__rowNum__ === 'number' ? row.__rowNum__ + 1 : '?';
     },
 
     /**
@@ -48,7 +220,7 @@ const WorkdayParser = {
         return rows.filter(row => {
             // Skip rows where "Course Listing" looks like a header
             // Or if the row is completely empty
-            const courseListing = row['Course Listing'] || '';
+            const courseListing = this.findColumnValue(row, this.columns.courseListing) || '';
             if (typeof courseListing === 'string' && courseListing.toLowerCase().includes('course listing')) {
                 return false;
             }
@@ -60,38 +232,41 @@ const WorkdayParser = {
     /**
      * Parse a single row into one or more events
      * Each meeting pattern becomes a separate event
+     * @param {Object} context - How to read dates; see getDateContext()
      */
-    parseRow(row) {
-        const courseListing = row['Course Listing'] || '';
-        const section = row['Section'] || '';
-        const instructionalFormat = row['Instructional Format'] || '';
-        const deliveryMode = row['Delivery Mode'] || '';
-        const meetingPatterns = row['Meeting Patterns'] || '';
-        const instructor = row['Instructor'] || '';
+    parseRow(row, context = {}) {
+        const courseListing = this.findColumnValue(row, this.columns.courseListing) || '';
+        const section = this.findColumnValue(row, this.columns.section) || '';
+        const instructionalFormat = this.findColumnValue(row, this.columns.format) || '';
+        const deliveryMode = this.findColumnValue(row, this.columns.deliveryMode) || '';
+        const meetingPatterns = this.findColumnValue(row, this.columns.meetingPatterns) || '';
+        const instructor = this.findColumnValue(row, this.columns.instructor) || '';
+        const academicPeriod = this.findColumnValue(row, this.columns.academicPeriod) || '';
+
+        // Dates without a year fall in the row's term
+        const dateContext = { ...context, term: this.getAcademicCalendar().parseTermName(String(academicPeriod)) };
 
         // Check for separate Date columns (common in some Workday reports)
-        const explicitStartDate = this.findColumnValue(row, ['Start Date', 'Meeting Start Date', 'First Meeting Date']);
-        const explicitEndDate = this.findColumnValue(row, ['End Date', 'Meeting End Date', 'Last Meeting Date']);
+        const explicitStartDate = this.findColumnValue(row, this.columns.startDate);
+        const explicitEndDate = this.findColumnValue(row, this.columns.endDate);
 
         // Check for separate Time columns
-        const explicitStartTime = this.findColumnValue(row, ['Start Time', 'Meeting Start Time']);
-        const explicitEndTime = this.findColumnValue(row, ['End Time', 'Meeting End Time']);
+        const explicitStartTime = this.findColumnValue(row, this.columns.startTime);
+        const explicitEndTime = this.findColumnValue(row, this.columns.endTime);
 
         // Check for separate Days column
-        const explicitDays = this.findColumnValue(row, ['Days', 'Meeting Days', 'Day Pattern']);
+        const explicitDays = this.findColumnValue(row, this.columns.days);
 
         // Parse separate columns if they exist
-        const globalDates = (explicitStartDate && explicitEndDate) ? {
-            startDate: this.parseDate(explicitStartDate),
-            endDate: this.parseDate(explicitEndDate)
-        } : null;
+        const globalDates = (explicitStartDate && explicitEndDate) ?
+            this.resolveDateRange(explicitStartDate, explicitEndDate, dateContext) :
+            null;
 
-        const globalTimes = (explicitStartTime && explicitEndTime) ? {
-            startTime: this.normalizeTime(explicitStartTime),
-            endTime: this.normalizeTime(explicitEndTime)
-        } : null;
+        const globalTimes = (explicitStartTime && explicitEndTime) ?
+            this.resolveTimeRange(explicitStartTime, explicitEndTime) :
+            null;
 
-        const globalDays = explicitDays ? this.parseDays(explicitDays) : null;
+        const globalDays = explicitDays ? this.parseDays(this.stripFrequencyMarker(explicitDays)) : null;
 
 
         // Parse course name (e.g., "CPSC 110 - Computation, Programs...")
@@ -99,7 +274,7 @@ const WorkdayParser = {
 
         // Parse meeting patterns from the "Meeting Patterns" column
         // This column often contains everything: "Mon Wed | 10:00 - 11:00 | 2024-09-01 - 2024-12-01 | Loc"
-        let patterns = this.parseMeetingPatterns(meetingPatterns);
+        let patterns = this.parseMeetingPatterns(meetingPatterns, dateContext);
 
         // If "Meeting Patterns" column wasn't rich/complete, try to assume 1 pattern from explicit columns
         if (patterns.length === 0 || (patterns.length === 1 && patterns[0].error)) {
@@ -115,39 +290,65 @@ const WorkdayParser = {
                     startDate: globalDates?.startDate || basePattern.startDate,
                     endDate: globalDates?.endDate || basePattern.endDate,
                     location: basePattern.location || '',
+                    building: basePattern.building || '',
+                    buildingName: basePattern.buildingName || '',
+                    floor: basePattern.floor || '',
+                    campus: basePattern.campus || '',
+                    room: basePattern.room || '',
+                    url: basePattern.url || '',
+                    delivery: basePattern.delivery || '',
+                    frequency: basePattern.frequency || this.parseFrequency(`${explicitDays || ''} ${meetingPatterns}`),
                     raw: meetingPatterns
                 }];
             }
         } else {
             // Merge explicit valid data into patterns if patterns are missing them
             // E.g. Pattern has days/times but no dates, and dates are in separate column
-            patterns = patterns.map(p => ({
-                ...p,
-                startDate: p.startDate || globalDates?.startDate,
-                endDate: p.endDate || globalDates?.endDate,
-                startTime: p.startTime || globalTimes?.startTime,
-                endTime: p.endTime || globalTimes?.endTime,
-                days: (p.days && p.days.length > 0) ? p.days : globalDays || []
-            }));
+            patterns = patterns.map(p => {
+                const ownDays = p.days && p.days.length > 0;
+                return {
+                    ...p,
+                    startDate: p.startDate || globalDates?.startDate,
+                    endDate: p.endDate || globalDates?.endDate,
+                    startTime: p.startTime || globalTimes?.startTime,
+                    endTime: p.endTime || globalTimes?.endTime,
+                    days: ownDays ? p.days : globalDays || [],
+                    // Days from the Days column bring their "(Alternate Weeks)" with them
+                    frequency: ownDays || !explicitDays ? p.frequency : this.parseFrequency(`${explicitDays} ${p.raw || ''}`)
+                };
+            });
         }
 
         if (patterns.length === 0) {
             return [];
         }
 
-        return patterns.map(pattern => ({
+        return patterns.map((pattern, index) => ({
+            kind: 'class',
             courseCode: courseInfo.code,
             courseTitle: courseInfo.title,
             section: section,
             format: instructionalFormat,
-            deliveryMode: deliveryMode,
+            // "Online" in place of a room says how the section is taught
+            deliveryMode: deliveryMode || (pattern.delivery === 'Online' ? 'Online' : ''),
             instructor: instructor,
             days: pattern.days || [],
             startTime: pattern.startTime,
             endTime: pattern.endTime,
             startDate: pattern.startDate,
             endDate: pattern.endDate,
+            frequency: this.resolveStartWeek(pattern.frequency || this.parseFrequency(''), pattern),
             location: pattern.location,
+            building: pattern.building || '',
+            buildingName: pattern.buildingName || '',
+            floor: pattern.floor || '',
+            room: pattern.room || '',
+            url: pattern.url || '',
+            campus: pattern.campus || courseInfo.campus,
+            academicPeriod: String(academicPeriod).trim(),
+            sourceRow: this.getRowNumber(row),
+            // Which of the cell's meeting patterns this is; part of the UID (see ICSGenerator.getIdentityKey)
+            patternIndex: index,
             raw: pattern.raw || meetingPatterns
         }));
     },
@@ -173,28 +374,40 @@ const WorkdayParser = {
      * e.g., "CPSC 110 - Computation, Programs, and Programming"
      */
     parseCourseTitle(title) {
-        if (!title) return { code: 'Unknown', title: '' };
+        if (!title) return { code: 'Unknown', title: '', campus: '' };
 
-        // Try standard format "CODE 123 - Title"
-        const match = title.match(/^([A-Z]{2,4}\s*\d{3}[A-Z]?)\s*[-–—]\s*(.+)$/i);
+        // Try standard format "CODE 123 - Title", including Workday's campus suffix "CPSC_V 110 - Title"
+        const match = title.match(/^([A-Z]{2,4})(?:_([A-Z]))?\s*(\d{3}[A-Z]?)\s*[-–—]\s*(.+)$/i);
         if (match) {
             return {
-                code: match[1].trim().toUpperCase(),
-                title: match[2].trim()
+                code: `${match[1].toUpperCase()} ${match[3].toUpperCase()}`,
+                title: match[4].trim(),
+                campus: match[2] ? this.parseCampus(`UBC${match[2]}`) : ''
             };
         }
         return {
             code: title.substring(0, 20),
-            title: title
+            title: title,
+            campus: ''
         };
     },
 
+    /**
+     * Normalize a campus marker ("UBCV", "UBCO") to its code, or '' if unknown
+     */
+    parseCampus(str) {
+        const match = (str || '').trim().match(/^UBC[-_ ]?([VO])$/i);
+        return match ? `UBC${match[1].toUpperCase()}` : '';
+    },
+
     /**
      * Parse the Meeting Patterns cell
-     * Format: "Days | Time Range | Date Range | Location"
+     * Format: "Days | Time Range | Date Range | Location" or UBC's
+     * "Date Range | Days | Time Range | Campus | Building | Floor | Room"
      * Multiple patterns may be separated by <br><br> or newlines
+     * @param {Object} context - How to read dates; see getDateContext()
      */
-    parseMeetingPatterns(patternsStr) {
+    parseMeetingPatterns(patternsStr, context = {}) {
         if (!patternsStr || typeof patternsStr !== 'string' || patternsStr.trim() === '') {
             return [];
         }
@@ -208,13 +421,13 @@ const WorkdayParser = {
         // Workday sometimes puts multiple patterns in one cell separated by newlines
         const patternBlocks = cleanStr
             .split(/(?:<br\s*\/?>|\n){2,}|(?:\r\n){2,}|(?:\n\s*\n)/gi)
-            .map(s => s.replace(/<br\s*\/?>/g, ' ').replace(/\n/g, ' ').trim())
+            .flatMap(block => this.splitPatternLines(block))
             .filter(s => s.length > 0);
 
         const patterns = [];
 
         for (const block of patternBlocks) {
-            const pattern = this.parseSinglePattern(block);
+            const pattern = this.parseSinglePattern(block, context);
             if (pattern) {
                 patterns.push({ ...pattern, raw: block });
             } else {
@@ -232,189 +445,609 @@ const WorkdayParser = {
         return patterns;
     },
 
+    /**
+     * Split a pattern block into lines when every line is its own pipe-separated pattern
+     * (UBC puts one pattern per line); otherwise the lines are one wrapped pattern
+     */
+    splitPatternLines(block) {
+        const lines = block
+            .split(/<br\s*\/?>|\r?\n/i)
+            .map(s => s.trim())
+            .filter(s => s.length > 0);
+
+        if (lines.length > 1 && lines.every(line => line.includes('|'))) {
+            return lines;
+        }
+        return [lines.join(' ')];
+    },
+
     /**
      * Parse a single meeting pattern string
      */
-    parseSinglePattern(patternStr) {
+    parseSinglePattern(patternStr, context = {}) {
         // Strategy: First try strict pipe delimiter, then aggressive fuzzy regex
 
         let result = null;
 
         // Try strict pipe-separated format: "Mon Wed | 14:00 - 15:30 | ..."
         if (patternStr.includes('|')) {
-            const parts = patternStr.split('|').map(s => s.trim());
-            // Need at least days and times usually
-            if (parts.length >= 2) {
-                const days = this.parseDays(parts[0]);
-                const times = this.parseTimeRange(parts[1]);
-                const dates = parts.length > 2 ? this.parseDateRange(parts[2]) : { startDate: null, endDate: null };
-                const loc = parts.length > 3 ? parts[3] : '';
-
-                if (days.length > 0) {
-                    result = { days, ...times, ...dates, location: loc };
-                }
-            }
+            result = this.parsePipePattern(patternStr, context);
         }
 
         // If pipe parsing failed or wasn't applicable, use Aggressive Regex
         if (!result) {
-            result = this.parsePatternWithRegex(patternStr);
+            result = this.parsePatternWithRegex(patternStr, context);
         }
 
         return result;
     },
 
+    /**
+     * Parse a pipe-separated pattern, recognizing each field by its content so that
+     * both the legacy and UBC column orders work. Days always precede the time range.
+     */
+    parsePipePattern(patternStr, context = {}) {
+        const parts = patternStr.split('|').map(s => s.trim());
+        // Need at least days and times usually
+        if (parts.length < 2) return null;
+
+        let dates = null;
+        let times = null;
+        let days = null;
+        const locationParts = [];
+
+        for (const part of parts) {
+            if (!dates) {
+                const range = this.parseDateRange(part, context);
+                if (range.startDate && range.endDate) {
+                    dates = range;
+                    continue;
+                }
+            }
+            if (!times) {
+                const range = this.parseTimeRange(part);
+                if (range.startTime && range.endTime) {
+                    times = range;
+                    continue;
+                }
+                if (!days) {
+                    const dayTokens = this.tokenizeDays(this.stripFrequencyMarker(part));
+                    // An ambiguous days part ("M S") is still the days part; checkEvent reports it
+                    if (dayTokens.unknown.length === 0 && (dayTokens.days.length > 0 || dayTokens.ambiguous.length > 0)) {
+                        days = dayTokens.ambiguous.length > 0 ? [] : dayTokens.days;
+                        continue;
+                    }
+                }
+            }
+            locationParts.push(part);
+        }
+
+        // No days: only a place ("UBCV | CEME | Floor: 1 | Room: 1202"), when the days are in columns of their own
+        if (!days && (times || dates || !locationParts.some(part => this.parseCampus(part)))) return null;
+
+        return {
+            days: days || [],
+            ...(times || { startTime: null, endTime: null }),
+            ...(dates || { startDate: null, endDate: null }),
+            frequency: this.parseFrequency(patternStr),
+            ...this.parseLocationParts(locationParts)
+        };
+    },
+
+    /**
+     * Detect how often a pattern meets from markers such as "(Alternate Weeks)",
+     * "Biweekly" or "Even Weeks"
+     * @returns {Object} - { interval: weeks between meetings, startWeek: 1-based week of
+     *                       the date range in which the cycle starts, or null if unstated }
+     */
+    parseFrequency(str) {
+        const text = (str || '').toLowerCase();
+        const parity = text.match(/\b(odd|even)\s*weeks?\b/);
+        const everyOther = /alternate\s*weeks?|\bbi-?weekly\b|every\s+(?:other|2(?:nd)?|second)\s+weeks?/.test(text);
+
+        return {
+            interval: everyOther || parity ? 2 : 1,
+            startWeek: parity ? (parity[1] === 'even' ? 2 : 1) : null
+        };
+    },
+
+    /**
+     * Fill in an unstated start week: the cycle starts in the week of the first meeting
+     * day on or after the start date (week 1 is the Monday-based week of the start date)
+     */
+    resolveStartWeek(frequency, pattern) {
+        if (frequency.startWeek || frequency.interval === 1) {
+            return { ...frequency, startWeek: frequency.startWeek || 1 };
+        }
+        if (!pattern.startDate || !pattern.days || pattern.days.length === 0) {
+            return { ...frequency, startWeek: 1 };
+        }
+
+        const dayToNum = { 'SU': 0, 'MO': 1, 'TU': 2, 'WE': 3, 'TH': 4, 'FR': 5, 'SA': 6 };
+        const start = new Date(pattern.startDate.year, pattern.startDate.month - 1, pattern.startDate.day);
+        const daysLeftInWeek = 6 - ((start.getDay() + 6) % 7);
+        const meetsInFirstWeek = pattern.days.some(day => {
+            const offset = (dayToNum[day] - start.getDay() + 7) % 7;
+            return offset <= daysLeftInWeek;
+        });
+
+        return { ...frequency, startWeek: meetsInFirstWeek ? 1 : 2 };
+    },
+
+    /**
+     * Remove frequency markers so words like "weeks" are not read as day names
+     */
+    stripFrequencyMarker(str) {
+        return (str || '').replace(
+            /\(?\s*(?:alternate\s*weeks?|bi-?weekly|every\s+(?:other|2(?:nd)?|second)\s+weeks?|(?:odd|even)\s*weeks?)\s*\)?/gi,
+            ' '
+        );
+    },
+
+    /**
+     * Build a location from the trailing pipe fields
+     * e.g. ["UBCV", "Swing Space (SWNG)", "Floor: 1", "Room: 121"] -> "West Mall Swing Space (SWNG) Rm 121"
+     */
+    parseLocationParts(parts) {
+        const campusPart = parts.find(p => this.parseCampus(p));
+        const others = parts.filter(p => p && p !== campusPart);
+
+        return {
+            ...this.getLocationNormalizer().parse(others.join(' | ')),
+            campus: this.parseCampus(campusPart)
+        };
+    },
+
+    getLocationNormalizer() {
+        return this.shared.resolve('LocationNormalizer', './locationNormalizer.js');
+    },
+
     /**
      * Aggressive regex-based parsing that looks for components anywhere in string
      */
-    parsePatternWithRegex(str) {
-        // 1. Extract Date Range (e.g. 2024-09-03 - 2024-12-05 or Sep 3 - Dec 5)
+    parsePatternWithRegex(str, context = {}) {
+        // 1. Extract Date Range (e.g. 2024-09-03 - 2024-12-05, Sep 3 - Dec 5 or 03/09/2024 - 05/12/2024)
         // We look for this first because dates can look like other things
-        const dateRangeRegex = /([A-Za-z]{3}\s+\d{1,2}(?:,?\s+\d{4})?|\d{4}-\d{2}-\d{2})\s*[-–—to]+\s*([A-Za-z]{3}\s+\d{1,2}(?:,?\s+\d{4})?|\d{4}-\d{2}-\d{2})/i;
-        const dateMatch = str.match(dateRangeRegex);
+        const dateMatch = str.match(this.getDateRangeRegex());
 
         // 2. Extract Time Range (e.g. 10:00 AM - 11:00 AM or 14:00 - 15:00)
         // Be permissive with spacing and AM/PM
         const timeRangeRegex = /(\d{1,2}(?::\d{2})?\s*(?:AM|PM|a\.m\.|p\.m\.)?)\s*[-–—to]+\s*(\d{1,2}(?::\d{2})?\s*(?:AM|PM|a\.m\.|p\.m\.)?)/i;
-        const timeMatch = str.match(timeRangeRegex);
-
-        // 3. Extract Days (e.g. Mon Wed Fri or M T W)
-        // We accumulate all found day tokens
-        const dayTokensRegex = /\b(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|Mon|Tue|Wed|Thu|Fri|Sat|Sun|Mo|Tu|We|Th|Fr|Sa|Su)\b/gi;
-        const dayMatches = str.match(dayTokensRegex);
+        const timeMatch = (dateMatch ? str.replace(dateMatch[0], ' ') : str).match(timeRangeRegex);
+
+        // 3. Extract Days (e.g. Mon Wed Fri, M T W or MWF): every word that reads as days,
+        // once the dates are out of the way ("Mar" is also French for Tuesday)
+        const dayText = [dateMatch, timeMatch].reduce((text, match) => match ? text.replace(match[0], ' ') : text, str);
+        const dayWords = this.stripFrequencyMarker(dayText).split(/[\s|,]+/).filter(word => {
+            const { days, unknown } = this.tokenizeDays(word);
+            return days.length > 0 && unknown.length === 0;
+        });
 
-        // 4. Extract Location (whatever is left? Hard to do reliably. Look for "Building" or pipe ending)
-        let location = '';
+        // 4. Extract Location: the pipe ending, or else a known building code and room anywhere
+        const normalizer = this.getLocationNormalizer();
         const locMatch = str.match(/\|\s*([^|]+)$/);
-        if (locMatch) {
-            location = locMatch[1];
-        } else {
-            // Try to find typical room patterns if no pipe
-            const roomMatch = str.match(/\b([A-Z0-9]{2,}\s+\d{2,})\b/);
-            if (roomMatch) location = roomMatch[1];
-        }
+        const place = locMatch ? normalizer.parse(locMatch[1]) : normalizer.search(str);
 
         // Parse found components
-        const days = dayMatches ? this.parseDays(dayMatches.join(' ')) : [];
+        const days = this.parseDays(dayWords.join(' '));
         const times = timeMatch ? this.parseTimeRange(`${timeMatch[1]} - ${timeMatch[2]}`) : { startTime: null, endTime: null };
-        const dates = dateMatch ? this.parseDateRange(`${dateMatch[1]} - ${dateMatch[2]}`) : { startDate: null, endDate: null };
+        const dates = dateMatch ? this.resolveDateRange(dateMatch[1], dateMatch[2], context) : { startDate: null, endDate: null };
 
         // Return whatever we found
         return {
             days,
             ...times,
             ...dates,
-            location: location.trim()
+            frequency: this.parseFrequency(str),
+            ...place,
+            campus: ''
         };
     },
 
     /**
      * Parse day strings into array of RFC 5545 day codes
+     * @returns {Array} - Day codes in the order written; empty when any word is not a day
+     *                    or is ambiguous (see tokenizeDays)
      */
     parseDays(daysStr) {
-        if (!daysStr) return [];
-        const dayMap = {
-            'm': 'MO', 'mo': 'MO', 'mon': 'MO', 'monday': 'MO',
-            't': 'TU', 'tu': 'TU', 'tue': 'TU', 'tues': 'TU', 'tuesday': 'TU',
-            'w': 'WE', 'we': 'WE', 'wed': 'WE', 'wednesday': 'WE',
-            'th': 'TH', 'thu': 'TH', 'thur': 'TH', 'thurs': 'TH', 'thursday': 'TH', 'r': 'TH',
-            'f': 'FR', 'fri': 'FR', 'friday': 'FR',
-            's': 'SA', 'sa': 'SA', 'sat': 'SA', 'saturday': 'SA',
-            'su': 'SU', 'sun': 'SU', 'sunday': 'SU'
+        const { days, ambiguous, unknown } = this.tokenizeDays(daysStr);
+        return ambiguous.length > 0 || unknown.length > 0 ? [] : days;
+    },
+
+    /**
+     * Languages whose day names are recognized, from Intl: "lundi", "Mi", "周三"...
+     */
+    dayLocales: ['en', 'fr', 'es', 'de', 'zh', 'ja'],
+
+    /**
+     * Letters and pairs of compact day strings such as "MWF", "TR", "TTh" or "MoWeFr".
+     * "S" on its own could be Saturday or Sunday.
+     */
+    compactDays: {
+        m: ['MO'], t: ['TU'], w: ['WE'], r: ['TH'], f: ['FR'], s: ['SA', 'SU'], u: ['SU'],
+        mo: ['MO'], tu: ['TU'], we: ['WE'], th: ['TH'], fr: ['FR'], sa: ['SA'], su: ['SU']
+    },
+
+    /**
+     * Letters that are one day inside a compact string ("TR" is Tuesday, Thursday) but
+     * could be either day written on their own ("M T W T F")
+     */
+    loneDays: {
+        t: ['TU', 'TH']
+    },
+
+    dayNames: null,
+
+    /**
+     * Every known day name or code, normalized (see normalizeDayName), with the days it can mean
+     * @returns {Map} - name -> Array of day codes
+     */
+    getDayNames() {
+        if (this.dayNames) return this.dayNames;
+
+        const names = new Map();
+        const add = (name, code) => {
+            const key = this.normalizeDayName(name);
+            const codes = names.get(key) || [];
+            if (!codes.includes(code)) codes.push(code);
+            names.set(key, codes);
         };
 
-        const days = [];
-        // Normalize: "Mon, Wed" -> "mon wed"
-        const normalized = daysStr.toLowerCase().replace(/[,|]/g, ' ').replace(/\./g, '');
-
-        // Tokenize by space
-        const tokens = normalized.split(/\s+/);
-
-        for (const token of tokens) {
-            // Check exact matches or startsWith for common abbr
-            for (const [key, val] of Object.entries(dayMap)) {
-                if (token === key || (token.length > 1 && token.startsWith(key))) {
-                    if (!days.includes(val)) days.push(val);
-                    break;
+        for (const [name, codes] of Object.entries(this.compactDays)) {
+            codes.forEach(code => add(name, code));
+        }
+        // English spellings Intl does not produce
+        for (const [name, code] of Object.entries({ tues: 'TU', weds: 'WE', thur: 'TH', thurs: 'TH' })) {
+            add(name, code);
+        }
+        const codes = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+        for (const locale of this.dayLocales) {
+            for (const weekday of ['long', 'short']) {
+                const format = new Intl.DateTimeFormat(locale, { weekday, timeZone: 'UTC' });
+                // 2024-01-01 was a Monday
+                codes.forEach((code, i) => add(format.format(new Date(Date.UTC(2024, 0, 1 + i))), code));
+            }
+        }
+
+        this.dayNames = names;
+        return names;
+    },
+
+    /**
+     * Lower case without accents or dots: "Mié." -> "mie"
+     */
+    normalizeDayName(name) {
+        return String(name).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f.]/g, '').trim();
+    },
+
+    /**
+     * Split a day string into days. Handles names and abbreviations in several languages,
+     * compact strings ("MWF", "TTh"), slashes ("Mon/Wed") and ranges ("Mon-Fri", "M-F").
+     * @param {string} daysStr - e.g. "Mon Wed Fri", "MWF", "Mon/Wed", "lundi mercredi"
+     * @returns {Object} - { days: day codes in order, ambiguous: Array of { token, message },
+     *                       unknown: words that are not days }
+     */
+    tokenizeDays(daysStr) {
+        const result = { days: [], ambiguous: [], unknown: [] };
+        if (!daysStr) return result;
+
+        const words = String(daysStr)
+            .replace(/\s*(?:[-–—]|\bto\b)\s*/gi, ' - ')
+            .split(/[\s,;|/&+()]+/)
+            .filter(word => word && !/^(?:and|et|y|und)$/i.test(word));
+
+        const readings = words.map(word => word === '-' ? null : this.readDayWord(word));
+        readings.forEach((reading, i) => {
+            if (!reading) {
+                // A range: both ends must be single days
+                const from = readings[i - 1];
+                const to = readings[i + 1];
+                if (from && to && from.days.length === 1 && to.days.length === 1) {
+                    result.days.push(...this.expandDayRange(from.days[0], to.days[0]));
                 }
+                return;
             }
+            if (reading.unknown) result.unknown.push(words[i]);
+            if (reading.ambiguous) result.ambiguous.push({ token: words[i], message: reading.ambiguous });
+            result.days.push(...reading.days);
+        });
+
+        result.days = [...new Set(result.days)];
+        return result;
+    },
+
+    /**
+     * Read one word: a day name, a capitalized run ("TTh", "MoWeFr") or a compact string ("MWF")
+     * @returns {Object} - { days, ambiguous: message or null, unknown: boolean }
+     */
+    readDayWord(word) {
+        const names = this.getDayNames();
+        const dayName = (code) => ({ MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' })[code];
+        const known = this.loneDays[this.normalizeDayName(word)] || names.get(this.normalizeDayName(word));
+        if (known) {
+            return known.length === 1 ?
+                { days: known, ambiguous: null, unknown: false } :
+                { days: [], ambiguous: `"${word}" could be ${known.map(dayName).join(' or ')}`, unknown: false };
+        }
+
+        // Capital letters start each day: "TTh" is Tuesday, Thursday
+        const pieces = /^(?:[A-Z][a-z]*){2,}$/.test(word) && /[a-z]/.test(word) ?
+            [word.match(/[A-Z][a-z]*/g)] :
+            this.segmentDayWord(this.normalizeDayName(word));
+        if (pieces.length === 0 || pieces[0].some(piece => !names.has(this.normalizeDayName(piece)))) {
+            return { days: [], ambiguous: null, unknown: true };
+        }
+
+        const readings = pieces.map(segments => segments.map(piece => names.get(this.normalizeDayName(piece))));
+        const unclear = readings[0].find(codes => codes.length > 1);
+        const days = readings[0].map(codes => codes[0]);
+        if (readings.length > 1) {
+            return { days: [], ambiguous: `"${word}" can be split into days more than one way`, unknown: false };
+        }
+        if (unclear) {
+            return { days: [], ambiguous: `"${word}": one letter could be ${unclear.map(dayName).join(' or ')}`, unknown: false };
+        }
+        if (new Set(days).size < days.length) {
+            // "MTWTF": the second T is meant as Thursday, but T in a run of letters is Tuesday
+            return { days: [], ambiguous: `"${word}" names ${dayName(days.find((day, i) => days.indexOf(day) !== i))} twice`, unknown: false };
+        }
+        return { days, ambiguous: null, unknown: false };
+    },
+
+    /**
+     * Ways to split a run of day names with no separators ("mwf", "月水金"), using as few names as possible
+     * @returns {Array} - Array of Array of names; empty when the text is not made of day names
+     */
+    segmentDayWord(text) {
+        const names = [...this.getDayNames().keys()];
+        const best = new Map([[text.length, [[]]]]);
+        for (let start = text.length - 1; start >= 0; start--) {
+            let options = [];
+            for (const name of names) {
+                if (!text.startsWith(name, start) || !best.has(start + name.length)) continue;
+                const rests = best.get(start + name.length);
+                const candidates = rests.map(rest => [name, ...rest]);
+                if (options.length === 0 || candidates[0].length < options[0].length) {
+                    options = candidates;
+                } else if (candidates[0].length === options[0].length) {
+                    options.push(...candidates);
+                }
+            }
+            if (options.length > 0) best.set(start, options);
+        }
+        return best.get(0) || [];
+    },
+
+    /**
+     * Days from one day to another, inclusive, wrapping past Sunday: FR-MO -> FR, SA, SU, MO
+     */
+    expandDayRange(from, to) {
+        const codes = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+        const days = [];
+        for (let i = codes.indexOf(from); ; i = (i + 1) % 7) {
+            days.push(codes[i]);
+            if (codes[i] === to) return days;
         }
+    },
 
-        return days;
+    /**
+     * Ambiguous day words anywhere in a meeting pattern, for diagnostics
+     * @returns {Array} - Messages, e.g. '"S" could be Saturday or Sunday'
+     */
+    findDayAmbiguity(pattern) {
+        return String(pattern || '').split(/[|\n]/).flatMap(part => {
+            const { ambiguous, unknown } = this.tokenizeDays(this.stripFrequencyMarker(part));
+            return unknown.length === 0 ? ambiguous.map(entry => entry.message) : [];
+        });
     },
 
     /**
      * Parse time range string "10:00 AM - 11:00 AM"
+     * @returns {Object} - { startTime, endTime, timeNote } (see resolveTimeRange)
      */
     parseTimeRange(timeStr) {
         const timeMatch = timeStr.match(/(\d{1,2}(?::\d{2})?\s*(?:AM|PM|a\.m\.|p\.m\.)?)\s*[-–—to]+\s*(\d{1,2}(?::\d{2})?\s*(?:AM|PM|a\.m\.|p\.m\.)?)/i);
         if (timeMatch) {
-            return {
-                startTime: this.normalizeTime(timeMatch[1]),
-                endTime: this.normalizeTime(timeMatch[2])
-            };
+            return this.resolveTimeRange(timeMatch[1], timeMatch[2]);
         }
-        return { startTime: null, endTime: null };
+        return { startTime: null, endTime: null, timeNote: null };
     },
 
     /**
-     * Normalize time to 24-hour format object
+     * Earliest start and latest end of UBC teaching, in hours, for times written without AM/PM
      */
-    normalizeTime(timeStr) {
-        if (!timeStr) return null;
-        let cleaned = timeStr.trim().toUpperCase().replace(/\./g, '');
+    teachingHours: { start: 7, end: 22 },
+
+    /**
+     * Hours nearly every class falls within; a time read as written outside them is noted
+     * when another reading falls inside
+     */
+    usualHours: { start: 8, end: 21 },
+
+    /**
+     * Longest plausible meeting, in hours
+     */
+    maxMeetingHours: 8,
+
+    /**
+     * Read a start and end time together, so a missing AM/PM can be inferred from the other
+     * end ("1:00 - 2:30 PM" starts at 13:00), the teaching day and the end being after the start
+     * @returns {Object} - { startTime, endTime, timeNote }; timeNote describes a guess the user
+     *                     should confirm, or is null when the times were clear
+     */
+    resolveTimeRange(startStr, endStr) {
+        const start = this.readClockTime(startStr);
+        const end = this.readClockTime(endStr);
+        const at = (time, hours) => time ? { hours, minutes: time.minutes } : null;
+        const written = {
+            startTime: at(start, start?.readings[0]),
+            endTime: at(end, end?.readings[0]),
+            timeNote: null
+        };
+        if (!start || !end) return written;
+
+        const candidates = [];
+        for (const startHours of start.readings) {
+            for (const endHours of end.readings) {
+                const from = startHours * 60 + start.minutes;
+                const to = endHours * 60 + end.minutes;
+                if (to > from) candidates.push({ startTime: at(start, startHours), endTime: at(end, endHours), from, to });
+            }
+        }
 
-        // Handle "2" (meaning 2 PM probably? or 2 AM?)
-        // If just digits, assume 24h unless small.
-        if (!cleaned.includes(':')) {
-            cleaned += ":00";
+        const plausible = (c) => c.from >= this.teachingHours.start * 60 && c.to <= this.teachingHours.end * 60 &&
+            c.to - c.from <= this.maxMeetingHours * 60;
+        const format = (c) => `${this.formatClock(c.startTime)} - ${this.formatClock(c.endTime)}`;
+        const note = (chosen, others) => `"${String(startStr).trim()} - ${String(endStr).trim()}" has no AM/PM; read as ${format(chosen)}` +
+            (others.length > 0 ? `, not ${others.map(format).join(' or ')}` : '');
+
+        // As written (24-hour clock when there is no AM/PM) whenever that makes sense. "9:00 - 10:00"
+        // could be in the evening too, but only an early "7:00 - 8:30" is worth a note: the evening fits better
+        const asWritten = candidates.find(c => c.startTime.hours === start.readings[0] && c.endTime.hours === end.readings[0]);
+        if (asWritten && plausible(asWritten)) {
+            const usual = (c) => c.from >= this.usualHours.start * 60 && c.to <= this.usualHours.end * 60;
+            const better = usual(asWritten) ? [] : candidates.filter(c => c !== asWritten && plausible(c) && usual(c));
+            return better.length > 0 ? { ...written, timeNote: note(asWritten, better) } : written;
         }
 
-        const match = cleaned.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/);
+        // Otherwise the readings that fit the teaching day, with both ends on the same side of noon
+        let best = candidates;
+        for (const prefer of [plausible, (c) => (c.startTime.hours >= 12) === (c.endTime.hours >= 12)]) {
+            const kept = best.filter(prefer);
+            if (kept.length > 0) best = kept;
+        }
+        if (best.length === 0) return written;
 
-        if (!match) return null;
+        const chosen = best.sort((a, b) => a.from - b.from)[0];
+        // "1:00 - 2:30 PM" is a common way to write it; no AM/PM at all is a guess
+        const guessed = (!start.period && !end.period) || best.length > 1;
+        return {
+            startTime: chosen.startTime,
+            endTime: chosen.endTime,
+            timeNote: guessed ? note(chosen, best.slice(1)) : null
+        };
+    },
 
-        let hours = parseInt(match[1], 10);
-        const minutes = parseInt(match[2], 10);
-        const period = match[3];
+    /**
+     * Read a clock time and the hours it can stand for
+     * @returns {Object|null} - { minutes, period: 'AM' | 'PM' | null, readings: hours of the day,
+     *                          the reading as written first }; "2:00" reads as [2, 14], "14:00" and "09:00" as one hour
+     */
+    readClockTime(timeStr) {
+        if (timeStr === null || timeStr === undefined || timeStr === '') return null;
+
+        // Time cells from SheetJS: a Date (read with cellDates) or a fraction of a day
+        if (timeStr instanceof Date || (typeof timeStr === 'number' && timeStr >= 0 && timeStr < 1)) {
+            const date = timeStr instanceof Date ? this.roundToMinute(timeStr) : new Date(Math.round(timeStr * 1440) * 60000);
+            const hours = timeStr instanceof Date ? date.getHours() : date.getUTCHours();
+            const minutes = timeStr instanceof Date ? date.getMinutes() : date.getUTCMinutes();
+            return { minutes, period: null, readings: [hours] };
+        }
+
+        const cleaned = String(timeStr).trim().toUpperCase().replace(/\./g, '');
+        // "2" or "2 PM" -> "2:00", "2:00 PM"
+        const match = (cleaned.includes(':') ? cleaned : cleaned.replace(/^(\d{1,2})/, '$1:00'))
+            .match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/);
+        if (!match) return null;
 
-        if (period === 'PM' && hours !== 12) {
-            hours += 12;
-        } else if (period === 'AM' && hours === 12) {
-            hours = 0;
+        const hours = parseInt(match[1], 10);
+        const period = hours <= 12 ? (match[3] || null) : null;
+        let readings;
+        if (period === 'PM') {
+            readings = [hours === 12 ? 12 : hours + 12];
+        } else if (period === 'AM') {
+            readings = [hours === 12 ? 0 : hours];
+        } else if (hours === 0 || hours > 12 || match[1].startsWith('0')) {
+            // 24-hour clock
+            readings = [hours];
+        } else {
+            readings = hours === 12 ? [12, 0] : [hours, hours + 12];
         }
 
-        return { hours, minutes };
+        return { minutes: parseInt(match[2], 10), period, readings };
+    },
+
+    /**
+     * Normalize time to 24-hour format object. A time without AM/PM is taken as written
+     * (24-hour clock); use resolveTimeRange for a start and end
+     */
+    normalizeTime(timeStr) {
+        const time = this.readClockTime(timeStr);
+        return time ? { hours: time.readings[0], minutes: time.minutes } : null;
+    },
+
+    /**
+     * Format { hours, minutes } as "1:00 PM"
+     */
+    formatClock(time) {
+        const hours = time.hours % 12 === 0 ? 12 : time.hours % 12;
+        return `${hours}:${String(time.minutes).padStart(2, '0')} ${time.hours < 12 ? 'AM' : 'PM'}`;
+    },
+
+    /**
+     * Times written without AM/PM anywhere in a meeting pattern, for diagnostics
+     * @returns {Array} - Messages from resolveTimeRange
+     */
+    findTimeAmbiguity(pattern) {
+        return String(pattern || '').split(/[|\n]/)
+            .map(part => this.parseTimeRange(part.replace(/\d{4}-\d{2}-\d{2}/g, ' ')).timeNote)
+            .filter(Boolean);
     },
 
     /**
-     * Parse date range string
+     * Parse date range string, e.g. "2024-09-03 - 2024-12-05", "Sep 3 - Dec 5" or "3 septembre - 5 décembre 2024"
+     * @param {string} dateStr - Text containing the range
+     * @param {Object} context - See getDateContext(), plus the row's `term`
      */
-    parseDateRange(dateStr) {
-        const match = dateStr.match(/([A-Za-z]{3}\s+\d{1,2}(?:,?\s+\d{4})?|\d{4}-\d{2}-\d{2})\s*[-–—to]+\s*([A-Za-z]{3}\s+\d{1,2}(?:,?\s+\d{4})?|\d{4}-\d{2}-\d{2})/i);
+    parseDateRange(dateStr, context = {}) {
+        const match = String(dateStr || '').match(this.getDateRangeRegex());
         if (match) {
-            return {
-                startDate: this.parseDate(match[1]),
-                endDate: this.parseDate(match[2])
-            };
+            return this.resolveDateRange(match[1], match[2], context);
         }
         return { startDate: null, endDate: null };
     },
 
     /**
-     * Parse a single date string
+     * Read a start and end date together: a date without a year takes it from the other
+     * end ("Sep 3 - Dec 5, 2024"), and an end before the start is in the next year ("Dec 9 - Jan 5")
+     * @returns {Object} - { startDate, endDate }
      */
-    parseDate(dateStr) {
-        if (!dateStr) return null;
+    resolveDateRange(startValue, endValue, context = {}) {
+        const hasYear = (value) => typeof value !== 'string' || /\d{4}|\d[/.]\d{1,2}[/.]\d{2}\b/.test(value);
+
+        if (!hasYear(startValue) && hasYear(endValue)) {
+            const endDate = this.parseDate(endValue, context);
+            return { startDate: this.parseDate(startValue, { ...context, before: endDate }), endDate };
+        }
+
+        const startDate = this.parseDate(startValue, context);
+        const endContext = startDate && !hasYear(endValue) ? { ...context, after: startDate } : context;
+        return { startDate, endDate: this.parseDate(endValue, endContext) };
+    },
+
+    /**
+     * Parse a single date: ISO ("2024-09-03"), numeric ("03/09/2024", in the order of
+     * context.dateOrder), month names in any of dayLocales ("September 3", "3 sept. 2024"),
+     * an Excel serial number, or a Date from SheetJS. A missing year is inferred (see inferYear).
+     * @param {string|number|Date} value - Cell value or text
+     * @param {Object} context - See getDateContext(), plus the row's `term`
+     * @returns {Object|null} - { year, month, day }
+     */
+    parseDate(value, context = {}) {
+        if (value === null || value === undefined || value === '') return null;
+
+        // SheetJS returns Date objects for date cells when read with cellDates
+        if (value instanceof Date) {
+            const date = this.roundToMinute(value);
+            return isNaN(date) ? null : this.toDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+        }
+
+        const dateStr = String(value).trim();
 
         // Try ISO format first: 2024-09-03
         const isoMatch = dateStr.match(/(\d{4})-(\d{2})-(\d{2})/);
         if (isoMatch) {
-            return {
-                year: parseInt(isoMatch[1], 10),
-                month: parseInt(isoMatch[2], 10),
-                day: parseInt(isoMatch[3], 10)
-            };
+            return this.toDate(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10), parseInt(isoMatch[3], 10));
         }
 
         // Try Excel serial number (numeric date)
@@ -422,39 +1055,258 @@ const WorkdayParser = {
             // Excel dates are days since Dec 30 1899
             const serial = parseFloat(dateStr);
             const date = new Date((serial - 25569) * 86400 * 1000);
-            return {
-                year: date.getUTCFullYear(),
-                month: date.getUTCMonth() + 1,
-                day: date.getUTCDate()
-            };
+            return this.toDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
         }
 
-        // Try "Sep 3, 2024" format
-        const monthNames = {
-            'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'may': 5, 'jun': 6,
-            'jul': 7, 'aug': 8, 'sep': 9, 'oct': 10, 'nov': 11, 'dec': 12
-        };
+        // Numeric: 09/03/2024 or 03.09.24
+        const numericMatch = dateStr.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4}|\d{2})\b/);
+        if (numericMatch) {
+            const [first, second, year] = numericMatch.slice(1).map(n => parseInt(n, 10));
+            const fullYear = year < 100 ? 2000 + year : year;
+            return context.dateOrder === 'DMY' ?
+                this.toDate(fullYear, second, first) :
+                this.toDate(fullYear, first, second);
+        }
 
-        const textMatch = dateStr.match(/([A-Za-z]{3})[a-z]*\s+(\d{1,2})(?:,?\s+(\d{4}))?/i);
+        // Month names: "Sep 3, 2024", "September 3" or "3 septembre 2024"
+        const months = this.getMonthPattern();
+        const monthFirst = dateStr.match(new RegExp(`(${months})\\b\\.?\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, 'i'));
+        const dayFirst = dateStr.match(new RegExp(`(\\d{1,2})(?:st|nd|rd|th|er)?\\.?\\s+(?:de\\s+)?(${months})\\b\\.?(?:,?\\s+(?:de\\s+)?(\\d{4}))?`, 'i'));
+        const textMatch = [monthFirst, dayFirst].filter(Boolean).sort((a, b) => a.index - b.index)[0];
         if (textMatch) {
-            const monthKey = textMatch[1].toLowerCase();
-            const month = monthNames[monthKey];
-            const year = textMatch[3] ? parseInt(textMatch[3], 10) : new Date().getFullYear(); // Assume current year if missing
+            const [name, day] = textMatch === monthFirst ? [textMatch[1], textMatch[2]] : [textMatch[2], textMatch[1]];
+            const month = this.getMonthNames().get(this.normalizeDayName(name));
+            const dayNumber = parseInt(day, 10);
+            const year = textMatch[3] ? parseInt(textMatch[3], 10) : this.inferYear(month, dayNumber, context);
+            return this.toDate(year, month, dayNumber);
+        }
 
-            if (month) {
-                return {
-                    year: year,
-                    month: month,
-                    day: parseInt(textMatch[2], 10)
-                };
+        return null;
+    },
+
+    /**
+     * SheetJS Dates can fall a millisecond short of the time in the cell (in time zones with
+     * a half-hour offset, midnight becomes 23:59:59.999 the day before)
+     */
+    roundToMinute(date) {
+        return new Date(Math.round(date.getTime() / 60000) * 60000);
+    },
+
+    /**
+     * { year, month, day }, or null when the day does not exist
+     */
+    toDate(year, month, day) {
+        if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate())) {
+            return null;
+        }
+        return { year, month, day };
+    },
+
+    /**
+     * Year of a date written without one: from the other end of its range, then the
+     * row's term, then whichever year puts it nearest the workbook's other dates (or today)
+     * @param {Object} context - { after, before: the other end of the range, term, references }
+     */
+    inferYear(month, day, context = {}) {
+        const compare = (a, b) => (a.month - b.month) || (a.day - b.day);
+        if (context.after) {
+            return context.after.year + (compare({ month, day }, context.after) < 0 ? 1 : 0);
+        }
+        if (context.before) {
+            return context.before.year - (compare({ month, day }, context.before) > 0 ? 1 : 0);
+        }
+
+        // Winter Session runs from September to April, so January to July are in the next year
+        const session = (context.term || '').match(/^(\d{4})([WS])/);
+        if (session) {
+            return parseInt(session[1], 10) + (session[2] === 'W' && month < 8 ? 1 : 0);
+        }
+
+        const today = new Date();
+        const references = context.references && context.references.length > 0 ?
+            context.references :
+            [{ year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() }];
+        const dayNumber = (date) => Date.UTC(date.year, date.month - 1, date.day) / 86400000;
+
+        let best = null;
+        for (const reference of references) {
+            for (const year of [reference.year - 1, reference.year, reference.year + 1]) {
+                const distance = Math.abs(dayNumber({ year, month, day }) - dayNumber(reference));
+                if (!best || distance < best.distance) best = { year, distance };
             }
         }
+        return best.year;
+    },
 
-        return null;
+    monthNames: null,
+
+    /**
+     * Every known month name and abbreviation, normalized (see normalizeDayName), from Intl
+     * for dayLocales: "september", "sept", "janv", "marz"...
+     * @returns {Map} - name -> month number
+     */
+    getMonthNames() {
+        if (this.monthNames) return this.monthNames;
+
+        const names = new Map([['sept', 9]]);
+        for (const locale of this.dayLocales) {
+            for (const month of ['long', 'short']) {
+                const format = new Intl.DateTimeFormat(locale, { month, timeZone: 'UTC' });
+                for (let i = 0; i < 12; i++) {
+                    const name = this.normalizeDayName(format.format(new Date(Date.UTC(2024, i, 15))));
+                    // Names only; some languages write months as numbers ("9月")
+                    if (/^[a-z]+$/.test(name) && !names.has(name)) names.set(name, i + 1);
+                }
+            }
+        }
+
+        this.monthNames = names;
+        return names;
+    },
+
+    monthPattern: null,
+
+    /**
+     * Regex alternation of the month names as written, with and without accents, longest first
+     */
+    getMonthPattern() {
+        if (this.monthPattern) return this.monthPattern;
+
+        const written = new Set(this.getMonthNames().keys());
+        for (const locale of this.dayLocales) {
+            for (const month of ['long', 'short']) {
+                const format = new Intl.DateTimeFormat(locale, { month, timeZone: 'UTC' });
+                for (let i = 0; i < 12; i++) {
+                    const name = format.format(new Date(Date.UTC(2024, i, 15))).toLowerCase().replace(/\.$/, '');
+                    if (this.getMonthNames().has(this.normalizeDayName(name))) written.add(name);
+                }
+            }
+        }
+
+        this.monthPattern = [...written].sort((a, b) => b.length - a.length).join('|');
+        return this.monthPattern;
+    },
+
+    dateRangeRegex: null,
+
+    /**
+     * Regex for a date range; groups 1 and 2 are the start and end dates
+     */
+    getDateRangeRegex() {
+        if (this.dateRangeRegex) return this.dateRangeRegex;
+
+        const months = this.getMonthPattern();
+        const date = [
+            '\\d{4}-\\d{1,2}-\\d{1,2}',
+            '\\d{1,2}[/.]\\d{1,2}[/.](?:\\d{4}|\\d{2})',
+            `(?:${months})\\b\\.?\\s+\\d{1,2}(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+            `\\d{1,2}(?:st|nd|rd|th|er)?\\.?\\s+(?:de\\s+)?(?:${months})\\b\\.?(?:,?\\s+(?:de\\s+)?\\d{4})?`
+        ].join('|');
+
+        this.dateRangeRegex = new RegExp(`(${date})\\s*(?:[-–—]|\\bto\\b|\\bau\\b|\\bal\\b|\\bbis\\b)\\s*(${date})`, 'i');
+        return this.dateRangeRegex;
+    },
+
+    /**
+     * What a workbook's dates say about each other: whether numeric dates are day/month
+     * or month/day (by numbers above 12, then by ranges running forwards and dates falling in
+     * their row's term), and the dates that have a year, to place dates that lack one
+     * @param {Array} rows - Row objects, from every sheet of the workbook
+     * @returns {Object} - { dateOrder: 'MDY' | 'DMY', dateOrderGuessed, dateOrderConflict, references: Array of dates };
+     *                    dateOrderConflict is { dayFirst, monthFirst }, example dates, when the workbook has both
+     */
+    getDateContext(rows) {
+        const calendar = this.getAcademicCalendar();
+        const numeric = [];
+        const ranges = [];
+        const references = [];
+        // Day, month and year of each numeric date, with "24" for 2024
+        const numericDate = '(\\d{1,2})[/.](\\d{1,2})[/.](\\d{4}|\\d{2})\\b';
+        const numbers = (match) => match.slice(1).map(Number).map((n, i) => i % 3 === 2 && n < 100 ? 2000 + n : n);
+
+        for (const row of rows) {
+            const term = Object.values(row).map(value => typeof value === 'string' && calendar.parseTermName(value)).find(Boolean);
+            for (const value of Object.values(row)) {
+                if (value instanceof Date) {
+                    references.push(this.parseDate(value));
+                    continue;
+                }
+                if (typeof value !== 'string') continue;
+
+                for (const match of value.matchAll(new RegExp(`\\b${numericDate}`, 'g'))) {
+                    numeric.push({ parts: numbers(match), text: match[0], term });
+                }
+                for (const match of value.matchAll(new RegExp(`\\b${numericDate}\\s*[-–—]\\s*${numericDate}`, 'g'))) {
+                    ranges.push(numbers(match));
+                }
+                for (const match of value.matchAll(/\d{4}-\d{2}-\d{2}/g)) {
+                    references.push(this.parseDate(match[0]));
+                }
+                const withYear = new RegExp(`(?:${this.getMonthPattern()})\\b\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\s+(?:${this.getMonthPattern()})\\b\\.?,?\\s+\\d{4}`, 'gi');
+                for (const match of value.matchAll(withYear)) {
+                    references.push(this.parseDate(match[0]));
+                }
+            }
+        }
+
+        // A first number above 12 is a day; a second one above 12 is a day too
+        const read = (order, [first, second, year]) => order === 'DMY' ?
+            this.toDate(year, second, first) :
+            this.toDate(year, first, second);
+        const dayFirst = numeric.find(({ parts }) => parts[0] > 12);
+        const monthFirst = numeric.find(({ parts }) => parts[1] > 12);
+        let dateOrder = dayFirst && !monthFirst ? 'DMY' : 'MDY';
+        let dateOrderGuessed = false;
+        const dateOrderConflict = dayFirst && monthFirst ? { dayFirst: dayFirst.text, monthFirst: monthFirst.text } : null;
+
+        if (!dayFirst && !monthFirst && numeric.some(({ parts }) => parts[0] !== parts[1])) {
+            // Undecided by the numbers alone: the order that makes more sense of the schedule
+            const dayNumber = (date) => date ? Date.UTC(date.year, date.month - 1, date.day) : NaN;
+            const score = (order) =>
+                ranges.filter(range => dayNumber(read(order, range.slice(0, 3))) <= dayNumber(read(order, range.slice(3)))).length +
+                numeric.filter(({ parts, term }) => term && read(order, parts) &&
+                    (calendar.getTerm(read(order, parts)) || '').startsWith(term)).length;
+            const [monthDay, dayMonth] = [score('MDY'), score('DMY')];
+            if (dayMonth !== monthDay) {
+                dateOrder = dayMonth > monthDay ? 'DMY' : 'MDY';
+            } else {
+                dateOrderGuessed = true;
+            }
+        }
+
+        for (const { parts } of numeric) {
+            references.push(read(dateOrder, parts));
+        }
+
+        return { dateOrder, dateOrderGuessed, dateOrderConflict, references: references.filter(Boolean) };
+    },
+
+    /**
+     * A warning when numeric dates could be read either way, or when some can only be
+     * day/month and others only month/day, for the workbook's diagnostics
+     * @returns {Array} - Zero or one diagnostic
+     */
+    checkDateContext(context) {
+        if (context.dateOrderConflict) {
+            const { dayFirst, monthFirst } = context.dateOrderConflict;
+            return [this.getDiagnostics().create('warning', {
+                expected: this.expected.dates,
+                message: `The workbook has day/month dates such as ${dayFirst} and month/day dates such as ${monthFirst}; ` +
+                    'all were read as month/day. Check the dates in the preview'
+            })];
+        }
+        if (!context.dateOrderGuessed) return [];
+        const order = context.dateOrder === 'DMY' ? 'day/month' : 'month/day';
+        return [this.getDiagnostics().create('warning', {
+            expected: this.expected.dates,
+            message: `Dates such as 03/09/2024 could be day/month or month/day; read as ${order}. Check the dates in the preview`
+        })];
     }
 };
 
-// Export for use in other modules
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WorkdayParser;
+} else {
+    globalThis.WorkdayParser = WorkdayParser;
 }
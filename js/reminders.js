@@ -0,0 +1,75 @@
+/**
+ * Reminder Rules
+ * Decides how long before each event a reminder (VALARM) goes off, from a default
+ * plus overrides per instructional format and per course
+ */
+
+const ReminderRules = {
+    /**
+     * Reminder lead times offered in the UI, in minutes; null means no reminder
+     */
+    choices: [null, 0, 5, 10, 15, 30, 60, 120, 1440],
+
+    /**
+     * Rules used until the user picks something: no reminders, as before
+     * `default` applies to every event; `formats` and `courses` map a format
+     * ("Lecture") or course code ("CPSC 110") to minutes, or to null for none.
+     * A format or course that is not listed falls back to the default.
+     */
+    defaults: {
+        default: null,
+        formats: {},
+        courses: {}
+    },
+
+    /**
+     * Minutes before the event to remind, or null for no reminder.
+     * A course rule beats a format rule, which beats the default.
+     * @param {Object} event - Parsed event
+     * @param {Object} rules - { default, formats, courses }
+     * @returns {number|null}
+     */
+    resolve(event, rules = this.defaults) {
+        const course = this.lookup(rules.courses, event.courseCode);
+        if (course !== undefined) return course;
+
+        const format = this.lookup(rules.formats, this.getFormat(event));
+        if (format !== undefined) return format;
+
+        return rules.default ?? null;
+    },
+
+    /**
+     * The format a rule is matched against; exams are their own format
+     */
+    getFormat(event) {
+        return event.kind === 'exam' ? 'Exam' : (event.format || '');
+    },
+
+    /**
+     * Case-insensitive lookup; undefined when the key has no rule
+     */
+    lookup(map, key) {
+        if (!map || !key) return undefined;
+        const match = Object.keys(map).find(name => name.toLowerCase() === key.toLowerCase());
+        return match === undefined ? undefined : map[match];
+    },
+
+    /**
+     * Human-readable lead time, e.g. "15 min before", "1 h before", "At start", "No reminder"
+     */
+    describe(minutes) {
+        if (minutes === null || minutes === undefined) return 'No reminder';
+        if (minutes === 0) return 'At start';
+        if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+        if (minutes % 60 === 0) return `${minutes / 60} h before`;
+        return `${minutes} min before`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderRules;
+} else {
+    globalThis.ReminderRules = ReminderRules;
+}
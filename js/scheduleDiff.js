@@ -0,0 +1,162 @@
+/**
+ * Schedule Diff
+ * Compares a new export against a previously downloaded calendar, matched by UID,
+ * and builds the update-only and cancellation calendars
+ */
+
+const ScheduleDiff = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    getLocationNormalizer() {
+        return this.shared.resolve('LocationNormalizer', './locationNormalizer.js');
+    },
+
+    /**
+     * Fields compared between the two versions of an event
+     */
+    fields: [
+        { name: 'days', label: 'Days' },
+        { name: 'time', label: 'Time' },
+        { name: 'dates', label: 'Dates' },
+        { name: 'location', label: 'Room' },
+        { name: 'instructor', label: 'Instructor' }
+    ],
+
+    /**
+     * Compare two versions of a schedule
+     * @param {Array} previousEvents - Events from the earlier calendar (with `uid`)
+     * @param {Array} events - Events of the new export to compare (UIDs are assigned when missing)
+     * @param {Object} options - { others: the export's other events, e.g. in unticked terms or
+     *                             not read completely; still on the schedule, so never dropped }
+     * @returns {Object} - { added, dropped, changed: Array of { event, previous, changes }, unchanged,
+     *                       kept: earlier events matched only by `others` }
+     */
+    compare(previousEvents, events, options = {}) {
+        const generator = this.getGenerator();
+        const current = generator.assignUIDs(events);
+        const previousByUid = new Map(previousEvents.map(event => [event.uid, event]));
+        const currentUids = new Set(current.map(event => event.uid));
+        const otherUids = new Set(generator.assignUIDs(options.others || []).map(event => event.uid));
+
+        const result = { added: [], dropped: [], changed: [], unchanged: [], kept: [] };
+
+        for (const event of current) {
+            const previous = previousByUid.get(event.uid);
+            if (!previous) {
+                result.added.push(event);
+                continue;
+            }
+
+            const changes = this.getChanges(previous, event);
+            if (changes.length > 0) {
+                result.changed.push({ event, previous, changes });
+            } else {
+                result.unchanged.push(event);
+            }
+        }
+
+        for (const event of previousEvents) {
+            if (currentUids.has(event.uid)) continue;
+            result[otherUids.has(event.uid) ? 'kept' : 'dropped'].push(event);
+        }
+        return result;
+    },
+
+    /**
+     * Fields that differ between two versions of an event
+     * @returns {Array} - Array of { field, label, from, to }
+     */
+    getChanges(previous, event) {
+        const changes = [];
+        for (const field of this.fields) {
+            const from = this.describeField(previous, field.name);
+            const to = this.describeField(event, field.name);
+            // null: the earlier calendar does not record this field
+            if (from !== null && from !== to) {
+                changes.push({ field: field.name, label: field.label, from, to });
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * Comparable text for one field, e.g. time "10:00-11:00", dates "2024-09-04 to 2024-12-05"
+     * @returns {string|null} - null when the event does not record the field
+     */
+    describeField(event, field) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const time = (t) => t ? `${pad(t.hours)}:${pad(t.minutes)}` : '?';
+        const date = (d) => d ? this.shared.toDateKey(d) : '?';
+
+        switch (field) {
+            case 'days':
+                return event.kind === 'exam' ? '' : (event.days || []).join(',');
+            case 'time':
+                return `${time(event.startTime)}-${time(event.endTime)}`;
+            case 'dates': {
+                // A calendar only records the first meeting, not the first day of the range
+                const first = this.getFirstMeeting(event);
+                return event.kind === 'exam' ? date(first) : `${date(first)} to ${date(event.endDate)}`;
+            }
+            case 'location':
+                // Earlier calendars may spell the same room "ICCS Rm 008" or "ICICS/CS Building (ICCS) Rm 008"
+                return event.location === undefined ? null : this.getLocationNormalizer().parse(event.location).location;
+            default:
+                return event[field] === undefined ? null : (event[field] || '').trim();
+        }
+    },
+
+    /**
+     * Date of the first meeting
+     */
+    getFirstMeeting(event) {
+        if (event.kind === 'exam' || !event.startDate || !event.days || event.days.length === 0) {
+            return event.startDate;
+        }
+        const generator = this.getGenerator();
+        return generator.findFirstOccurrence(event.startDate, event.days, generator.getFrequency(event));
+    },
+
+    /**
+     * Events to send as updates: new ones, and changed ones with a SEQUENCE above the old one
+     * @param {Object} diff - Result of compare()
+     * @returns {Array}
+     */
+    getUpdates(diff) {
+        return [
+            ...diff.added,
+            ...diff.changed.map(({ event, previous }) => ({
+                ...event,
+                sequence: Math.max(event.sequence || 0, (previous.sequence || 0) + 1)
+            }))
+        ];
+    },
+
+    /**
+     * Calendars for the user to import: the updates (METHOD:PUBLISH) and the dropped
+     * sections (METHOD:CANCEL). A calendar has a single METHOD, so they are separate files.
+     * @param {Object} diff - Result of compare()
+     * @param {Object} options - { calendarName }
+     * @returns {Object} - { updates: ICS content or null, cancellations: ICS content or null }
+     */
+    generateCalendars(diff, options = {}) {
+        const generator = this.getGenerator();
+        const updates = this.getUpdates(diff);
+
+        return {
+            updates: updates.length > 0 ? generator.generate(updates, options) : null,
+            cancellations: diff.dropped.length > 0 ? generator.generateCancellation(diff.dropped, options) : null
+        };
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleDiff;
+} else {
+    globalThis.ScheduleDiff = ScheduleDiff;
+}
@@ -0,0 +1,549 @@
+/**
+ * Schedule Pipeline
+ * The single parse → preview → export flow shared by the page and Node scripts
+ */
+
+const SchedulePipeline = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getParser() {
+        return this.shared.resolve('WorkdayParser', './parser.js');
+    },
+
+    getExamParser() {
+        return this.shared.resolve('ExamScheduleParser', './examParser.js');
+    },
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    getAcademicCalendar() {
+        return this.shared.resolve('UBCAcademicCalendar', './academicCalendar.js');
+    },
+
+    getReader() {
+        return this.shared.resolve('ICSReader', './icsReader.js');
+    },
+
+    getValidator() {
+        return this.shared.resolve('ICSValidator', './icsValidator.js');
+    },
+
+    getConflicts() {
+        return this.shared.resolve('ScheduleConflicts', './conflicts.js');
+    },
+
+    getTravelWarnings() {
+        return this.shared.resolve('TravelWarnings', './travelWarnings.js');
+    },
+
+    getBuildings() {
+        return this.shared.resolve('UBCBuildings', './buildings.js');
+    },
+
+    getCSVExporter() {
+        return this.shared.resolve('CSVExporter', './csvExporter.js');
+    },
+
+    getJSONExporter() {
+        return this.shared.resolve('JSONExporter', './jsonExporter.js');
+    },
+
+    getTimetable() {
+        return this.shared.resolve('TimetableRenderer', './timetable.js');
+    },
+
+    getTimeZone() {
+        return this.shared.resolve('TimeZoneUtils', './timeZone.js');
+    },
+
+    getReminderRules() {
+        return this.shared.resolve('ReminderRules', './reminders.js');
+    },
+
+    getTemplates() {
+        return this.shared.resolve('EventTemplates', './templates.js');
+    },
+
+    /**
+     * Parse a Workday .xlsx export. Every sheet is scanned and recognized by its header
+     * as a class schedule or an exam schedule; other sheets are skipped.
+     * @param {ArrayBuffer|Uint8Array} data - Raw file data
+     * @returns {Object} - { events: Array, diagnostics: Array (see ParseDiagnostics),
+     *                       sheets: Array of { name, type: 'class' | 'exam' | null, headerRow, eventCount } }
+     */
+    parse(data) {
+        const parser = this.getParser();
+        const examParser = this.getExamParser();
+        const XLSX = parser.getXLSX();
+        const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+        const knownColumns = [...parser.getKnownColumns(), ...examParser.getKnownColumns()];
+
+        const Diagnostics = parser.getDiagnostics();
+
+        const events = [];
+        const diagnostics = [];
+        const sheets = [];
+
+        const read = workbook.SheetNames.map(sheetName => {
+            const { rows, headerRow } = parser.readSheet(workbook.Sheets[sheetName], knownColumns);
+            const type = examParser.recognizes(rows) ? 'exam' : parser.recognizes(rows) ? 'class' : null;
+            return { sheetName, rows, headerRow, type };
+        });
+
+        // Dates are read the same way on every sheet: numeric dates in the workbook's order,
+        // years from the workbook's other dates
+        const context = parser.getDateContext(read.filter(sheet => sheet.type).flatMap(sheet => sheet.rows));
+        diagnostics.push(...parser.checkDateContext(context));
+
+        for (const { sheetName, rows, headerRow, type } of read) {
+            let result = { events: [], diagnostics: [] };
+            if (type === 'exam') {
+                result = examParser.parseRows(rows, context);
+            } else if (type === 'class') {
+                result = parser.parseRows(rows, context);
+            }
+
+            sheets.push({ name: sheetName, type, headerRow, eventCount: result.events.length });
+            events.push(...result.events.map(event => this.assignTerm({ ...event, sheet: sheetName })));
+
+            diagnostics.push(type ?
+                Diagnostics.create('info', { sheet: sheetName, row: headerRow, message: `Header row detected (${type} schedule)` }) :
+                Diagnostics.create('info', { sheet: sheetName, message: 'Sheet skipped: no class or exam schedule header found' }));
+            diagnostics.push(...result.diagnostics.map(d => ({ ...d, sheet: sheetName })));
+        }
+
+        if (!sheets.some(sheet => sheet.type)) {
+            diagnostics.push(Diagnostics.create('error', {
+                expected: 'A sheet with a "Course Listing" and "Meeting Patterns" header, or an exam schedule',
+                message: 'No class or exam schedule found in the spreadsheet'
+            }));
+        }
+        diagnostics.push(...this.checkCoverage(events));
+
+        return { events, diagnostics, sheets };
+    },
+
+    /**
+     * Read a previously exported .ics back into events, e.g. to edit it or merge it
+     * with another export. UIDs are kept, so re-exporting updates the same events.
+     * @param {string} text - ICS file content
+     * @returns {Object} - { events, diagnostics, sheets } as for parse()
+     */
+    parseCalendar(text) {
+        const Diagnostics = this.getParser().getDiagnostics();
+        const { events, diagnostics } = this.getReader().parse(text);
+
+        if (events.length === 0) {
+            diagnostics.push(Diagnostics.create('error', {
+                expected: 'A calendar with BEGIN:VEVENT entries',
+                message: 'No events found in the calendar file'
+            }));
+        }
+
+        const withTerms = events.map(event => this.assignTerm(event));
+        diagnostics.push(...this.checkCoverage(withTerms));
+
+        return {
+            events: withTerms,
+            diagnostics,
+            sheets: []
+        };
+    },
+
+    /**
+     * A warning for each term with classes the bundled UBC calendar has no holidays for,
+     * since applyExclusions() cannot skip its holidays and breaks
+     * @param {Array} events - Events with `term` set
+     * @returns {Array} - Diagnostics, one per uncovered term
+     */
+    checkCoverage(events) {
+        const calendar = this.getAcademicCalendar();
+        const Diagnostics = this.getParser().getDiagnostics();
+        const lastSession = calendar.sessions[calendar.sessions.length - 1];
+        const uncovered = events.filter(event => event.kind !== 'exam' && this.isComplete(event) &&
+            !(calendar.covers(event.startDate) && calendar.covers(event.endDate)));
+
+        return this.getTerms(uncovered).map(term => {
+            const first = uncovered.find(event => event.term === term.id);
+            return Diagnostics.create('warning', {
+                sheet: first.sheet,
+                row: first.sourceRow,
+                expected: `Terms up to the ${lastSession.name} (UBC holiday data v${calendar.version})`,
+                message: `No UBC holiday data for ${term.name}; its ${term.eventCount} event(s) keep their meetings on holidays and breaks`
+            });
+        });
+    },
+
+    /**
+     * Merge events from several files. Events with the same UID are the same section
+     * meeting pattern; the one from the later file wins.
+     * @param {Array} events - Events in file order
+     * @returns {Array} - Events with `uid` set, without duplicates
+     */
+    mergeEvents(events) {
+        const byUid = new Map();
+        for (const event of this.getGenerator().assignUIDs(events)) {
+            byUid.delete(event.uid);
+            byUid.set(event.uid, event);
+        }
+        return [...byUid.values()];
+    },
+
+    /**
+     * Set an event's academic period (term id) from its Academic Period column,
+     * falling back to its dates
+     */
+    assignTerm(event) {
+        const calendar = this.getAcademicCalendar();
+        const term = calendar.parseTermName(event.academicPeriod) ||
+            calendar.getTerm(event.startDate, event.endDate);
+        return { ...event, term: term || 'unknown' };
+    },
+
+    /**
+     * Terms present in the events, in chronological order
+     * @returns {Array} - Array of { id, name, eventCount }
+     */
+    getTerms(events) {
+        const counts = new Map();
+        for (const event of events) {
+            counts.set(event.term, (counts.get(event.term) || 0) + 1);
+        }
+
+        return [...counts.keys()]
+            .sort()
+            .map(id => ({
+                id,
+                name: this.getTermName(id),
+                eventCount: counts.get(id)
+            }));
+    },
+
+    /**
+     * Display name for a term id, e.g. "2024 Winter Term 1"
+     */
+    getTermName(termId) {
+        if (!termId || termId === 'unknown') return 'Unknown term';
+        return this.getAcademicCalendar().getTermName(termId);
+    },
+
+    /**
+     * Group events by term, keeping only the selected terms
+     * @param {Array} events - Events with `term` set
+     * @param {Array} termIds - Terms to keep (all when omitted)
+     * @returns {Array} - Array of { term: { id, name }, events }
+     */
+    groupByTerm(events, termIds = null) {
+        return this.getTerms(events)
+            .filter(term => !termIds || termIds.includes(term.id))
+            .map(term => ({
+                term: { id: term.id, name: term.name },
+                events: events.filter(event => event.term === term.id)
+            }));
+    },
+
+    /**
+     * Split events into the calendars to export. With several calendars each gets a
+     * color, in order of first appearance, so per-course colors match the preview.
+     * @param {Array} events - Events to export
+     * @param {string} grouping - 'single' (default), 'term', 'course' or 'format'
+     * @returns {Array} - Array of { id, name, color, events }; name and color are null for a single calendar
+     */
+    groupEvents(events, grouping = 'single') {
+        const keys = {
+            term: (event) => event.term,
+            course: (event) => event.courseCode || 'Other',
+            format: (event) => this.getReminderRules().getFormat(event) || 'Other'
+        };
+        const keyOf = keys[grouping];
+        if (!keyOf) {
+            return [{ id: 'all', name: null, color: null, events }];
+        }
+
+        const colors = Object.keys(this.getGenerator().calendarColors);
+        const ids = [...new Set(events.map(keyOf))];
+        return ids.map((id, index) => ({
+            id,
+            name: grouping === 'term' ? this.getTermName(id) : id,
+            color: ids.length > 1 ? colors[index % colors.length] : null,
+            events: events.filter(event => keyOf(event) === id)
+        }));
+    },
+
+    /**
+     * Whether an event has everything needed to become a VEVENT
+     */
+    isComplete(event) {
+        if (event.kind === 'exam') {
+            return !!(event.startDate && event.startTime && event.endTime);
+        }
+        return !!(event.days && event.days.length > 0 &&
+            event.startTime && event.endTime &&
+            event.startDate && event.endDate);
+    },
+
+    /**
+     * Pairs of complete events whose meetings overlap
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @returns {Array} - See ScheduleConflicts.find
+     */
+    findConflicts(events) {
+        return this.getConflicts().find(events.filter(e => this.isComplete(e)));
+    },
+
+    /**
+     * Back-to-back meetings in buildings too far apart to walk between in the gap
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @param {Object} options - { maxGap: minutes, 10 by default }
+     * @returns {Array} - See TravelWarnings.find
+     */
+    findTravelWarnings(events, options = {}) {
+        return this.getTravelWarnings().find(events.filter(e => this.isComplete(e)), options);
+    },
+
+    /**
+     * Generate .ics content from the complete events
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @param {Object} options - { calendarName, color, timeZone: 'tzid' (default), 'utc' or 'floating' }
+     * @returns {string} - ICS file content
+     */
+    generateICS(events, options = {}) {
+        return this.getGenerator().generate(events.filter(e => this.isComplete(e)), options);
+    },
+
+    /**
+     * Generate a Google Calendar CSV (one row per meeting) from the complete events
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @returns {string} - CSV content
+     */
+    generateCSV(events) {
+        return this.getCSVExporter().generate(events.filter(e => this.isComplete(e)));
+    },
+
+    /**
+     * Generate the JSON export (see JSONExporter.schema) from the complete events
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @returns {string} - JSON text
+     */
+    generateJSON(events) {
+        const complete = this.getGenerator().assignUIDs(events.filter(e => this.isComplete(e)));
+        return this.getJSONExporter().generate(complete, { timeZone: this.getTimeZone().defaultTimeZone });
+    },
+
+    /**
+     * Generate the printable weekly timetable, one page per term
+     * @param {Array} events - Parsed events (incomplete ones are skipped)
+     * @param {Object} options - { title, colors: course code -> CSS color }
+     * @returns {string} - HTML document
+     */
+    generateTimetable(events, options = {}) {
+        const pages = this.groupByTerm(events.filter(e => this.isComplete(e)))
+            .map(group => ({ title: group.term.name, events: group.events }));
+        return this.getTimetable().render(pages, options);
+    },
+
+    /**
+     * Check generated .ics content against RFC 5545
+     * @returns {Array} - Problems as { line, message }, empty when valid
+     */
+    validateICS(content) {
+        return this.getValidator().validate(content);
+    },
+
+    /**
+     * Dates on which an event occurs, identical to the expanded RRULE
+     */
+    getOccurrences(event) {
+        if (!this.isComplete(event)) return [];
+        return this.getGenerator().expandOccurrences(event);
+    },
+
+    /**
+     * Mark the meetings that fall on UBC non-instructional days as excluded
+     * @param {Array} events - Parsed events
+     * @param {Object} options - { enabled: skip closures (default true), campus: fallback campus code }
+     * @returns {Array} - Copies of the events with `excludedDates` set
+     */
+    applyExclusions(events, options = {}) {
+        const enabled = options.enabled !== false;
+        const calendar = this.getAcademicCalendar();
+
+        return events.map(event => {
+            if (!enabled || event.kind === 'exam' || !this.isComplete(event)) {
+                return { ...event, excludedDates: [] };
+            }
+
+            const closures = calendar.getClosures(event.campus || options.campus, event.startDate, event.endDate);
+            const occurrences = this.getGenerator().expandOccurrences(event, { includeExcluded: true });
+            const excludedDates = closures.filter(closure => occurrences.some(date =>
+                date.year === closure.year && date.month === closure.month && date.day === closure.day));
+
+            return { ...event, excludedDates };
+        });
+    },
+
+    /**
+     * Add the building's full name to each location and its coordinates as `place`,
+     * which the generator writes as GEO and X-APPLE-STRUCTURED-LOCATION
+     * @param {Array} events - Parsed events
+     * @param {Object} options - { enabled: default false }
+     * @returns {Array} - Copies of the events; unknown buildings are left as they are
+     */
+    applyPlaces(events, options = {}) {
+        if (!options.enabled) return events;
+        const buildings = this.getBuildings();
+
+        return events.map(event => {
+            const place = buildings.forEvent(event);
+            if (!place) return event;
+
+            const location = event.location || place.code;
+            return {
+                ...event,
+                place,
+                location: location.includes(place.name) ? location : `${location} (${place.name})`
+            };
+        });
+    },
+
+    /**
+     * Set each event's reminder from the rules
+     * @param {Array} events - Parsed events
+     * @param {Object} rules - { default, formats, courses } (see ReminderRules)
+     * @returns {Array} - Copies of the events with `reminder` set (minutes before start, or null)
+     */
+    applyReminders(events, rules) {
+        const reminderRules = this.getReminderRules();
+        return events.map(event => ({ ...event, reminder: reminderRules.resolve(event, rules) }));
+    },
+
+    /**
+     * Render each event's title, description and location from templates.
+     * A title typed in the event editor is kept.
+     * @param {Array} events - Parsed events
+     * @param {Object} templates - { summary, examSummary, description, location } (see EventTemplates)
+     * @returns {Array} - Copies of the events with `summary`, `description` and `location` set
+     */
+    applyTemplates(events, templates) {
+        const eventTemplates = this.getTemplates();
+        return events.map(event => {
+            const rendered = eventTemplates.apply(event, templates);
+            return {
+                ...event,
+                summary: event.summary || rendered.summary,
+                description: rendered.description,
+                location: rendered.location
+            };
+        });
+    },
+
+    /**
+     * Number each event's revisions. An event whose content changed since the previous
+     * export (same UID, different fingerprint) gets its SEQUENCE bumped and a new
+     * LAST-MODIFIED, so calendar apps replace the old copy.
+     * @param {Array} events - Complete events about to be exported
+     * @param {Object} revisions - Previous state: { [uid]: { fingerprint, sequence, lastModified } }
+     * @param {Date} now - Time of this export
+     * @returns {Object} - { events: copies with uid, sequence and lastModified set,
+     *                       revisions: updated state to keep for the next export }
+     */
+    applyRevisions(events, revisions = {}, now = new Date()) {
+        const generator = this.getGenerator();
+        const updated = { ...revisions };
+
+        const revised = generator.assignUIDs(events).map(event => {
+            const fingerprint = generator.getFingerprint(event);
+            const previous = revisions[event.uid];
+
+            let revision;
+            if (!previous) {
+                revision = { fingerprint, sequence: 0, lastModified: now.toISOString() };
+            } else if (previous.fingerprint !== fingerprint) {
+                revision = { fingerprint, sequence: previous.sequence + 1, lastModified: now.toISOString() };
+            } else {
+                revision = previous;
+            }
+
+            updated[event.uid] = revision;
+            return { ...event, sequence: revision.sequence, lastModified: revision.lastModified };
+        });
+
+        return { events: revised, revisions: updated };
+    },
+
+    /**
+     * Human-readable list of skipped meetings
+     * e.g. "2024-10-14 (Thanksgiving), 2024-11-11 (Remembrance Day)"
+     */
+    describeExclusions(event) {
+        return (event.excludedDates || [])
+            .map(date => date.name ? `${this.shared.toDateKey(date)} (${date.name})` : this.shared.toDateKey(date))
+            .join(', ');
+    },
+
+    /**
+     * Human-readable meeting frequency, empty for weekly meetings
+     * e.g. "Every 2 weeks, starting week 2 (2024-09-09)"
+     */
+    describeFrequency(event) {
+        const frequency = this.getGenerator().getFrequency(event);
+        if (frequency.interval === 1) return '';
+
+        const first = this.getOccurrences(event)[0];
+        const firstLabel = first ? ` (${this.shared.toDateKey(first)})` : '';
+        return `Every ${frequency.interval} weeks, starting week ${frequency.startWeek}${firstLabel}`;
+    },
+
+    /**
+     * Build FullCalendar event objects for every occurrence of an event
+     * @param {Object} event - Parsed event
+     * @param {Object} options - { color, timeZone: 'campus' (default) for campus clock times,
+     *                            'viewer' for the same moments in the viewer's time zone,
+     *                            conflictDates: Set of YYYY-MM-DD on which the event clashes }
+     * @returns {Array}
+     */
+    toPreviewEvents(event, options = {}) {
+        const startTime = this.formatClockTime(event.startTime);
+        const endTime = this.formatClockTime(event.endTime);
+        let title = event.format ? `${event.courseCode} (${event.format.substring(0, 3)})` : event.courseCode;
+        if (event.kind === 'exam' || event.summary) {
+            title = this.getGenerator().buildSummary(event);
+        }
+        const frequency = this.describeFrequency(event);
+
+        const timeZone = this.getTimeZone();
+        const zone = timeZone.getCampusTimeZone(event.campus);
+        // Instants in UTC are shown in the viewer's zone; times without an offset as they are
+        const toPreviewTime = (date, time, clockTime) => options.timeZone === 'viewer' ?
+            new Date(timeZone.toUTC(date, time, zone)).toISOString() :
+            `${this.shared.toDateKey(date)}T${clockTime}`;
+
+        return this.getOccurrences(event).map(date => {
+            const conflict = !!options.conflictDates && options.conflictDates.has(this.shared.toDateKey(date));
+            return {
+                title: title,
+                start: toPreviewTime(date, event.startTime, startTime),
+                end: toPreviewTime(date, event.endTime, endTime),
+                color: options.color,
+                classNames: conflict ? ['fc-event-conflict'] : [],
+                extendedProps: { location: event.location, frequency: frequency, reminder: event.reminder, conflict }
+            };
+        });
+    },
+
+    /**
+     * Format { hours, minutes } as HH:MM:SS
+     */
+    formatClockTime(time) {
+        return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}:00`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchedulePipeline;
+} else {
+    globalThis.SchedulePipeline = SchedulePipeline;
+}
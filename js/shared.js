@@ -0,0 +1,32 @@
+/**
+ * Shared helpers
+ * Every module runs both as a page script and as a Node module. resolve() finds another
+ * module either way; toDateKey() is the one YYYY-MM-DD format used for dates everywhere.
+ */
+
+const Shared = {
+    /**
+     * Another module: the page's global of that name, or required in Node
+     * @param {string} name - Global name, e.g. 'ICSGenerator'
+     * @param {string} path - Module path relative to js/, e.g. './icsGenerator.js', or a package name
+     */
+    resolve(name, path) {
+        if (typeof globalThis[name] !== 'undefined') return globalThis[name];
+        return require(path);
+    },
+
+    /**
+     * Sortable YYYY-MM-DD key for a { year, month, day } date, '' for none
+     */
+    toDateKey(date) {
+        if (!date) return '';
+        return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shared;
+} else {
+    globalThis.Shared = Shared;
+}
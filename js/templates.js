@@ -0,0 +1,156 @@
+/**
+ * Event Templates
+ * A small template language for event titles, descriptions and locations.
+ *
+ *   {field}          value of a parsed event field, e.g. {courseCode}
+ *   {field|filter}   value passed through a filter: upper, lower or short ("Lecture" -> "LEC")
+ *   [ ... ]          optional part, left out when any field inside it is empty
+ */
+
+const EventTemplates = {
+    /**
+     * Fields a template can use
+     */
+    fields: ['courseCode', 'courseTitle', 'section', 'format', 'examType', 'instructor', 'deliveryMode', 'location', 'building', 'buildingName', 'floor', 'room'],
+
+    /**
+     * Short names for the common Workday instructional formats
+     */
+    formatAbbreviations: {
+        lecture: 'LEC',
+        laboratory: 'LAB',
+        lab: 'LAB',
+        tutorial: 'TUT',
+        seminar: 'SEM',
+        discussion: 'DIS',
+        studio: 'STU',
+        practicum: 'PRA',
+        exam: 'EXAM',
+        'final exam': 'FINAL',
+        'midterm exam': 'MIDTERM'
+    },
+
+    filters: {
+        upper: (value) => value.toUpperCase(),
+        lower: (value) => value.toLowerCase(),
+        short(value) {
+            const known = EventTemplates.formatAbbreviations[value.toLowerCase().trim()];
+            return known || value.replace(/\s+/g, '').substring(0, 3).toUpperCase();
+        }
+    },
+
+    /**
+     * Built-in template sets. `examSummary` titles exams; the other templates apply to every event.
+     * "standard" reproduces the titles and descriptions written before templates existed.
+     */
+    presets: {
+        standard: {
+            name: 'Standard',
+            summary: '{courseCode}[ ({section})][ - {format}]',
+            examSummary: '{courseCode} {examType}',
+            description: '{courseTitle}[\nInstructor: {instructor}][\nMode: {deliveryMode}]',
+            location: '{location}'
+        },
+        compact: {
+            name: 'Compact (phones)',
+            summary: '{courseCode} {format|short}',
+            examSummary: '{courseCode} {examType|short}',
+            description: '{courseTitle}[\n{section}][\n{instructor}]',
+            location: '{location}'
+        },
+        full: {
+            name: 'Full (desktop)',
+            summary: '{courseCode}[ {section}] - {courseTitle}[ ({format})]',
+            examSummary: '{courseCode} {examType} - {courseTitle}',
+            description: '{courseTitle}[\nSection: {section}][\nFormat: {format}][\nInstructor: {instructor}][\nMode: {deliveryMode}][\nLocation: {location}]',
+            location: '{location}'
+        }
+    },
+
+    defaultPreset: 'standard',
+
+    /**
+     * Template values of an event's fields, as strings
+     */
+    getValues(event) {
+        const values = {};
+        for (const field of this.fields) {
+            const value = event[field];
+            values[field] = value === undefined || value === null ? '' : String(value).trim();
+        }
+        return values;
+    },
+
+    /**
+     * Render one template against an event
+     * @param {string} template - e.g. "{courseCode} {format|short}"
+     * @param {Object} event - Parsed event
+     * @returns {string}
+     */
+    render(template, event) {
+        const values = this.getValues(event);
+        const fill = (text) => {
+            let missing = false;
+            const filled = text.replace(/\{(\w+)(?:\|(\w+))?\}/g, (match, field, filter) => {
+                let value = values[field] || '';
+                if (value && filter && this.filters[filter]) {
+                    value = this.filters[filter](value);
+                }
+                if (!value) missing = true;
+                return value;
+            });
+            return { filled, missing };
+        };
+
+        // Optional parts first, then the fields outside them
+        const withOptional = (template || '').replace(/\[([^[\]]*)\]/g, (match, inner) => {
+            const { filled, missing } = fill(inner);
+            return missing ? '' : filled;
+        });
+
+        return fill(withOptional).filled
+            .split('\n')
+            .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    },
+
+    /**
+     * Title, description and location of an event under a template set
+     * @param {Object} event - Parsed event
+     * @param {Object} templates - { summary, examSummary, description, location }
+     * @returns {Object} - { summary, description, location }
+     */
+    apply(event, templates) {
+        const summaryTemplate = event.kind === 'exam' ? templates.examSummary : templates.summary;
+        return {
+            summary: this.render(summaryTemplate, event),
+            description: this.render(templates.description, event),
+            location: this.render(templates.location, event)
+        };
+    },
+
+    /**
+     * Problems with a template, e.g. unknown fields or filters
+     * @returns {Array} - Messages, empty when the template is fine
+     */
+    validate(template) {
+        const problems = [];
+        for (const [, field, filter] of (template || '').matchAll(/\{(\w+)(?:\|(\w+))?\}/g)) {
+            if (!this.fields.includes(field)) {
+                problems.push(`Unknown field {${field}}`);
+            }
+            if (filter && !this.filters[filter]) {
+                problems.push(`Unknown filter |${filter}`);
+            }
+        }
+        return problems;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventTemplates;
+} else {
+    globalThis.EventTemplates = EventTemplates;
+}
@@ -0,0 +1,158 @@
+/**
+ * Time Zone Helpers
+ * Converts between wall-clock times in an IANA time zone and UTC instants using the
+ * platform's time zone data (Intl), so DST rules are always the current ones.
+ * Schedules are in campus time; the .ics can be written with a VTIMEZONE, in UTC or floating.
+ */
+
+const TimeZoneUtils = {
+    /**
+     * Time zone each campus's schedule is in
+     */
+    campusTimeZones: {
+        UBCV: 'America/Vancouver',
+        UBCO: 'America/Vancouver'
+    },
+
+    defaultTimeZone: 'America/Vancouver',
+
+    /**
+     * How times can be written to the .ics
+     *   tzid:     local time with a TZID and a VTIMEZONE for the schedule's date range
+     *   utc:      converted to UTC, for tools that reject custom VTIMEZONEs
+     *   floating: the same clock time in whatever zone the calendar is opened
+     */
+    modes: ['tzid', 'utc', 'floating'],
+
+    formatters: new Map(),
+
+    /**
+     * Time zone of a campus's schedule
+     */
+    getCampusTimeZone(campus) {
+        return this.campusTimeZones[campus] || this.defaultTimeZone;
+    },
+
+    /**
+     * Time zone of the device viewing the page, e.g. 'Europe/Berlin'
+     */
+    getViewerTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+
+    /**
+     * Calendar fields of an instant in a time zone
+     * @param {string} timeZone - IANA name, e.g. 'America/Vancouver'
+     * @param {number} instant - Milliseconds since the epoch
+     * @returns {Object} - { year, month, day, hour, minute, second }
+     */
+    getZoneParts(timeZone, instant) {
+        // Building a formatter is slow, and VTIMEZONE generation asks for many instants
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        const parts = this.formatters.get(timeZone).formatToParts(new Date(instant));
+        const part = (type) => Number(parts.find(p => p.type === type).value);
+        return { year: part('year'), month: part('month'), day: part('day'), hour: part('hour'), minute: part('minute'), second: part('second') };
+    },
+
+    /**
+     * Offset of a time zone from UTC at an instant, in milliseconds (e.g. -7 h for PDT)
+     */
+    getZoneOffset(timeZone, instant) {
+        const parts = this.getZoneParts(timeZone, instant);
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wall - Math.floor(instant / 1000) * 1000;
+    },
+
+    /**
+     * UTC instant of a wall-clock time in a time zone
+     * @param {Object} date - { year, month, day }
+     * @param {Object} time - { hours, minutes, seconds? }
+     * @param {string} timeZone - IANA name
+     * @returns {number} - Milliseconds since the epoch
+     */
+    toUTC(date, time, timeZone) {
+        const wall = Date.UTC(date.year, date.month - 1, date.day, time.hours, time.minutes, time.seconds || 0);
+        // Step back by the zone's offset; the second pass settles times near a DST change
+        let instant = wall - this.getZoneOffset(timeZone, wall);
+        instant = wall - this.getZoneOffset(timeZone, instant);
+        return instant;
+    },
+
+    /**
+     * UTC offset changes of a time zone between two instants
+     * @param {string} timeZone - IANA name
+     * @param {number} from - Milliseconds since the epoch
+     * @param {number} to - Milliseconds since the epoch
+     * @returns {Array} - Array of { instant, offsetFrom, offsetTo } (offsets in milliseconds)
+     */
+    getTransitions(timeZone, from, to) {
+        const day = 86400000;
+        const transitions = [];
+        let previous = this.getZoneOffset(timeZone, from);
+
+        for (let instant = from + day; instant < to + day; instant += day) {
+            const offset = this.getZoneOffset(timeZone, instant);
+            if (offset === previous) continue;
+
+            // Narrow the change down to the minute
+            let low = instant - day;
+            let high = instant;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (this.getZoneOffset(timeZone, middle) === previous) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            transitions.push({ instant: high, offsetFrom: previous, offsetTo: offset });
+            previous = offset;
+        }
+
+        return transitions;
+    },
+
+    /**
+     * Abbreviation of a time zone at an instant, e.g. 'PDT'
+     */
+    getZoneName(timeZone, instant) {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(new Date(instant));
+        const name = parts.find(p => p.type === 'timeZoneName');
+        return name ? name.value : '';
+    },
+
+    /**
+     * Format an offset in milliseconds as ±HHMM, e.g. -25200000 -> '-0700'
+     */
+    formatOffset(offset) {
+        const minutes = Math.abs(offset) / 60000;
+        const sign = offset < 0 ? '-' : '+';
+        return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Wall-clock date and time of a UTC instant in a time zone
+     * @returns {Object} - { date: { year, month, day }, time: { hours, minutes } }
+     */
+    fromUTC(instant, timeZone) {
+        const parts = this.getZoneParts(timeZone, instant);
+        return {
+            date: { year: parts.year, month: parts.month, day: parts.day },
+            time: { hours: parts.hour, minutes: parts.minute }
+        };
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeZoneUtils;
+} else {
+    globalThis.TimeZoneUtils = TimeZoneUtils;
+}
@@ -0,0 +1,201 @@
+/**
+ * Printable Timetable
+ * Renders a weekly grid of classes per term, with the exams listed below it, as a
+ * standalone HTML page laid out for printing (or "Save as PDF") on one landscape sheet
+ */
+
+const TimetableRenderer = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    dayOrder: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'],
+    dayNames: { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' },
+
+    /**
+     * Height of the grid in pixels, which fits a landscape page under the heading
+     */
+    gridHeight: 560,
+
+    /**
+     * Render the timetable document
+     * @param {Array} pages - Array of { title, events }; each becomes a printed page
+     * @param {Object} options - { title, colors: course code -> CSS color }
+     * @returns {string} - HTML document
+     */
+    render(pages, options = {}) {
+        const title = options.title || 'UBC Timetable';
+        const body = pages.map(page => this.renderPage(page, options)).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)}</title>
+<style>
+    @page { size: landscape; margin: 10mm; }
+    body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #000; margin: 0; }
+    .page { page-break-after: always; break-after: page; padding: 8px; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    h1 { font-size: 16px; margin: 0 0 8px; }
+    .grid { display: flex; border: 1px solid #999; }
+    .times { width: 44px; position: relative; flex: none; }
+    .day { flex: 1; border-left: 1px solid #999; }
+    .day-name { height: 20px; font-size: 12px; font-weight: 600; text-align: center; border-bottom: 1px solid #999; }
+    .slots { position: relative; }
+    .hour { position: absolute; left: 0; right: 0; border-top: 1px solid #ddd; font-size: 10px; padding-left: 2px; }
+    .block { position: absolute; box-sizing: border-box; overflow: hidden; padding: 2px 3px; font-size: 10px; line-height: 1.2;
+             border: 1px solid #555; border-left-width: 4px; background: #f4f4f4;
+             -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .block strong { display: block; }
+    .exams { border-collapse: collapse; margin-top: 10px; font-size: 11px; }
+    .exams th, .exams td { border: 1px solid #999; padding: 2px 6px; text-align: left; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * One page: the week grid of a term's classes and a table of its exams
+     */
+    renderPage(page, options = {}) {
+        const classes = page.events.filter(event => event.kind !== 'exam' && event.days && event.days.length > 0);
+        const exams = page.events.filter(event => event.kind === 'exam');
+        const parts = [`<section class="page">`, `<h1>${this.escapeHtml(page.title)}</h1>`];
+
+        if (classes.length > 0) {
+            parts.push(this.renderGrid(classes, options));
+        }
+        if (exams.length > 0) {
+            parts.push(this.renderExams(exams));
+        }
+
+        parts.push('</section>');
+        return parts.join('\n');
+    },
+
+    /**
+     * Week grid: a column per day with classes, rows from the earliest start to the latest end
+     */
+    renderGrid(classes, options = {}) {
+        const layout = this.getLayout(classes);
+        const minuteHeight = this.gridHeight / ((layout.endHour - layout.startHour) * 60);
+        const top = (time) => ((time.hours - layout.startHour) * 60 + time.minutes) * minuteHeight;
+
+        const hourLines = [];
+        for (let hour = layout.startHour; hour < layout.endHour; hour++) {
+            hourLines.push(`<div class="hour" style="top:${top({ hours: hour, minutes: 0 })}px">${hour}:00</div>`);
+        }
+
+        const columns = layout.days.map(day => {
+            const lanes = this.assignLanes(classes.filter(event => event.days.includes(day)));
+            const width = 100 / Math.max(1, lanes.count);
+            const blocks = lanes.placed.map(({ event, lane }) => {
+                const color = (options.colors || {})[event.courseCode] || '#555';
+                const style = `top:${top(event.startTime)}px;height:${top(event.endTime) - top(event.startTime)}px;` +
+                    `left:${lane * width}%;width:${width}%;border-left-color:${color}`;
+                return `<div class="block" style="${style}">${this.renderBlockText(event)}</div>`;
+            });
+            return `<div class="day"><div class="day-name">${this.dayNames[day]}</div>` +
+                `<div class="slots" style="height:${this.gridHeight}px">${hourLines.join('')}${blocks.join('')}</div></div>`;
+        });
+
+        return `<div class="grid"><div class="times"><div class="day-name"></div>` +
+            `<div class="slots" style="height:${this.gridHeight}px">${hourLines.join('')}</div></div>${columns.join('')}</div>`;
+    },
+
+    /**
+     * Title, time, room and cycle of a class block
+     */
+    renderBlockText(event) {
+        const generator = this.getGenerator();
+        const frequency = generator.getFrequency(event);
+        const lines = [
+            `<strong>${this.escapeHtml(generator.buildSummary(event))}</strong>`,
+            `${this.formatTime(event.startTime)}–${this.formatTime(event.endTime)}`
+        ];
+        if (event.location) lines.push(this.escapeHtml(event.location));
+        if (frequency.interval > 1) lines.push(`Every ${frequency.interval} weeks`);
+        return lines.join('<br>');
+    },
+
+    /**
+     * Table of exams by date
+     */
+    renderExams(exams) {
+        const generator = this.getGenerator();
+        const ordered = [...exams].sort((a, b) => generator.compareStart(a, b));
+        const rows = ordered.map(exam => `<tr><td>${this.formatDate(exam.startDate)}</td>` +
+            `<td>${this.formatTime(exam.startTime)}–${this.formatTime(exam.endTime)}</td>` +
+            `<td>${this.escapeHtml(generator.buildSummary(exam))}</td>` +
+            `<td>${this.escapeHtml(exam.location || '')}</td></tr>`);
+        return `<table class="exams"><thead><tr><th>Date</th><th>Time</th><th>Exam</th><th>Location</th></tr></thead>` +
+            `<tbody>${rows.join('')}</tbody></table>`;
+    },
+
+    /**
+     * Days to show (Monday to Friday, plus weekend days with classes) and the hours the grid spans
+     * @returns {Object} - { days, startHour, endHour }
+     */
+    getLayout(classes) {
+        const used = new Set(classes.flatMap(event => event.days));
+        const days = this.dayOrder.filter(day => used.has(day) || !['SA', 'SU'].includes(day));
+        const startHour = Math.min(...classes.map(event => event.startTime.hours));
+        const endHour = Math.max(...classes.map(event => event.endTime.hours + (event.endTime.minutes > 0 ? 1 : 0)));
+        return { days, startHour, endHour: Math.max(endHour, startHour + 1) };
+    },
+
+    /**
+     * Place overlapping classes side by side, e.g. labs that meet in alternate weeks
+     * @returns {Object} - { placed: Array of { event, lane }, count: number of lanes }
+     */
+    assignLanes(events) {
+        const minutes = (time) => time.hours * 60 + time.minutes;
+        const laneEnds = [];
+        const placed = [...events]
+            .sort((a, b) => minutes(a.startTime) - minutes(b.startTime))
+            .map(event => {
+                let lane = laneEnds.findIndex(end => end <= minutes(event.startTime));
+                if (lane === -1) lane = laneEnds.length;
+                laneEnds[lane] = minutes(event.endTime);
+                return { event, lane };
+            });
+        return { placed, count: laneEnds.length };
+    },
+
+    /**
+     * Format { hours, minutes } as H:MM (24-hour)
+     */
+    formatTime(time) {
+        return `${time.hours}:${String(time.minutes).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format { year, month, day } as "Mon, Dec 9"
+     */
+    formatDate(date) {
+        return new Date(date.year, date.month - 1, date.day)
+            .toLocaleDateString('en-CA', { weekday: 'short', month: 'short', day: 'numeric' });
+    },
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableRenderer;
+} else {
+    globalThis.TimetableRenderer = TimetableRenderer;
+}
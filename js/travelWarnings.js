@@ -0,0 +1,104 @@
+/**
+ * Travel Warnings
+ * Flags back-to-back meetings in buildings too far apart to walk between in the gap,
+ * e.g. a lecture in Buchanan ending at 10:50 and a lab in ICICS at 11:00
+ */
+
+const TravelWarnings = {
+    shared: typeof Shared !== 'undefined' ? Shared : require('./shared.js'),
+
+    getGenerator() {
+        return this.shared.resolve('ICSGenerator', './icsGenerator.js');
+    },
+
+    getBuildings() {
+        return this.shared.resolve('UBCBuildings', './buildings.js');
+    },
+
+    /**
+     * Gaps longer than this are never flagged, in minutes
+     */
+    maxGap: 10,
+
+    /**
+     * Buildings closer than this, in metres, are never flagged: neighbours share walkways
+     */
+    minDistance: 250,
+
+    /**
+     * Find consecutive meetings on the same day whose walk takes longer than the gap
+     * @param {Array} events - Complete events
+     * @param {Object} options - { maxGap: minutes }
+     * @returns {Array} - Array of { events: [from, to], buildings: [from, to], gap, walk, dates },
+     *                    one per pair of events; gap and walk are in minutes
+     */
+    find(events, options = {}) {
+        const generator = this.getGenerator();
+        const buildings = this.getBuildings();
+        const maxGap = options.maxGap ?? this.maxGap;
+        const minutes = (time) => time.hours * 60 + time.minutes;
+
+        // Meetings with a known building, by date
+        const byDate = new Map();
+        for (const event of events) {
+            const building = buildings.forEvent(event);
+            if (!building || !event.startTime || !event.endTime) continue;
+            for (const date of generator.expandOccurrences(event)) {
+                const key = this.shared.toDateKey(date);
+                if (!byDate.has(key)) byDate.set(key, []);
+                byDate.get(key).push({ event, building, start: minutes(event.startTime), end: minutes(event.endTime) });
+            }
+        }
+
+        const warnings = new Map();
+        for (const key of [...byDate.keys()].sort()) {
+            const meetings = byDate.get(key).sort((a, b) => a.start - b.start);
+            for (let i = 0; i + 1 < meetings.length; i++) {
+                const from = meetings[i];
+                const to = meetings[i + 1];
+                const gap = to.start - from.end;
+                // Overlaps are conflicts, not travel problems
+                if (gap < 0 || gap > maxGap || from.building.code === to.building.code) continue;
+                if (buildings.distance(from.building, to.building) < this.minDistance) continue;
+
+                const walk = buildings.walkingMinutes(from.building, to.building);
+                if (walk <= gap) continue;
+
+                const id = `${events.indexOf(from.event)}>${events.indexOf(to.event)}`;
+                if (!warnings.has(id)) {
+                    warnings.set(id, { events: [from.event, to.event], buildings: [from.building, to.building], gap, walk, dates: [] });
+                }
+                warnings.get(id).dates.push(key);
+            }
+        }
+
+        return [...warnings.values()];
+    },
+
+    /**
+     * Warnings that involve an event, arriving or leaving
+     */
+    forEvent(event, warnings) {
+        return warnings.filter(warning => warning.events.includes(event));
+    },
+
+    /**
+     * One-line description, e.g. "BUCH → ICCS: about 16 min walk with a 10 min gap
+     * after CPSC 110 (101) - Lecture, on 13 dates from 2024-09-04"
+     */
+    describe(warning) {
+        const generator = this.getGenerator();
+        const [from, to] = warning.buildings;
+        const count = warning.dates.length;
+        const when = count === 1 ? `on ${warning.dates[0]}` : `on ${count} dates from ${warning.dates[0]}`;
+        return `${from.code} → ${to.code}: about ${warning.walk} min walk with a ${warning.gap} min gap ` +
+            `after ${generator.buildSummary(warning.events[0])}, ${when}`;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TravelWarnings;
+} else {
+    globalThis.TravelWarnings = TravelWarnings;
+}
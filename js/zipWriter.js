@@ -0,0 +1,127 @@
+/**
+ * Zip Writer
+ * Bundles several generated files into one .zip in the browser. Files are stored
+ * uncompressed: calendars are small, and every unzip tool reads stored entries.
+ */
+
+const ZipWriter = {
+    crcTable: null,
+
+    /**
+     * Build a zip archive
+     * @param {Array} files - Array of { name, content: string (written as UTF-8) or Uint8Array }
+     * @param {Date} date - Modification time of the entries
+     * @returns {Uint8Array} - Archive bytes
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDosDateTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+
+            // Local file header; flag 0x0800 marks the name as UTF-8
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    },
+
+    /**
+     * A file name that is safe in an archive and on every OS, e.g. "CPSC 110" -> "CPSC-110"
+     */
+    toFileName(text) {
+        return String(text).trim().replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'calendar';
+    },
+
+    /**
+     * MS-DOS time and date fields of a local time
+     */
+    toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * CRC-32 (IEEE 802.3) of the data
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (const byte of data) {
+            crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            result.set(part, position);
+            position += part.length;
+        }
+        return result;
+    }
+};
+
+// Export for use in other modules; page scripts are found by name (see Shared.resolve)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+} else {
+    globalThis.ZipWriter = ZipWriter;
+}
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const UBCBuildings = require('../js/buildings.js');
+const LocationNormalizer = require('../js/locationNormalizer.js');
+
+const code = (building) => building ? building.code : null;
+
+test('a code standing alone is a building', () => {
+    for (const [text, expected] of [
+        ['ESB 1013', 'ESB'], ['ESB', 'ESB'], ['(ESB)', 'ESB'], ['Earth Sciences (ESB) 1013', 'ESB'],
+        ['ICCS Rm 008', 'ICCS'], ['BUCH A101', 'BUCH'], ['SWNG - 121', 'SWNG'], ['ESB, Room 1013', 'ESB'], ['LIFE 2201', 'LIFE']
+    ]) {
+        assert.equal(code(UBCBuildings.find(text)), expected, text);
+    }
+});
+
+test('the first word of a building name is not taken for a code', () => {
+    for (const text of ['Life Sciences Centre', 'Math Annex', 'Hebb Building', 'Chan Centre']) {
+        assert.equal(UBCBuildings.find(text), null, text);
+    }
+});
+
+test('building names resolve by name', () => {
+    for (const [text, expected] of [
+        ['Life Sciences Centre', 'LSC'], ['Hebb Building', 'HEBB'], ['Chan Centre', 'CHAN'], ['UBC Life Building', 'LIFE']
+    ]) {
+        assert.equal(code(LocationNormalizer.findBuilding(text)), expected, text);
+    }
+});
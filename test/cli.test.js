@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { main, readOptions } = require('../bin/workday-to-ics.js');
+const { buildWorkbook } = require('./helpers.js');
+
+const header = ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'];
+const rows = [
+    ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+        '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013',
+        '2024-25 Winter Term 1 (UBC-V)'],
+    ['MATH_V 100 - Differential Calculus', 'MATH_V 100-101', 'Lecture',
+        '2024-09-03 - 2024-12-05 | Tue Thu | 9:30 a.m. - 11:00 a.m. | UBCV | LSK | Floor: 2 | Room: 200',
+        '2024-25 Winter Term 1 (UBC-V)']
+];
+
+/**
+ * A scratch directory with workbooks at the given relative paths, removed after the test
+ */
+function scratch(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workday-to-ics-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const file of files) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), buildWorkbook({ 'View My Courses': [header, ...rows] }));
+    }
+    return dir;
+}
+
+/**
+ * Run the command with console output captured
+ * @returns {Object} - { code, stdout, stderr }
+ */
+function run(t, args) {
+    const stdout = [];
+    const stderr = [];
+    t.mock.method(console, 'log', (...parts) => stdout.push(parts.join(' ')));
+    t.mock.method(console, 'error', (...parts) => stderr.push(parts.join(' ')));
+    const code = main(args);
+    t.mock.restoreAll();
+    return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+}
+
+test('a --name without {group} is refused when grouping', (t) => {
+    assert.throws(() => readOptions(['x.xlsx', '--group', 'course', '--name', 'sched']), { usage: true });
+    assert.equal(readOptions(['x.xlsx', '--group', 'course', '--name', 'sched-{group}']).name, 'sched-{group}');
+    assert.equal(readOptions(['x.xlsx', '--name', 'sched']).name, 'sched');
+
+    const { code, stderr } = run(t, ['x.xlsx', '--group', 'course', '--name', 'sched']);
+    assert.equal(code, 2);
+    assert.match(stderr, /--name must contain \{group\}/);
+});
+
+test('one calendar per group, each in its own file', (t) => {
+    const dir = scratch(t, ['schedule.xlsx']);
+    const { code } = run(t, [path.join(dir, 'schedule.xlsx'), '--group', 'course', '--name', 'sched-{group}']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.ics')).sort(),
+        ['sched-CPSC-110.ics', 'sched-MATH-100.ics']);
+});
+
+test('inputs with the same name from different folders do not overwrite each other', (t) => {
+    const dir = scratch(t, ['alice/schedule.xlsx', 'bob/schedule.xlsx']);
+    const outDir = path.join(dir, 'calendars');
+    const first = path.join(dir, 'alice', 'schedule.xlsx');
+    const second = path.join(dir, 'bob', 'schedule.xlsx');
+    const { code, stderr } = run(t, [first, second, '--out-dir', outDir]);
+
+    assert.equal(code, 1);
+    assert.deepEqual(fs.readdirSync(outDir), ['schedule.ics']);
+    assert.ok(stderr.includes(`${second}: failed: ${path.join(outDir, 'schedule.ics')} would overwrite the calendar from ${first}`));
+});
+
+test('collisions are found before anything is written', (t) => {
+    const dir = scratch(t, ['a/schedule.xlsx', 'b/schedule.xlsx']);
+    const outDir = path.join(dir, 'calendars');
+    const { code, stdout } = run(t, [path.join(dir, 'a'), path.join(dir, 'b'), '--out-dir', outDir, '--json']);
+
+    assert.equal(code, 1);
+    const report = JSON.parse(stdout);
+    assert.deepEqual(report.files.map(file => file.ok), [true, false]);
+    assert.deepEqual(report.files[1].outputs, []);
+    assert.equal(report.files[0].outputs[0].text, undefined);
+    assert.equal(fs.readFileSync(report.files[0].outputs[0].path, 'utf8').includes('SUMMARY:CPSC 110'), true);
+});
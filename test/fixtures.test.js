@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const fixtures = require('./fixtures/workbooks.js');
+const { buildWorkbook } = require('./helpers.js');
+
+const fixtureDir = path.join(__dirname, 'fixtures');
+const goldenDir = path.join(fixtureDir, 'golden');
+
+// UPDATE_GOLDEN=1 npm test rewrites the golden calendars instead of comparing with them
+const updateGolden = !!process.env.UPDATE_GOLDEN;
+
+/**
+ * Calendar of a fixture as the page and command line export it, with holidays skipped.
+ * DTSTAMP is the export time, so it is pinned.
+ */
+function exportCalendar(events, timeZone) {
+    return SchedulePipeline.generateICS(SchedulePipeline.applyExclusions(events), { timeZone })
+        .replace(/^DTSTAMP:.*$/gm, 'DTSTAMP:20240801T000000Z');
+}
+
+function checkGolden(name, ics) {
+    const file = path.join(goldenDir, name);
+    if (updateGolden) {
+        fs.mkdirSync(goldenDir, { recursive: true });
+        fs.writeFileSync(file, ics);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `${name} is missing; run UPDATE_GOLDEN=1 npm test`);
+    assert.equal(ics, fs.readFileSync(file, 'utf8'), `${name} changed; if that is intended, run UPDATE_GOLDEN=1 npm test and review the diff`);
+}
+
+for (const [name, fixture] of Object.entries(fixtures)) {
+    test(`fixture ${name}: ${fixture.description}`, () => {
+        const data = new Uint8Array(fs.readFileSync(path.join(fixtureDir, `${name}.xlsx`)));
+        const { events, diagnostics } = SchedulePipeline.parse(data);
+
+        // The .xlsx is built from workbooks.js; run build.js when they differ
+        assert.deepEqual(SchedulePipeline.parse(buildWorkbook(fixture.sheets)).events, events, `${name}.xlsx is out of date`);
+
+        const problems = diagnostics.filter(d => d.severity !== 'info');
+        assert.deepEqual({
+            events: events.length,
+            incomplete: events.filter(event => !SchedulePipeline.isComplete(event)).length,
+            warnings: problems.length
+        }, fixture.expect, problems.map(d => d.message).join('\n'));
+        assert.equal(problems.filter(d => d.severity === 'error').length, 0);
+
+        const ics = exportCalendar(events, 'tzid');
+        assert.deepEqual(SchedulePipeline.validateICS(ics), []);
+        checkGolden(`${name}.ics`, ics);
+    });
+}
+
+test('fixture ubc-standard in UTC and floating time', () => {
+    const data = new Uint8Array(fs.readFileSync(path.join(fixtureDir, 'ubc-standard.xlsx')));
+    const { events } = SchedulePipeline.parse(data);
+
+    for (const timeZone of ['utc', 'floating']) {
+        const ics = exportCalendar(events, timeZone);
+        assert.deepEqual(SchedulePipeline.validateICS(ics), []);
+        checkGolden(`ubc-standard.${timeZone}.ics`, ics);
+    }
+});
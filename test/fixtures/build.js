@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Write each fixture in workbooks.js to test/fixtures/<name>.xlsx. Run after editing workbooks.js:
+ *
+ *   node test/fixtures/build.js
+ *
+ * then `UPDATE_GOLDEN=1 npm test` to refresh the golden calendars, and review both diffs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./workbooks.js');
+const { buildWorkbook } = require('../helpers.js');
+
+for (const [name, fixture] of Object.entries(fixtures)) {
+    const file = path.join(__dirname, `${name}.xlsx`);
+    fs.writeFileSync(file, buildWorkbook(fixture.sheets));
+    console.log(path.relative(process.cwd(), file));
+}
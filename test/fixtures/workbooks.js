@@ -0,0 +1,198 @@
+/**
+ * Synthetic Workday exports for the fixture tests. Names, IDs and instructors are made up;
+ * the layouts and Meeting Patterns are the variants seen in real exports.
+ * build.js writes each one to <name>.xlsx; fixtures.test.js compares its calendar with golden/<name>.ics.
+ *
+ * Each fixture: { description, sheets: sheet name -> rows of cells, expect: { events, incomplete, warnings } }
+ */
+
+const ubcHeader = ['Course Listing', 'Credits', 'Grading Basis', 'Section', 'Instructional Format', 'Delivery Mode',
+    'Meeting Patterns', 'Registration Status', 'Instructor', 'Academic Period'];
+
+// Workday puts a title, the student and a blank line above the header
+const ubcTitle = [['View My Courses'], ['Student Name: Test Student (00000000)'], []];
+
+function ubcRow(listing, section, format, patterns, period = '2024-25 Winter Term 1 (UBC-V)') {
+    return [listing, 3, 'Graded', section, format, 'In Person', patterns, 'Registered', 'Instructor One', period];
+}
+
+module.exports = {
+    'ubc-standard': {
+        description: 'UBC Vancouver column order, one row per section, with title rows above the header',
+        sheets: {
+            'View My Courses': [
+                ...ubcTitle,
+                ubcHeader,
+                ubcRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101 - Computation, Programs, and Programming', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | Earth Sciences Building (ESB) | Floor: 1 | Room: 1013'),
+                ubcRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-L1A - Computation, Programs, and Programming', 'Laboratory',
+                    '2024-09-03 - 2024-12-05 | Tue (Alternate Weeks) | 2:00 p.m. - 4:50 p.m. | UBCV | ICICS/CS Building (ICCS) | Floor: 0 | Room: 008'),
+                ubcRow('MATH_V 100 - Differential Calculus with Applications', 'MATH_V 100-101 - Differential Calculus with Applications', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Tue Thu | 9:30 a.m. - 11:00 a.m. | UBCV | Leonard S. Klinck Building (LSK) | Floor: 2 | Room: 200'),
+                ubcRow('PHYS_V 117 - Dynamics and Waves', 'PHYS_V 117-T1B - Dynamics and Waves', 'Tutorial',
+                    '2024-09-03 - 2024-12-05 | Wed (Even Weeks) | 6:00 p.m. - 7:00 p.m. | UBCV | West Mall Swing Space (SWNG) | Floor: 1 | Room: 121'),
+                ubcRow('PHYS_V 117 - Dynamics and Waves', 'PHYS_V 117-L2C - Dynamics and Waves', 'Laboratory',
+                    '2024-09-03 - 2024-12-05 | Thu (Odd Weeks) | 2:00 p.m. - 5:00 p.m. | UBCV | Hennings Building (HENN) | Floor: 3 | Room: 302'),
+                // Two meeting patterns in one cell, one per line
+                ubcRow('ENGL_V 110 - Approaches to Literature', 'ENGL_V 110-001 - Approaches to Literature', 'Lecture',
+                    '2024-09-03 - 2024-10-18 | Mon Wed | 1:00 p.m. - 2:00 p.m. | UBCV | Buchanan Building (BUCH) | Floor: 1 | Room: A101\n' +
+                    '2024-10-21 - 2024-12-05 | Mon Wed | 1:00 p.m. - 2:00 p.m. | UBCV | Buchanan Building (BUCH) | Floor: 2 | Room: B213'),
+                // Winter Term 2, across Family Day and the February midterm break
+                ubcRow('CPSC_V 121 - Models of Computation', 'CPSC_V 121-101 - Models of Computation', 'Lecture',
+                    '2025-01-06 - 2025-04-08 | Mon Wed Fri | 3:00 p.m. - 4:00 p.m. | UBCV | Hugh Dempster Pavilion (DMP) | Floor: 3 | Room: 310',
+                    '2024-25 Winter Term 2 (UBC-V)'),
+                // Okanagan campus: its own closures and time zone
+                ubcRow('COSC_O 111 - Computer Programming I', 'COSC_O 111-001 - Computer Programming I', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Tue Thu | 11:00 a.m. - 12:30 p.m. | UBCO | Fipke Centre | Floor: 1 | Room: 204',
+                    '2024-25 Winter Term 1 (UBC-O)')
+            ]
+        },
+        expect: { events: 9, incomplete: 0, warnings: 0 }
+    },
+
+    'legacy-order': {
+        description: 'Older exports: days, time, dates, location in one pipe-separated cell, 24-hour times and compact days',
+        sheets: {
+            Schedule: [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['CHEM 121 - Structure and Bonding', 'CHEM 121-101', 'Lecture', 'MWF | 14:00 - 15:00 | 2024-09-03 - 2024-12-05 | CHEM B150', '2024W1'],
+                ['BIOL 112 - Biology of the Cell', 'BIOL 112-101', 'Lecture', 'TTh | 08:00 - 09:30 | 2024-09-03 - 2024-12-05 | BIOL 2000', '2024W1'],
+                ['STAT 200 - Elementary Statistics', 'STAT 200-L01', 'Laboratory', 'TR | 16:00 - 17:00 | 2024-09-03 - 2024-12-05 | ESB 1042', '2024W1'],
+                ['KIN 190 - Physical Activity', 'KIN 190-001', 'Lecture', 'M-F | 07:30 - 08:20 | 2024-09-03 - 2024-12-05 | SRC', '2024W1'],
+                ['ASTR 101 - Introduction to the Solar System', 'ASTR 101-101', 'Lecture', 'Mon/Wed | 17:00 - 18:30 | 2024-09-03 - 2024-12-05 | Hebb 100', '2024W1']
+            ]
+        },
+        expect: { events: 5, incomplete: 0, warnings: 0 }
+    },
+
+    'written-dates': {
+        description: 'Dates written with month names, in English and French, with and without years',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['ECON 101 - Principles of Microeconomics', 'ECON 101-001', 'Lecture',
+                    'Sep 3 - Dec 5, 2024 | Mon Wed | 10:00 a.m. - 11:30 a.m. | UBCV | Buchanan Building (BUCH) | Floor: 1 | Room: A102', '2024-25 Winter Term 1 (UBC-V)'],
+                ['FREN 101 - Beginners\' French I', 'FREN 101-002', 'Lecture',
+                    '3 septembre - 5 décembre 2024 | lundi mercredi vendredi | 11:00 a.m. - 12:00 p.m. | UBCV | Buchanan Tower (BUTO) | Floor: 5 | Room: 599', '2024-25 Winter Term 1 (UBC-V)'],
+                // No year at all: taken from the Academic Period
+                ['PSYC 102 - Introduction to Developmental, Social, Personality, and Clinical Psychology', 'PSYC 102-001', 'Lecture',
+                    'January 6 - April 8 | Tue Thu | 12:30 p.m. - 2:00 p.m. | UBCV | Hebb Building (HEBB) | Floor: 1 | Room: 100', '2024-25 Winter Term 2 (UBC-V)']
+            ]
+        },
+        expect: { events: 3, incomplete: 0, warnings: 0 }
+    },
+
+    'day-first-dates': {
+        description: 'Numeric dates written day/month with two-digit years',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['GEOG 121 - Geography, Modernity and Globalization', 'GEOG 121-001', 'Lecture',
+                    '15/09/24 - 05/12/24 | Mon Wed | 9:00 a.m. - 10:00 a.m. | UBCV | Geography Building (GEOG) | Floor: 1 | Room: 100', '2024-25 Winter Term 1 (UBC-V)'],
+                ['GEOG 122 - Geography, Environment and Globalization', 'GEOG 122-001', 'Lecture',
+                    '06/01/25 - 08/04/25 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | Geography Building (GEOG) | Floor: 2 | Room: 212', '2024-25 Winter Term 2 (UBC-V)']
+            ]
+        },
+        expect: { events: 2, incomplete: 0, warnings: 0 }
+    },
+
+    'separate-columns': {
+        description: 'Days, times and dates in columns of their own, as Excel date and time cells',
+        sheets: {
+            'Registered Sections': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Days', 'Start Time', 'End Time',
+                    'Start Date', 'End Date', 'Academic Period'],
+                ['MECH 221 - Engineering Science I', 'MECH 221-101', 'Lecture', 'UBCV | CEME | Floor: 1 | Room: 1202', 'Mon Wed Fri',
+                    new Date(1899, 11, 30, 8, 0), new Date(1899, 11, 30, 9, 0), new Date(2024, 8, 3), new Date(2024, 11, 5), '2024-25 Winter Term 1 (UBC-V)'],
+                ['MECH 222 - Engineering Science II', 'MECH 222-L01', 'Laboratory', 'UBCV | KAIS | Floor: 4 | Room: 4050', 'Thu (Alternate Weeks)',
+                    new Date(1899, 11, 30, 13, 30), new Date(1899, 11, 30, 16, 30), new Date(2025, 0, 9), new Date(2025, 3, 10), '2024-25 Winter Term 2 (UBC-V)']
+            ]
+        },
+        expect: { events: 2, incomplete: 0, warnings: 0 }
+    },
+
+    'times-without-ampm': {
+        description: 'Times with no AM/PM: read within the teaching day, with a warning when AM/PM was inferred',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                // Only 1 PM fits the teaching day
+                ['HIST 104 - Topics in World History', 'HIST 104-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Tue Thu | 1:00 - 2:30 | UBCV | Buchanan Building (BUCH) | Floor: 1 | Room: A104', '2024-25 Winter Term 1 (UBC-V)'],
+                // A bare "2" is 2 PM, not 02:00
+                ['PHIL 120 - Introduction to Logic', 'PHIL 120-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Mon Wed | 2 - 3 | UBCV | Buchanan Building (BUCH) | Floor: 1 | Room: A202', '2024-25 Winter Term 1 (UBC-V)'],
+                // 8 AM or 8 PM: 8 AM is a usual class time, so it is read as written without a warning
+                ['POLI 100 - Introduction to Politics', 'POLI 100-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Fri | 8:00 - 9:30 | UBCV | Buchanan Building (BUCH) | Floor: 1 | Room: A103', '2024-25 Winter Term 1 (UBC-V)']
+            ]
+        },
+        expect: { events: 3, incomplete: 0, warnings: 2 }
+    },
+
+    'ambiguous-days': {
+        description: 'Day letters that could mean two days are reported, not guessed',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['MUSC 100 - Music Theory I', 'MUSC 100-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | S | 10:00 a.m. - 12:00 p.m. | UBCV | Music Building (MUSC) | Floor: 1 | Room: 113', '2024-25 Winter Term 1 (UBC-V)'],
+                ['MUSC 105 - Musicianship I', 'MUSC 105-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | T | 10:00 a.m. - 11:00 a.m. | UBCV | Music Building (MUSC) | Floor: 1 | Room: 116', '2024-25 Winter Term 1 (UBC-V)'],
+                ['MUSC 107 - Ensemble', 'MUSC 107-001', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | MTWRF | 4:00 p.m. - 5:00 p.m. | UBCV | Music Building (MUSC) | Floor: 0 | Room: 200', '2024-25 Winter Term 1 (UBC-V)']
+            ]
+        },
+        expect: { events: 3, incomplete: 2, warnings: 2 }
+    },
+
+    'summer-session': {
+        description: 'Summer Session terms, over Victoria Day, Canada Day and BC Day',
+        sheets: {
+            'View My Courses': [
+                ...ubcTitle,
+                ubcHeader,
+                ubcRow('CPSC_V 210 - Software Design', 'CPSC_V 210-911 - Software Design', 'Lecture',
+                    '2025-05-12 - 2025-06-20 | Mon Tue Wed Thu | 10:00 a.m. - 12:00 p.m. | UBCV | Hugh Dempster Pavilion (DMP) | Floor: 1 | Room: 110',
+                    '2025 Summer Term 1 (UBC-V)'),
+                ubcRow('CPSC_V 213 - Introduction to Computer Systems', 'CPSC_V 213-921 - Introduction to Computer Systems', 'Lecture',
+                    '2025-06-30 - 2025-08-08 | Mon Wed Fri | 1:00 p.m. - 3:00 p.m. | UBCV | Hugh Dempster Pavilion (DMP) | Floor: 3 | Room: 301',
+                    '2025 Summer Term 2 (UBC-V)')
+            ]
+        },
+        expect: { events: 2, incomplete: 0, warnings: 0 }
+    },
+
+    'exam-schedule': {
+        description: 'A class sheet and an exam sheet in one workbook',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+                    '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013', '2024-25 Winter Term 1 (UBC-V)']
+            ],
+            'My Exams': [
+                ['Course Listing', 'Exam Type', 'Exam Date', 'Exam Start Time', 'Exam End Time', 'Exam Location', 'Academic Period'],
+                ['CPSC_V 110 - Computation, Programs, and Programming', 'Final Exam', new Date(2024, 11, 14),
+                    '8:30 a.m.', '11:00 a.m.', 'Robert F. Osborne Centre (OSBO) Gym A', '2024-25 Winter Term 1 (UBC-V)'],
+                ['MATH_V 100 - Differential Calculus with Applications', 'Final Exam', '2024-12-18',
+                    '12:00 p.m.', '2:30 p.m.', 'War Memorial Gymnasium (MGYM)', '2024-25 Winter Term 1 (UBC-V)']
+            ]
+        },
+        expect: { events: 3, incomplete: 0, warnings: 0 }
+    },
+
+    'free-text': {
+        description: 'Meeting Patterns without pipes, found anywhere in the text',
+        sheets: {
+            'View My Courses': [
+                ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'],
+                ['EOSC 114 - The Catastrophic Earth', 'EOSC 114-101', 'Lecture',
+                    'Mon Wed Fri 11:00 AM - 12:00 PM 2024-09-03 - 2024-12-05 ESB 1013', '2024-25 Winter Term 1 (UBC-V)'],
+                ['WRDS 150 - Writing and Research', 'WRDS 150-A03', 'Seminar',
+                    'TTh 3:30 PM - 5:00 PM, Sep 3 - Dec 5, 2024, BUCH B208', '2024-25 Winter Term 1 (UBC-V)']
+            ]
+        },
+        expect: { events: 2, incomplete: 0, warnings: 0 }
+    }
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WorkdayParser = require('../js/parser.js');
+const ICSGenerator = require('../js/icsGenerator.js');
+const Shared = require('../js/shared.js');
+const { components, propertyValues, expandRule } = require('./helpers.js');
+
+/**
+ * Parse one Meeting Patterns cell and export it, without holiday exclusions
+ */
+function exportPattern(pattern) {
+    const [event] = WorkdayParser.parseRow({
+        'Course Listing': 'CPSC 121 - Models of Computation',
+        'Instructional Format': 'Laboratory',
+        'Meeting Patterns': pattern,
+        'Academic Period': '2024-25 Winter Term 1 (UBC-V)'
+    });
+    const ics = ICSGenerator.generate([event]);
+    return { event, ics, vevent: components(ics, 'VEVENT')[0] };
+}
+
+test('frequency markers', () => {
+    assert.deepEqual(WorkdayParser.parseFrequency('Tue (Alternate Weeks)'), { interval: 2, startWeek: null });
+    assert.deepEqual(WorkdayParser.parseFrequency('Biweekly'), { interval: 2, startWeek: null });
+    assert.deepEqual(WorkdayParser.parseFrequency('Every other week'), { interval: 2, startWeek: null });
+    assert.deepEqual(WorkdayParser.parseFrequency('Odd Weeks'), { interval: 2, startWeek: 1 });
+    assert.deepEqual(WorkdayParser.parseFrequency('Even Weeks'), { interval: 2, startWeek: 2 });
+    assert.deepEqual(WorkdayParser.parseFrequency('Mon Wed'), { interval: 1, startWeek: null });
+});
+
+test('start week 1: the first meeting is in the week of the start date', () => {
+    const { event, ics, vevent } = exportPattern(
+        '2024-09-03 - 2024-12-05 | Tue (Alternate Weeks) | 2:00 p.m. - 4:50 p.m. | UBCV | ESB | Floor: 1 | Room: 1013');
+    assert.deepEqual(event.frequency, { interval: 2, startWeek: 1 });
+
+    assert.deepEqual(propertyValues(ics, 'DTSTART'), ['20240903T140000']);
+    assert.match(propertyValues(ics, 'RRULE')[0], /(^|;)INTERVAL=2(;|$)/);
+
+    const expected = ['2024-09-03', '2024-09-17', '2024-10-01', '2024-10-15', '2024-10-29', '2024-11-12', '2024-11-26'];
+    assert.deepEqual(expandRule(vevent), expected);
+    assert.deepEqual(ICSGenerator.expandOccurrences(event).map(date => Shared.toDateKey(date)), expected);
+});
+
+test('start week 2: "Even Weeks" skips the week of the start date', () => {
+    const { event, ics, vevent } = exportPattern(
+        '2024-09-03 - 2024-12-05 | Tue (Even Weeks) | 2:00 p.m. - 4:50 p.m. | UBCV | ESB | Floor: 1 | Room: 1013');
+    assert.deepEqual(event.frequency, { interval: 2, startWeek: 2 });
+
+    assert.deepEqual(propertyValues(ics, 'DTSTART'), ['20240910T140000']);
+    assert.match(propertyValues(ics, 'RRULE')[0], /(^|;)INTERVAL=2(;|$)/);
+
+    const expected = ['2024-09-10', '2024-09-24', '2024-10-08', '2024-10-22', '2024-11-05', '2024-11-19', '2024-12-03'];
+    assert.deepEqual(expandRule(vevent), expected);
+    assert.deepEqual(ICSGenerator.expandOccurrences(event).map(date => Shared.toDateKey(date)), expected);
+});
+
+test('start week 2 when the meeting day of the first week is before the start date', () => {
+    // Wednesday start: Monday of that week has passed, so the cycle starts the next week
+    const { event, ics, vevent } = exportPattern('2024-09-04 - 2024-10-31 | Mon (Alternate Weeks) | 9:00 a.m. - 10:00 a.m.');
+    assert.deepEqual(event.frequency, { interval: 2, startWeek: 2 });
+    assert.deepEqual(propertyValues(ics, 'DTSTART'), ['20240909T090000']);
+    assert.deepEqual(expandRule(vevent), ['2024-09-09', '2024-09-23', '2024-10-07', '2024-10-21']);
+});
+
+test('weekly meetings have no INTERVAL', () => {
+    const { ics, vevent } = exportPattern('2024-09-03 - 2024-09-30 | Mon Wed | 9:00 a.m. - 10:00 a.m.');
+    assert.doesNotMatch(propertyValues(ics, 'RRULE')[0], /INTERVAL/);
+    assert.deepEqual(expandRule(vevent), ['2024-09-04', '2024-09-09', '2024-09-11', '2024-09-16', '2024-09-18', '2024-09-23', '2024-09-25', '2024-09-30']);
+});
@@ -0,0 +1,142 @@
+/**
+ * Test helpers: build workbooks in memory and compare calendars without their timestamps
+ */
+
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+/**
+ * Write sheets of rows to .xlsx bytes, as a Workday export would arrive
+ * @param {Object} sheets - Sheet name -> array of rows (arrays of cells); the first row is the header
+ * @returns {Uint8Array}
+ */
+function buildWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx', compression: true }));
+}
+
+/**
+ * Unfolded content lines of a calendar, without DTSTAMP, which changes on every export
+ */
+function contentLines(ics) {
+    return ics
+        .replace(/\r\n[ \t]/g, '')
+        .split('\r\n')
+        .filter(line => line && !line.startsWith('DTSTAMP:'));
+}
+
+/**
+ * Content lines of each component of a type, e.g. every VEVENT (not those nested in it)
+ * @returns {Array} - Array of line arrays, BEGIN and END excluded
+ */
+function components(ics, type) {
+    const found = [];
+    let current = null;
+    let depth = 0;
+    for (const line of contentLines(ics)) {
+        if (line === `BEGIN:${type}` && !current) {
+            current = [];
+        } else if (current && line === `END:${type}` && depth === 0) {
+            found.push(current);
+            current = null;
+        } else if (current) {
+            if (line.startsWith('BEGIN:')) depth++;
+            if (line.startsWith('END:')) depth--;
+            current.push(line);
+        }
+    }
+    return found;
+}
+
+/**
+ * Values of a property across the calendar's VEVENTs, in order, e.g. every DTSTART
+ */
+function propertyValues(ics, name) {
+    return components(ics, 'VEVENT')
+        .flat()
+        .filter(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`))
+        .map(line => line.slice(line.indexOf(':') + 1));
+}
+
+/**
+ * Expand a weekly VEVENT's RRULE the way a calendar app would (RFC 5545 section 3.3.10:
+ * FREQ=WEEKLY with INTERVAL, BYDAY, WKST=MO and UNTIL, minus EXDATEs), independently of
+ * the generator's own expansion
+ * @param {Array} lines - Content lines of one VEVENT (see components())
+ * @returns {Array} - Start dates as YYYY-MM-DD, in the time zone of DTSTART
+ */
+function expandRule(lines) {
+    const find = (name) => lines.find(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+    const value = (line) => line.slice(line.indexOf(':') + 1);
+    const dtstart = find('DTSTART');
+    const tzid = (dtstart.match(/;TZID=([^;:]+)/) || [])[1] || null;
+    const start = parseDateTime(value(dtstart));
+    const rule = Object.fromEntries(value(find('RRULE')).split(';').map(part => part.split('=')));
+    assert.equal(rule.FREQ, 'WEEKLY');
+
+    const interval = Number(rule.INTERVAL || 1);
+    const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+    const byDay = (rule.BYDAY || weekdays[(start.date.getUTCDay() + 6) % 7]).split(',');
+    const until = rule.UNTIL ? parseDateTime(rule.UNTIL) : null;
+    const excluded = new Set(lines
+        .filter(line => line.startsWith('EXDATE'))
+        .flatMap(line => value(line).split(','))
+        .map(date => date.slice(0, 8)));
+
+    // When a start happens, to compare with UNTIL: a UTC instant, or wall-clock time when both are floating
+    const wallClock = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), start.time.hours, start.time.minutes);
+    const instant = (date) => tzid && until.utc ? toUTC(date, start.time, tzid) : wallClock(date);
+
+    const day = 86400000;
+    const firstMonday = new Date(start.date.getTime() - ((start.date.getUTCDay() + 6) % 7) * day);
+    const dates = [];
+    for (let week = 0; week < 520; week += interval) {
+        for (const code of byDay) {
+            const date = new Date(firstMonday.getTime() + (week * 7 + weekdays.indexOf(code)) * day);
+            if (date < start.date) continue;
+            if (until && instant(date) > until.instant) return dates;
+            const key = date.toISOString().slice(0, 10);
+            if (!excluded.has(key.replace(/-/g, ''))) dates.push(key);
+        }
+        if (!until) break;
+    }
+    return dates;
+}
+
+/**
+ * Read "20240903T140000" or "20240903T140000Z"
+ * @returns {Object} - { date: Date at UTC midnight of the day, time: { hours, minutes },
+ *                       instant: ms, of the wall-clock time as if it were UTC unless `utc` }
+ */
+function parseDateTime(text) {
+    const match = text.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?(Z)?$/);
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(n => Number(n || 0));
+    return {
+        date: new Date(Date.UTC(year, month - 1, day)),
+        time: { hours, minutes },
+        instant: Date.UTC(year, month - 1, day, hours, minutes, seconds),
+        utc: !!match[7]
+    };
+}
+
+/**
+ * UTC milliseconds of a wall-clock time in an IANA time zone, from Intl
+ */
+function toUTC(date, time, timeZone) {
+    const wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), time.hours, time.minutes);
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+    const offset = (at) => {
+        const parts = Object.fromEntries(format.formatToParts(new Date(at)).map(part => [part.type, Number(part.value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - at;
+    };
+    // Twice, in case the first guess lands on the other side of a DST change
+    const guess = wall - offset(wall);
+    return wall - offset(guess);
+}
+
+module.exports = { buildWorkbook, contentLines, components, propertyValues, expandRule };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WorkdayParser = require('../js/parser.js');
+const ICSGenerator = require('../js/icsGenerator.js');
+const { components } = require('./helpers.js');
+
+function parseEvents() {
+    const row = (listing, section, pattern) => WorkdayParser.parseRow({
+        'Course Listing': listing,
+        'Section': section,
+        'Instructional Format': 'Lecture',
+        'Meeting Patterns': pattern,
+        'Academic Period': '2024-25 Winter Term 1 (UBC-V)'
+    });
+    return ICSGenerator.assignUIDs([
+        // Term starts on a Tuesday; the first meeting is Wednesday the 4th
+        ...row('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101',
+            '2024-09-03 - 2024-12-05 | Mon Wed | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013'),
+        ...row('CPSC_V 121 - Models of Computation', 'CPSC_V 121-L1A',
+            '2024-09-03 - 2024-12-05 | Thu (Alternate Weeks) | 6:00 p.m. - 7:30 p.m. | UBCV | ICCS | Floor: 0 | Room: 008')
+    ]);
+}
+
+/**
+ * DTSTART of each VEVENT by UID
+ */
+function startsByUID(ics) {
+    return Object.fromEntries(components(ics, 'VEVENT').map(lines => [
+        lines.find(line => line.startsWith('UID:')).slice(4),
+        lines.find(line => line.startsWith('DTSTART'))
+    ]));
+}
+
+for (const timeZone of ['tzid', 'floating', 'utc']) {
+    test(`a cancellation has the DTSTART of the published event (${timeZone})`, () => {
+        const events = parseEvents();
+        const published = startsByUID(ICSGenerator.generate(events, { timeZone }));
+        const cancelled = startsByUID(ICSGenerator.generateCancellation(events, { timeZone }));
+
+        assert.deepEqual(cancelled, published);
+    });
+}
+
+test('a Monday and Wednesday class starting on a Tuesday is cancelled from Wednesday', () => {
+    const [lecture] = parseEvents();
+    const cancellation = ICSGenerator.generateCancellation([lecture]);
+    assert.deepEqual(startsByUID(cancellation), { [lecture.uid]: 'DTSTART;TZID=America/Vancouver:20240904T100000' });
+    assert.match(cancellation, /STATUS:CANCELLED/);
+});
+
+test('a class whose cycle never meets by its end date gets no VEVENT', () => {
+    // Odd weeks from Tuesday Sep 3: the Monday of week 1 is before the start and week 3 is after the end
+    const [event] = WorkdayParser.parseRow({
+        'Course Listing': 'CPSC_V 110 - Computation, Programs, and Programming',
+        'Meeting Patterns': '2024-09-03 - 2024-09-10 | Mon (Odd Weeks) | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013'
+    });
+    const uid = ICSGenerator.generateUID(event);
+
+    assert.deepEqual(components(ICSGenerator.generate([event]), 'VEVENT'), []);
+    assert.deepEqual(components(ICSGenerator.generateCancellation([{ ...event, uid }]), 'VEVENT'), []);
+    assert.deepEqual(ICSGenerator.expandOccurrences(event), []);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const WorkdayParser = require('../js/parser.js');
+const ICSGenerator = require('../js/icsGenerator.js');
+const ICSReader = require('../js/icsReader.js');
+const Shared = require('../js/shared.js');
+const { components } = require('./helpers.js');
+
+// Fields the reader must give back exactly as the parser produced them
+const roundTripFields = [
+    'kind', 'uid', 'courseCode', 'courseTitle', 'section', 'format', 'deliveryMode', 'instructor',
+    'days', 'startTime', 'endTime', 'startDate', 'endDate', 'frequency', 'location', 'building',
+    'buildingName', 'floor', 'room', 'url', 'campus', 'academicPeriod', 'excludedDates', 'reminder'
+];
+
+function parseClasses() {
+    const row = (listing, section, format, pattern) => WorkdayParser.parseRow({
+        'Course Listing': listing,
+        'Section': section,
+        'Instructional Format': format,
+        'Delivery Mode': 'In Person',
+        'Instructor': 'Amélie Côté',
+        'Meeting Patterns': pattern,
+        'Academic Period': '2024-25 Winter Term 1 (UBC-V)'
+    });
+    const events = [
+        ...row('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+            '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013'),
+        ...row('CPSC_V 121 - Models of Computation', 'CPSC_V 121-L1A', 'Laboratory',
+            '2024-09-03 - 2024-12-05 | Tue (Even Weeks) | 6:00 p.m. - 7:30 p.m. | UBCV | ICCS | Floor: 0 | Room: 008'),
+        {
+            ...WorkdayParser.parseRow({}), kind: 'exam', courseCode: 'CPSC 110', courseTitle: 'Computation, Programs, and Programming',
+            examType: 'Final Exam', format: 'Exam', section: '', deliveryMode: '', instructor: '', days: [],
+            startTime: { hours: 8, minutes: 30 }, endTime: { hours: 11, minutes: 0 },
+            startDate: { year: 2024, month: 12, day: 14 }, endDate: { year: 2024, month: 12, day: 14 },
+            frequency: { interval: 1, startWeek: 1 }, location: 'Osborne Centre', building: '', buildingName: '',
+            floor: '', room: '', url: '', campus: 'UBCV', academicPeriod: '2024-25 Winter Term 1 (UBC-V)'
+        }
+    ];
+    const withExclusions = SchedulePipeline.applyExclusions(events);
+    return ICSGenerator.assignUIDs(SchedulePipeline.applyReminders(withExclusions, { default: 15 }));
+}
+
+// EXDATE keeps the date of an excluded day but not the holiday name
+function pick(event) {
+    const fields = Object.fromEntries(roundTripFields.map(field => [field, event[field]]));
+    return { ...fields, excludedDates: (event.excludedDates || []).map(date => Shared.toDateKey(date)) };
+}
+
+for (const timeZone of ['tzid', 'floating', 'utc']) {
+    test(`generate, read and compare (${timeZone})`, () => {
+        const events = parseClasses();
+        const ics = ICSGenerator.generate(events, { timeZone });
+        const read = ICSReader.parse(ics);
+
+        assert.deepEqual(read.diagnostics, []);
+        assert.equal(read.events.length, events.length);
+        read.events.forEach((event, i) => assert.deepEqual(pick(event), pick(events[i])));
+    });
+}
+
+test('a UTC export splits a class at DST changes and reading merges the parts', () => {
+    // The evening lab is 18:00 PDT (01:00Z the next day) in September and 18:00 PST (02:00Z) in November
+    const events = parseClasses();
+    const lab = events[1];
+    const ics = ICSGenerator.generate([lab], { timeZone: 'utc' });
+
+    const vevents = components(ics, 'VEVENT');
+    assert.equal(vevents.length, 2);
+    assert.ok(vevents[1].includes(`RELATED-TO:${lab.uid}`));
+    // In UTC the Tuesday lab starts on Wednesday
+    assert.ok(vevents.every(lines => lines.some(line => /^RRULE:.*BYDAY=WE/.test(line))));
+
+    const [read] = ICSReader.parse(ics).events;
+    assert.deepEqual(pick(read), pick(lab));
+    assert.deepEqual(SchedulePipeline.getOccurrences(read), SchedulePipeline.getOccurrences(lab));
+});
+
+test('escaped text and folded lines come back as written', () => {
+    const [event] = parseClasses();
+    const tricky = { ...event, courseTitle: 'Sets; Relations, and Functions\\Proofs — ça marche', location: 'Hebb 100, Theatre; Room 1' };
+    const ics = ICSGenerator.generate([tricky]);
+    assert.ok(ics.split('\r\n').some(line => line.startsWith(' ')), 'expected at least one folded line');
+
+    const [read] = ICSReader.parse(ics).events;
+    assert.equal(read.courseTitle, tricky.courseTitle);
+    assert.equal(read.location, tricky.location);
+});
+
+/**
+ * A calendar from another app with one VEVENT
+ */
+function foreignCalendar(...eventLines) {
+    return [
+        'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Other//EN',
+        'BEGIN:VEVENT', 'UID:other-1@example.com', 'DTSTAMP:20240801T000000Z', 'SUMMARY:MATH 100 (101) - Lecture',
+        ...eventLines,
+        'END:VEVENT', 'END:VCALENDAR', ''
+    ].join('\r\n');
+}
+
+test('events from other calendars are read from the summary and rule', () => {
+    const { events, diagnostics } = ICSReader.parse(foreignCalendar(
+        'DTSTART;TZID=America/Vancouver:20240903T090000',
+        'DTEND;TZID=America/Vancouver:20240903T100000',
+        'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20241206T075959Z'));
+
+    assert.deepEqual(diagnostics, []);
+    const [event] = events;
+    assert.equal(event.kind, 'class');
+    assert.equal(event.courseCode, 'MATH 100');
+    assert.equal(event.section, '101');
+    assert.deepEqual(event.days, ['TU', 'TH']);
+    assert.deepEqual(event.endDate, { year: 2024, month: 12, day: 5 });
+    assert.ok(SchedulePipeline.isComplete(event));
+});
+
+const unsupported = [
+    {
+        name: 'RRULE with COUNT',
+        lines: ['DTSTART;TZID=America/Vancouver:20240903T090000', 'DTEND;TZID=America/Vancouver:20240903T100000',
+            'RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=13'],
+        column: 'RRULE', message: /COUNT/
+    },
+    {
+        name: 'daily RRULE',
+        lines: ['DTSTART;TZID=America/Vancouver:20240903T090000', 'DTEND;TZID=America/Vancouver:20240903T100000',
+            'RRULE:FREQ=DAILY;UNTIL=20241206T075959Z'],
+        column: 'RRULE', message: /FREQ=DAILY/
+    },
+    {
+        name: 'all-day event',
+        lines: ['DTSTART;VALUE=DATE:20241214', 'DTEND;VALUE=DATE:20241215'],
+        column: 'DTSTART', message: /All-day/
+    },
+    {
+        name: 'DURATION instead of DTEND',
+        lines: ['DTSTART;TZID=America/Vancouver:20241214T083000', 'DURATION:PT2H30M'],
+        column: 'DURATION', message: /DURATION/
+    },
+    {
+        name: 'no DTSTART',
+        lines: ['DTEND;TZID=America/Vancouver:20241214T110000'],
+        column: 'DTSTART', message: /No DTSTART/
+    }
+];
+
+for (const shape of unsupported) {
+    test(`unsupported: ${shape.name} is reported`, () => {
+        const { events, diagnostics } = ICSReader.parse(foreignCalendar(...shape.lines));
+
+        assert.equal(events.length, 1);
+        assert.equal(diagnostics.length, 1);
+        const [diagnostic] = diagnostics;
+        assert.equal(diagnostic.severity, 'warning');
+        assert.equal(diagnostic.column, shape.column);
+        assert.equal(diagnostic.row, 4);
+        assert.match(diagnostic.message, /^MATH 100 \(101\) - Lecture: /);
+        assert.match(diagnostic.message, shape.message);
+    });
+}
+
+test('an event without DTSTART is not taken for an exam', () => {
+    const [event] = ICSReader.parse(foreignCalendar('DTEND;TZID=America/Vancouver:20241214T110000')).events;
+    assert.equal(event.kind, 'class');
+    assert.equal(SchedulePipeline.isComplete(event), false);
+});
+
+test('reader warnings reach the pipeline diagnostics', () => {
+    const { diagnostics } = SchedulePipeline.parseCalendar(foreignCalendar(
+        'DTSTART;TZID=America/Vancouver:20240903T090000', 'DURATION:PT1H'));
+    assert.ok(diagnostics.some(d => d.severity === 'warning' && d.column === 'DURATION'));
+});
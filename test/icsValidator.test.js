@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const WorkdayParser = require('../js/parser.js');
+const ICSGenerator = require('../js/icsGenerator.js');
+const ICSValidator = require('../js/icsValidator.js');
+
+function cleanCalendar(timeZone = 'tzid') {
+    const events = WorkdayParser.parseRow({
+        'Course Listing': 'CPSC_V 110 - Computation, Programs, and Programming',
+        'Section': 'CPSC_V 110-101',
+        'Instructional Format': 'Lecture',
+        'Meeting Patterns': '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013',
+        'Academic Period': '2024-25 Winter Term 1 (UBC-V)'
+    });
+    const withExclusions = SchedulePipeline.applyExclusions(events);
+    return ICSGenerator.generate(SchedulePipeline.applyReminders(withExclusions, { default: 10 }), { timeZone });
+}
+
+/**
+ * Replace one whole line of a calendar, which must be present exactly once
+ */
+function replaceLine(ics, pattern, replacement) {
+    const lines = ics.split('\r\n');
+    const matches = lines.filter(line => pattern.test(line));
+    assert.equal(matches.length, 1, `expected one line matching ${pattern}`);
+    return lines.map(line => pattern.test(line) ? replacement(line) : line).join('\r\n');
+}
+
+/**
+ * Line number of the first line matching a pattern
+ */
+function lineOf(ics, pattern) {
+    return ics.split('\r\n').findIndex(line => pattern.test(line)) + 1;
+}
+
+for (const timeZone of ['tzid', 'floating', 'utc']) {
+    test(`a generated calendar is valid (${timeZone})`, () => {
+        assert.deepEqual(ICSValidator.validate(cleanCalendar(timeZone)), []);
+    });
+}
+
+test('an unfolded line longer than 75 octets is reported', () => {
+    // 70 characters but 80 octets: the ten é take two octets each
+    const description = 'DESCRIPTION:' + 'é'.repeat(10) + 'x'.repeat(48);
+    const ics = replaceLine(cleanCalendar(), /^SUMMARY:/, line => `${line}\r\n${description}`);
+
+    assert.deepEqual(ICSValidator.validate(ics), [
+        { line: lineOf(ics, /^DESCRIPTION:é/), message: 'Line is 80 octets long; the limit is 75' }
+    ]);
+});
+
+test('a line folded at 75 octets is accepted', () => {
+    const ics = replaceLine(cleanCalendar(), /^SUMMARY:/, line => `${line}\r\nDESCRIPTION:${'x'.repeat(63)}\r\n ${'y'.repeat(74)}`);
+    assert.deepEqual(ICSValidator.validate(ics), []);
+});
+
+test('a missing DTSTAMP is reported', () => {
+    const clean = cleanCalendar();
+    const ics = replaceLine(clean, /^DTSTAMP:/, () => 'X-REMOVED:DTSTAMP');
+
+    assert.deepEqual(ICSValidator.validate(ics), [
+        { line: lineOf(ics, /^BEGIN:VEVENT/), message: 'VEVENT is missing DTSTAMP' }
+    ]);
+});
+
+test('a missing UID is reported', () => {
+    const ics = replaceLine(cleanCalendar(), /^UID:/, () => 'X-REMOVED:UID');
+
+    assert.deepEqual(ICSValidator.validate(ics), [
+        { line: lineOf(ics, /^BEGIN:VEVENT/), message: 'VEVENT is missing UID' }
+    ]);
+});
+
+const badUntils = [
+    { name: 'not a date', until: '2024-12-05', message: 'UNTIL is not a valid DATE or DATE-TIME: 2024-12-05' },
+    { name: 'local time with a TZID', until: '20241205T235959', message: 'UNTIL must be in UTC when DTSTART has a TZID' },
+    {
+        name: 'a DATE with a DATE-TIME DTSTART', until: '20241205',
+        message: 'UNTIL must be a DATE when DTSTART is a DATE, and a DATE-TIME otherwise'
+    }
+];
+
+for (const bad of badUntils) {
+    test(`a bad UNTIL is reported: ${bad.name}`, () => {
+        const ics = replaceLine(cleanCalendar(), /^RRULE:/, line => line.replace(/UNTIL=[^;]+/, `UNTIL=${bad.until}`));
+
+        assert.deepEqual(ICSValidator.validate(ics), [{ line: lineOf(ics, /^RRULE:/), message: bad.message }]);
+    });
+}
+
+test('a TZID with no matching VTIMEZONE is reported', () => {
+    const clean = cleanCalendar();
+    const ics = clean.replace(/BEGIN:VTIMEZONE\r\n[\s\S]*?END:VTIMEZONE\r\n/, '');
+    assert.notEqual(ics, clean);
+
+    const uses = ics.split('\r\n')
+        .map((line, index) => ({ line: index + 1, text: line }))
+        .filter(({ text }) => text.includes('TZID=America/Vancouver'));
+    assert.ok(uses.length >= 2);
+    assert.deepEqual(ICSValidator.validate(ics),
+        uses.map(({ line }) => ({ line, message: 'TZID America/Vancouver has no VTIMEZONE' })));
+});
+
+test('a TZID naming another zone than the VTIMEZONE is reported', () => {
+    const ics = replaceLine(cleanCalendar(), /^DTSTART;TZID=/, line => line.replace('America/Vancouver', 'America/Toronto'));
+
+    assert.deepEqual(ICSValidator.validate(ics), [
+        { line: lineOf(ics, /^DTSTART;TZID=America\/Toronto/), message: 'TZID America/Toronto has no VTIMEZONE' }
+    ]);
+});
+
+test('several problems in one file are all reported', () => {
+    let ics = replaceLine(cleanCalendar(), /^UID:/, () => 'X-REMOVED:UID');
+    ics = replaceLine(ics, /^DTSTAMP:/, () => 'X-REMOVED:DTSTAMP');
+    ics = replaceLine(ics, /^RRULE:/, line => line.replace(/UNTIL=[^;]+/, 'UNTIL=soon'));
+
+    const messages = ICSValidator.validate(ics).map(problem => problem.message);
+    assert.deepEqual(messages.sort(), [
+        'UNTIL is not a valid DATE or DATE-TIME: soon',
+        'VEVENT is missing DTSTAMP',
+        'VEVENT is missing UID'
+    ]);
+});
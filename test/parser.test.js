@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const WorkdayParser = require('../js/parser.js');
+const { buildWorkbook } = require('./helpers.js');
+
+const header = ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'];
+const term = '2024-25 Winter Term 1 (UBC-V)';
+
+function parsePatterns(...patterns) {
+    return SchedulePipeline.parse(buildWorkbook({
+        'View My Courses': [
+            header,
+            ...patterns.map((pattern, i) => [`CPSC_V ${110 + i} - Course`, `CPSC_V ${110 + i}-101`, 'Lecture', pattern, term])
+        ]
+    }));
+}
+
+test('day/month dates with two-digit years', () => {
+    const context = WorkdayParser.getDateContext([{ pattern: '15/09/24 - 05/12/24 | Mon' }]);
+    assert.equal(context.dateOrder, 'DMY');
+    assert.equal(context.dateOrderGuessed, false);
+    assert.deepEqual(WorkdayParser.parseDate('05/12/24', context), { year: 2024, month: 12, day: 5 });
+});
+
+test('two-digit years count towards the order that fits the term', () => {
+    // Neither number is above 12; only day/month puts 03/09/24 - 05/12/24 in Winter Term 1
+    const { events, diagnostics } = parsePatterns('03/09/24 - 05/12/24 | Mon Wed | 10:00 - 11:00 | UBCV | ESB | Room: 1013');
+    assert.deepEqual(events[0].startDate, { year: 2024, month: 9, day: 3 });
+    assert.deepEqual(events[0].endDate, { year: 2024, month: 12, day: 5 });
+    assert.equal(diagnostics.filter(d => /day\/month/.test(d.message)).length, 0);
+});
+
+test('day/month and month/day dates in one workbook are a warning', () => {
+    const { diagnostics } = parsePatterns(
+        '15/09/2024 - 05/12/2024 | Mon | 10:00 - 11:00 | UBCV | ESB | Room: 1013',
+        '09/16/2024 - 12/05/2024 | Tue | 10:00 - 11:00 | UBCV | ESB | Room: 1013'
+    );
+    const warnings = diagnostics.filter(d => d.severity === 'warning' && /day\/month dates such as 15\/09\/2024/.test(d.message));
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0].message, /month\/day dates such as 09\/16\/2024/);
+});
+
+test('dates that fit either order are a warning', () => {
+    const context = WorkdayParser.getDateContext([{ pattern: '03/04/2024' }]);
+    assert.equal(context.dateOrderGuessed, true);
+    assert.equal(context.dateOrderConflict, null);
+    assert.equal(WorkdayParser.checkDateContext(context).length, 1);
+});
+
+test('an early time that fits the evening better gets a note', () => {
+    for (const [text, written] of [['7:00 - 8:30', '7:00 AM - 8:30 AM'], ['7 - 8', '7:00 AM - 8:00 AM']]) {
+        const { startTime, timeNote } = WorkdayParser.parseTimeRange(text);
+        assert.equal(startTime.hours < 12, true, text);
+        assert.match(timeNote, new RegExp(`read as ${written}, not `), text);
+    }
+});
+
+test('times with one sensible or a usual reading have no note', () => {
+    for (const text of ['10:00 - 11:00', '1:00 - 2:30 PM', '09:00 - 10:00', '10:00 a.m. - 11:00 a.m.', '8 - 9', '9:00 - 10:00', '8:00 - 9:30']) {
+        assert.equal(WorkdayParser.parseTimeRange(text).timeNote, null, text);
+    }
+});
+
+test('an ordinary morning range without AM/PM has no diagnostic', () => {
+    const { events, diagnostics } = parsePatterns('2024-09-03 - 2024-12-05 | Tue Thu | 9:00 - 10:00 | UBCV | ESB | Room: 1013');
+    assert.deepEqual([events[0].startTime, events[0].endTime], [{ hours: 9, minutes: 0 }, { hours: 10, minutes: 0 }]);
+    assert.deepEqual(diagnostics.filter(d => d.severity !== 'info'), []);
+});
+
+test('an early time with an evening reading is a warning on its row', () => {
+    const { events, diagnostics } = parsePatterns('2024-09-03 - 2024-12-05 | Tue Thu | 7:00 - 8:30 | UBCV | ESB | Room: 1013');
+    assert.deepEqual(events[0].startTime, { hours: 7, minutes: 0 });
+    const warnings = diagnostics.filter(d => d.severity === 'warning' && /has no AM\/PM/.test(d.message));
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].row, events[0].sourceRow);
+});
+
+test('a lone T could be Tuesday or Thursday', () => {
+    for (const word of ['T', 't']) {
+        assert.deepEqual(WorkdayParser.tokenizeDays(word).ambiguous.map(entry => entry.message), [`"${word}" could be Tuesday or Thursday`]);
+    }
+    // In a run of letters T is Tuesday and R Thursday
+    assert.deepEqual(WorkdayParser.parseDays('TR'), ['TU', 'TH']);
+    assert.deepEqual(WorkdayParser.parseDays('MTWRF'), ['MO', 'TU', 'WE', 'TH', 'FR']);
+    assert.deepEqual(WorkdayParser.parseDays('M T W'), []);
+
+    const { events, diagnostics } = parsePatterns('2024-09-03 - 2024-12-05 | T | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Room: 1013');
+    assert.deepEqual(events[0].days, []);
+    assert.ok(diagnostics.some(d => /Ambiguous meeting days: "T" could be Tuesday or Thursday/.test(d.message)));
+});
+
+test('day words', () => {
+    assert.deepEqual(WorkdayParser.parseDays('Mon Weds Fri'), ['MO', 'WE', 'FR']);
+    assert.deepEqual(WorkdayParser.parseDays('Tues Thurs'), ['TU', 'TH']);
+});
+
+test('a lone S could be Saturday or Sunday', () => {
+    assert.deepEqual(WorkdayParser.tokenizeDays('S').ambiguous.map(entry => entry.message), ['"S" could be Saturday or Sunday']);
+    assert.deepEqual(WorkdayParser.parseDays('Sat'), ['SA']);
+});
+
+test('a bare hour range is read in class hours', () => {
+    const { startTime, endTime, timeNote } = WorkdayParser.resolveTimeRange('2', '3');
+    assert.deepEqual(startTime, { hours: 14, minutes: 0 });
+    assert.deepEqual(endTime, { hours: 15, minutes: 0 });
+    assert.equal(timeNote, '"2 - 3" has no AM/PM; read as 2:00 PM - 3:00 PM');
+});
+
+test('a single time without AM/PM is taken as written', () => {
+    assert.deepEqual(WorkdayParser.normalizeTime('2'), { hours: 2, minutes: 0 });
+    assert.deepEqual(WorkdayParser.normalizeTime('2 PM'), { hours: 14, minutes: 0 });
+    assert.deepEqual(WorkdayParser.normalizeTime('9:30 a.m.'), { hours: 9, minutes: 30 });
+    assert.deepEqual(WorkdayParser.normalizeTime('12 AM'), { hours: 0, minutes: 0 });
+    assert.equal(WorkdayParser.normalizeTime('noonish'), null);
+});
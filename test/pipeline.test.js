@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const ExamScheduleParser = require('../js/examParser.js');
+const { buildWorkbook, propertyValues } = require('./helpers.js');
+
+const header = ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'];
+
+test('a Workday export becomes a weekly recurring event', () => {
+    const data = buildWorkbook({
+        'View My Courses': [
+            header,
+            ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+                '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013',
+                '2024-25 Winter Term 1 (UBC-V)']
+        ]
+    });
+
+    const { events, diagnostics } = SchedulePipeline.parse(data);
+    assert.equal(diagnostics.filter(d => d.severity === 'error').length, 0);
+    assert.equal(events.length, 1);
+
+    const [event] = events;
+    assert.equal(event.courseCode, 'CPSC 110');
+    assert.deepEqual(event.days, ['MO', 'WE', 'FR']);
+    assert.deepEqual(event.startTime, { hours: 10, minutes: 0 });
+    assert.deepEqual(event.startDate, { year: 2024, month: 9, day: 3 });
+    assert.equal(event.term, '2024W1');
+
+    const ics = SchedulePipeline.generateICS(events);
+    assert.deepEqual(propertyValues(ics, 'DTSTART'), ['20240904T100000']);
+    assert.match(propertyValues(ics, 'RRULE')[0], /^FREQ=WEEKLY;.*BYDAY=MO,WE,FR/);
+    assert.deepEqual(SchedulePipeline.validateICS(ics), []);
+});
+
+test('a section whose days change keeps its UID and gets a higher SEQUENCE', () => {
+    const exportWith = (patterns) => SchedulePipeline.parse(buildWorkbook({
+        'View My Courses': [
+            header,
+            ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture', patterns, '2024-25 Winter Term 1 (UBC-V)']
+        ]
+    })).events;
+    const place = '10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013';
+
+    // Two meeting patterns: each keeps its own UID when the days of the first one change
+    const before = SchedulePipeline.applyRevisions(exportWith(
+        `2024-09-03 - 2024-10-18 | Mon Wed Fri | ${place}\n2024-10-21 - 2024-12-05 | Mon Wed | ${place}`
+    ), {}, new Date('2024-08-01T00:00:00Z'));
+    const after = SchedulePipeline.applyRevisions(exportWith(
+        `2024-09-03 - 2024-10-18 | Tue Thu | ${place}\n2024-10-21 - 2024-12-05 | Mon Wed | ${place}`
+    ), before.revisions, new Date('2024-09-10T00:00:00Z'));
+
+    assert.equal(new Set(before.events.map(event => event.uid)).size, 2);
+    assert.deepEqual(after.events.map(event => event.uid), before.events.map(event => event.uid));
+    assert.deepEqual(after.events.map(event => event.sequence), [1, 0]);
+
+    const ics = SchedulePipeline.generateICS(after.events);
+    assert.deepEqual(propertyValues(ics, 'UID'), before.events.map(event => event.uid));
+    assert.deepEqual(propertyValues(ics, 'SEQUENCE'), ['1', '0']);
+    assert.match(propertyValues(ics, 'RRULE')[0], /BYDAY=TU,TH/);
+});
+
+test('a workbook without a schedule is an error', () => {
+    const data = buildWorkbook({ Notes: [['Nothing'], ['here']] });
+    const { events, diagnostics } = SchedulePipeline.parse(data);
+    assert.equal(events.length, 0);
+    assert.ok(diagnostics.some(d => d.severity === 'error'));
+});
+
+test('terms past the bundled UBC calendar are a warning', () => {
+    const data = buildWorkbook({
+        'View My Courses': [
+            header,
+            ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+                '2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | UBCV | ESB | Floor: 1 | Room: 1013',
+                '2024-25 Winter Term 1 (UBC-V)'],
+            ['CPSC_V 210 - Software Design', 'CPSC_V 210-101', 'Lecture',
+                '2027-09-07 - 2027-12-03 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110',
+                '2027-28 Winter Term 1 (UBC-V)'],
+            ['CPSC_V 213 - Introduction to Computer Systems', 'CPSC_V 213-101', 'Lecture',
+                '2027-09-07 - 2027-12-03 | Mon Wed | 9:00 a.m. - 10:00 a.m. | UBCV | DMP | Floor: 3 | Room: 310',
+                '2027-28 Winter Term 1 (UBC-V)']
+        ]
+    });
+
+    const { diagnostics } = SchedulePipeline.parse(data);
+    const warnings = diagnostics.filter(d => d.severity === 'warning' && /No UBC holiday data/.test(d.message));
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0].message, /^No UBC holiday data for 2027 Winter Term 1; its 2 event\(s\)/);
+    assert.equal(warnings[0].row, 3);
+});
+
+test('an exam row that fails to parse is an error diagnostic, not console output', (t) => {
+    const logged = [];
+    t.mock.method(console, 'error', (...parts) => logged.push(parts.join(' ')));
+    t.mock.method(ExamScheduleParser, 'parseRow', () => { throw new Error('unreadable cell'); });
+
+    const { events, diagnostics } = SchedulePipeline.parse(buildWorkbook({
+        'My Exams': [
+            ['Course Listing', 'Exam Type', 'Exam Date', 'Exam Start Time', 'Exam End Time', 'Exam Location'],
+            ['CPSC_V 110 - Computation, Programs, and Programming', 'Final Exam', '2024-12-14', '8:30 a.m.', '11:00 a.m.', 'OSBO Gym A']
+        ]
+    }));
+
+    assert.equal(events.length, 0);
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].message, 'Exam row could not be parsed: unreadable cell');
+    assert.equal(errors[0].sheet, 'My Exams');
+    assert.equal(errors[0].row, 2);
+    assert.deepEqual(logged, []);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const WorkdayParser = require('../js/parser.js');
+const UBCAcademicCalendar = require('../js/academicCalendar.js');
+const Shared = require('../js/shared.js');
+const { components, expandRule } = require('./helpers.js');
+
+// SEED=<n> npm test reruns one sequence; a failure names its seed and case
+const seed = Number(process.env.SEED) || 20240903;
+const cases = 300;
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ */
+function random(state) {
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const codes = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const dayWords = {
+    long: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    short: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    french: ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'],
+    letters: ['M', 'T', 'W', 'R', 'F']
+};
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const day = 86400000;
+const toDate = (time) => {
+    const date = new Date(time);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const toTime = (date) => Date.UTC(date.year, date.month - 1, date.day);
+const mondayOf = (time) => time - ((new Date(time).getUTCDay() + 6) % 7) * day;
+
+/**
+ * A random meeting pattern as Workday writes it, and what it means
+ * @returns {Object} - { text, days, startTime, endTime, startDate, endDate, cycle: 'weekly' | 'alternate' | 'odd' | 'even', campus }
+ */
+function randomPattern(next) {
+    const pick = (list) => list[Math.floor(next() * list.length)];
+
+    // Any start in the sessions the UBC calendar covers, for one to sixteen weeks
+    const first = Date.UTC(2024, 8, 1);
+    const last = Date.UTC(2027, 6, 31);
+    const start = first + Math.floor(next() * (last - first) / day) * day;
+    const end = Math.min(start + Math.floor(7 + next() * 105) * day, Date.UTC(2027, 7, 31));
+
+    const style = pick(Object.keys(dayWords));
+    const available = style === 'letters' ? 5 : 7;
+    let days = codes.slice(0, available).filter(() => next() < 0.35);
+    if (days.length === 0) days = [pick(codes.slice(0, available))];
+    // A lone T is Tuesday or Thursday; write single days as names
+    const written = style === 'letters' && days.length > 1 ?
+        days.map(code => dayWords.letters[codes.indexOf(code)]).join('') :
+        days.map(code => dayWords[style === 'letters' ? 'short' : style][codes.indexOf(code)]).join(' ');
+
+    const cycle = pick(['weekly', 'weekly', 'alternate', 'odd', 'even']);
+    const marker = { weekly: '', alternate: ' (Alternate Weeks)', odd: ' (Odd Weeks)', even: ' (Even Weeks)' }[cycle];
+
+    const startMinutes = (8 + Math.floor(next() * 12)) * 60 + pick([0, 30]);
+    const endMinutes = Math.min(startMinutes + pick([50, 80, 110, 170]), 21 * 60 + 50);
+    const clock = (minutes) => ({ hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    const formatTime = (minutes, format) => {
+        const { hours, minutes: mm } = clock(minutes);
+        const hh = String(mm).padStart(2, '0');
+        if (format === '24h') return `${String(hours).padStart(2, '0')}:${hh}`;
+        const period = hours >= 12 ? (format === 'dots' ? 'p.m.' : 'PM') : (format === 'dots' ? 'a.m.' : 'AM');
+        return `${hours % 12 || 12}:${hh} ${period}`;
+    };
+    const timeFormat = pick(['dots', 'upper', '24h']);
+
+    const startDate = toDate(start);
+    const endDate = toDate(end);
+    const dateFormat = pick(['iso', 'month', 'short-month']);
+    const formatDate = (date) => {
+        if (dateFormat === 'iso') return Shared.toDateKey(date);
+        const name = monthNames[date.month - 1];
+        return `${dateFormat === 'month' ? name : name.slice(0, 3)} ${date.day}, ${date.year}`;
+    };
+
+    const campus = pick(['UBCV', 'UBCO']);
+    return {
+        text: `${formatDate(startDate)} - ${formatDate(endDate)} | ${written}${marker} | ` +
+            `${formatTime(startMinutes, timeFormat)} - ${formatTime(endMinutes, timeFormat)} | ${campus} | ESB | Floor: 1 | Room: 1013`,
+        days,
+        startTime: clock(startMinutes),
+        endTime: clock(endMinutes),
+        startDate,
+        endDate,
+        cycle,
+        campus
+    };
+}
+
+/**
+ * Meeting dates straight from the pattern: every listed weekday in the date range, in the
+ * weeks the cycle meets, minus UBC closures on the pattern's campus
+ * @returns {Object} - { first: first meeting (closed or not) or null, dates: YYYY-MM-DD }
+ */
+function expectedDates(pattern) {
+    const start = toTime(pattern.startDate);
+    const end = toTime(pattern.endDate);
+    const meets = [];
+    for (let time = start; time <= end; time += day) {
+        if (pattern.days.includes(codes[(new Date(time).getUTCDay() + 6) % 7])) meets.push(time);
+    }
+
+    // Weeks are Monday to Sunday; odd weeks count from the week of the start date,
+    // alternate weeks from the week of the first meeting
+    const week = (time, from) => Math.round((mondayOf(time) - mondayOf(from)) / (7 * day));
+    const inCycle = {
+        weekly: () => true,
+        alternate: (time) => week(time, meets[0]) % 2 === 0,
+        odd: (time) => week(time, start) % 2 === 0,
+        even: (time) => week(time, start) % 2 === 1
+    }[pattern.cycle];
+    const meetings = meets.filter(inCycle);
+
+    const closed = new Set(UBCAcademicCalendar.getClosures(pattern.campus, pattern.startDate, pattern.endDate)
+        .map(date => Shared.toDateKey(date)));
+    return {
+        first: meetings.length > 0 ? Shared.toDateKey(toDate(meetings[0])) : null,
+        dates: meetings.map(time => Shared.toDateKey(toDate(time))).filter(key => !closed.has(key))
+    };
+}
+
+test(`random meeting patterns export the meetings they describe (seed ${seed})`, () => {
+    const next = random(seed);
+
+    for (let i = 0; i < cases; i++) {
+        const pattern = randomPattern(next);
+        const timeZone = next() < 0.5 ? 'tzid' : 'floating';
+        const label = `case ${i} (seed ${seed}, ${timeZone}): ${pattern.text}`;
+
+        const [parsed] = WorkdayParser.parseRow({
+            'Course Listing': 'TEST 100 - Synthetic Course',
+            'Section': 'TEST 100-001',
+            'Instructional Format': 'Lecture',
+            'Meeting Patterns': pattern.text
+        });
+        assert.deepEqual([...parsed.days].sort(), [...pattern.days].sort(), label);
+        assert.deepEqual([parsed.startTime, parsed.endTime], [pattern.startTime, pattern.endTime], label);
+        assert.deepEqual([parsed.startDate, parsed.endDate], [pattern.startDate, pattern.endDate], label);
+
+        const expected = expectedDates(pattern);
+        const [event] = SchedulePipeline.applyExclusions([SchedulePipeline.assignTerm(parsed)]);
+        const ics = SchedulePipeline.generateICS([event], { timeZone });
+        const vevents = components(ics, 'VEVENT');
+        if (!expected.first) {
+            // The cycle never meets within the range: no VEVENT, whose DTSTART would be a meeting
+            assert.equal(vevents.length, 0, label);
+            assert.deepEqual(SchedulePipeline.getOccurrences(event), [], label);
+            continue;
+        }
+
+        assert.equal(vevents.length, 1, label);
+        assert.deepEqual(SchedulePipeline.validateICS(ics), [], label);
+
+        const dtstart = vevents[0].find(line => line.startsWith('DTSTART'));
+        assert.equal(dtstart.slice(dtstart.indexOf(':') + 1, dtstart.indexOf(':') + 9), expected.first.replace(/-/g, ''), label);
+        assert.deepEqual(expandRule(vevents[0]), expected.dates, label);
+        assert.deepEqual(SchedulePipeline.getOccurrences(event).map(date => Shared.toDateKey(date)), expected.dates, label);
+    }
+});
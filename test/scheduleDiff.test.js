@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchedulePipeline = require('../js/schedulePipeline.js');
+const ScheduleDiff = require('../js/scheduleDiff.js');
+const { buildWorkbook, propertyValues } = require('./helpers.js');
+
+const header = ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Academic Period'];
+const place = 'UBCV | ESB | Floor: 1 | Room: 1013';
+
+function parseRows(rows) {
+    return SchedulePipeline.parse(buildWorkbook({ 'View My Courses': [header, ...rows] })).events;
+}
+
+const term1 = ['CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', 'Lecture',
+    `2024-09-03 - 2024-12-05 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | ${place}`, '2024-25 Winter Term 1 (UBC-V)'];
+const term2 = ['CPSC_V 121 - Models of Computation', 'CPSC_V 121-101', 'Lecture',
+    `2025-01-06 - 2025-04-08 | Tue Thu | 2:00 p.m. - 3:30 p.m. | ${place}`, '2024-25 Winter Term 2 (UBC-V)'];
+const math = ['MATH_V 100 - Differential Calculus with Applications', 'MATH_V 100-101', 'Lecture',
+    `2024-09-03 - 2024-12-05 | Tue Thu | 9:30 a.m. - 11:00 a.m. | ${place}`, '2024-25 Winter Term 1 (UBC-V)'];
+
+/**
+ * Events of a calendar downloaded earlier, as the page reads it back
+ */
+function previousCalendar(rows) {
+    return SchedulePipeline.parseCalendar(SchedulePipeline.generateICS(parseRows(rows))).events;
+}
+
+test('sections in an unticked term are not cancelled', () => {
+    const previous = previousCalendar([term1, term2]);
+    const events = parseRows([term1, term2]);
+
+    // Only Winter Term 1 is ticked
+    const ticked = events.filter(event => event.term === '2024W1');
+    const diff = ScheduleDiff.compare(previous, ticked, { others: events.filter(event => event.term !== '2024W1') });
+
+    assert.deepEqual(diff.dropped, []);
+    assert.deepEqual(diff.kept.map(event => event.courseCode), ['CPSC 121']);
+    assert.deepEqual(diff.unchanged.map(event => event.courseCode), ['CPSC 110']);
+    assert.equal(ScheduleDiff.generateCalendars(diff).cancellations, null);
+});
+
+test('a row not read completely this time is not cancelled', () => {
+    const previous = previousCalendar([term1, math]);
+    const events = parseRows([term1, [...math.slice(0, 3), `Tue Thu | 9:30 a.m. - 11:00 a.m. | ${place}`, math[4]]]);
+    assert.equal(events.filter(event => SchedulePipeline.isComplete(event)).length, 1);
+
+    const complete = events.filter(event => SchedulePipeline.isComplete(event));
+    const diff = ScheduleDiff.compare(previous, complete, { others: events.filter(event => !complete.includes(event)) });
+
+    assert.deepEqual(diff.dropped, []);
+    assert.deepEqual(diff.kept.map(event => event.courseCode), ['MATH 100']);
+    assert.equal(ScheduleDiff.generateCalendars(diff).cancellations, null);
+});
+
+test('a section gone from the export is cancelled', () => {
+    const previous = previousCalendar([term1, math, term2]);
+    const events = parseRows([term1, term2]);
+
+    const ticked = events.filter(event => event.term === '2024W1');
+    const diff = ScheduleDiff.compare(previous, ticked, { others: events.filter(event => event.term !== '2024W1') });
+
+    assert.deepEqual(diff.dropped.map(event => event.courseCode), ['MATH 100']);
+    const { cancellations } = ScheduleDiff.generateCalendars(diff);
+    assert.deepEqual(propertyValues(cancellations, 'UID'), [diff.dropped[0].uid]);
+    assert.deepEqual(propertyValues(cancellations, 'STATUS'), ['CANCELLED']);
+});